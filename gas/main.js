@@ -1,22 +1,31 @@
 // Google Apps Script code for handling signaling messages in a WebRTC application.
 
+// Messages older than this duration in milliseconds are removed.
+const messageLifetime = 10 * 60 * 1000;
+
 /**
  * Initialize the spreadsheet and sheet for storing messages.
+ * A message with ToID is for the peer of the ID. A message without ToID is for all peers.
  */
 function setup() {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     if (!ss.getSheetByName('SignalingMessages')) {
         ss.insertSheet('SignalingMessages');
         const sheet = ss.getSheetByName('SignalingMessages');
-        sheet.appendRow(['SignalName', 'FromID', 'Message', 'Timestamp']);
+        sheet.appendRow(['SignalName', 'FromID', 'Message', 'Timestamp', 'ToID']);
     }
 }
 
 /**
  * Handle GET requests to retrieve signaling messages for a specific signal name and recipient ID.
+ * The messages to the recipient are deleted when retrieved.
+ * The messages to all are kept for the other peers until they expire.
  * URL parameters:
  * - signalName: The name of the signaling session.
  * - recipientId: The ID of the recipient user.
+ * - since: (optional) The time stamp in milliseconds of the last message to all which the recipient received.
+ *   Only the messages to all which are not older than this are returned. The ones at the same time stamp
+ *   are returned again, because a message may be written later with it, and the recipient skips them.
  */
 function doGet(e) {
     const action = e.parameter.action || 'get';
@@ -28,24 +37,33 @@ function doGet(e) {
     }
     const signalName = e.parameter.signalName;
     const recipientId = e.parameter.recipientId;
+    const since = Number(e.parameter.since) || 0;
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const sheet = ss.getSheetByName('SignalingMessages');
     const data = sheet.getDataRange().getValues();
     const messages = [];
+    const expired = Date.now() - messageLifetime;
 
     for (let i = data.length - 1; i >= 1; i--) { // Skip header row
         const row = data[i];
-        const [rowSignalName, rowFromId, rowMessage, rowTimestamp] = row;
-        if (rowSignalName === signalName) {
-            const messageContent = JSON.parse(rowMessage);
-            if (rowFromId !== recipientId) {
-                messages.push({
-                    from: rowFromId,
-                    message: messageContent,
-                    timestamp: rowTimestamp
-                });
-                sheet.deleteRow(i + 1); // Adjust for header row
-            }
+        const [rowSignalName, rowFromId, rowMessage, rowTimestamp, rowToId] = row;
+        if (rowSignalName !== signalName) continue;
+        const time = new Date(rowTimestamp).getTime();
+        if (time < expired) {
+            sheet.deleteRow(i + 1); // Adjust for header row
+            continue;
+        }
+        if (rowFromId === recipientId) continue;
+        if (rowToId && rowToId !== recipientId) continue;
+        if (!rowToId && time < since) continue; // Received already
+        // Keep the order of the rows
+        messages.unshift({
+            from: rowFromId,
+            message: JSON.parse(rowMessage),
+            timestamp: rowTimestamp
+        });
+        if (rowToId) {
+            sheet.deleteRow(i + 1); // Adjust for header row
         }
     }
 
@@ -59,6 +77,7 @@ function doGet(e) {
  * {
  *   "signalName": "session1",
  *   "fromId": "user1",
+ *   "toId": "user2", // empty for all peers
  *   "message": { ... }
  * }
  */
@@ -66,25 +85,13 @@ function doPost(e) {
     const data = JSON.parse(e.postData.contents);
     const signalName = data.signalName;
     const fromId = data.fromId;
+    const toId = data.toId || '';
     const message = JSON.stringify(data.message);
     const timestamp = new Date().toISOString();
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const sheet = ss.getSheetByName('SignalingMessages');
-    const messageContent = data.message;
-
-    // Check if an answer has already been sent
-    if (messageContent.type === 'answer') {
-        const existingData = sheet.getDataRange().getValues();
-        for (let i = existingData.length - 1; i >= 1; i--) {
-            const row = existingData[i];
-            const [rowSignalName, , , ] = row;
-            if (rowSignalName === signalName) {
-                sheet.deleteRow(i + 1); // Remove existing offers
-            }
-        }
-    }
 
-    sheet.appendRow([signalName, fromId, message, timestamp]);
+    sheet.appendRow([signalName, fromId, message, timestamp, toId]);
 
     return ContentService.createTextOutput(JSON.stringify({status: 'success'}))
         .setMimeType(ContentService.MimeType.JSON)
@@ -126,8 +133,9 @@ function handleIsOffering(e) {
 
     for (let i = data.length - 1; i >= 1; i--) {
         const row = data[i];
-        const [rowSignalName, rowFromId, rowMessage] = row;
-        if (rowSignalName === signalName && rowFromId !== recipientId) {
+        const [rowSignalName, rowFromId, rowMessage, , rowToId] = row;
+        if (rowSignalName === signalName && rowFromId !== recipientId &&
+            (!rowToId || rowToId === recipientId)) {
             try {
                 const messageContent = JSON.parse(rowMessage);
                 if (messageContent.type === 'offer') {
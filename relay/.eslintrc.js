@@ -0,0 +1,14 @@
+module.exports = {
+  root: true,
+  plugins: [],
+  extends: [
+    "eslint:recommended",
+  ],
+  env: {
+    es6: true,
+    "node": true,
+  },
+  parserOptions: {
+    sourceType: "module",
+  },
+};
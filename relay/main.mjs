@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+// WebSocket relay server for handling signaling messages in a WebRTC application.
+// It keeps the same message model as gas/main.js but pushes messages to the listening clients.
+//
+// Usage: node ./relay/main.mjs [port]
+// Port 0 listens on a free port, which is shown in the log.
+
+import {WebSocketServer} from 'ws';
+
+const port = Number(process.argv[2] || process.env.PORT || 8080);
+
+/**
+ * Messages which are not received yet are removed after this duration.
+ * @type {number} - duration in milliseconds
+ */
+const messageLifetime = 10 * 60 * 1000;
+
+/**
+ * Stored messages by signal name.
+ * Each message is {fromId, toId, message, timestamp} like a row of the sheet.
+ * A message with toId is removed when delivered, and a message to all is kept until it expires.
+ * @type {Map<string, Array<object>>}
+ */
+const rooms = new Map();
+
+/**
+ * Listening clients.
+ * Each client is {socket, signalName, recipientId, delivered}.
+ * `delivered` has the messages to all which were sent to the client.
+ * @type {Set<object>}
+ */
+const listeners = new Set();
+
+const roomMessages = function (signalName) {
+    if (!rooms.has(signalName)) {
+        rooms.set(signalName, []);
+    }
+    return rooms.get(signalName);
+};
+
+const sendJSON = function (socket, data) {
+    if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(data));
+    }
+};
+
+/**
+ * Deliver the stored messages to the listener and remove them like doGet() of gas/main.js.
+ * @param {object} listener - listening client
+ */
+const deliver = function (listener) {
+    const messages = roomMessages(listener.signalName);
+    for (let i = 0; i < messages.length; i++) {
+        const row = messages[i];
+        if (row.fromId === listener.recipientId) continue;
+        if (row.toId && row.toId !== listener.recipientId) continue;
+        if (listener.delivered.has(row)) continue;
+        sendJSON(listener.socket, {
+            action: 'message',
+            from: row.fromId,
+            message: row.message,
+            timestamp: row.timestamp
+        });
+        if (row.toId) {
+            messages.splice(i, 1);
+            i--;
+        } else {
+            listener.delivered.add(row);
+        }
+    }
+};
+
+const deliverAll = function (signalName) {
+    for (const listener of listeners) {
+        if (listener.signalName === signalName) {
+            deliver(listener);
+        }
+    }
+};
+
+/**
+ * Store the message like doPost() of gas/main.js.
+ * @param {object} data - {signalName, fromId, toId, message}
+ */
+const handlePost = function (data) {
+    const messages = roomMessages(data.signalName);
+    messages.push({
+        fromId: data.fromId,
+        toId: data.toId || '',
+        message: data.message,
+        timestamp: new Date().toISOString()
+    });
+    deliverAll(data.signalName);
+};
+
+const handleDelete = function (data) {
+    const messages = roomMessages(data.signalName);
+    rooms.set(data.signalName, messages.filter(row => row.fromId !== data.fromId));
+};
+
+const handleIsOffering = function (socket, data) {
+    const isOffering = roomMessages(data.signalName)
+        .some(row => row.fromId !== data.fromId && (!row.toId || row.toId === data.fromId) &&
+            row.message && row.message.type === 'offer');
+    sendJSON(socket, {
+        action: 'isOffering',
+        requestId: data.requestId,
+        isOffering
+    });
+};
+
+const removeExpiredMessages = function () {
+    const expired = Date.now() - messageLifetime;
+    for (const [signalName, messages] of rooms) {
+        const alive = messages.filter(row => Date.parse(row.timestamp) > expired);
+        if (alive.length === 0) {
+            rooms.delete(signalName);
+        } else {
+            rooms.set(signalName, alive);
+        }
+    }
+};
+
+const server = new WebSocketServer({port});
+
+server.on('connection', socket => {
+    let listener = null;
+    const stopListening = function () {
+        if (listener) {
+            listeners.delete(listener);
+            listener = null;
+        }
+    };
+    socket.on('message', raw => {
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (err) {
+            console.warn('Invalid message:', err.message);
+            return;
+        }
+        switch (data.action) {
+        case 'post':
+            handlePost(data);
+            break;
+        case 'listen':
+            stopListening();
+            listener = {
+                socket,
+                signalName: data.signalName,
+                recipientId: data.fromId,
+                delivered: new WeakSet()
+            };
+            listeners.add(listener);
+            deliver(listener);
+            break;
+        case 'unlisten':
+            stopListening();
+            break;
+        case 'delete':
+            handleDelete(data);
+            break;
+        case 'isOffering':
+            handleIsOffering(socket, data);
+            break;
+        default:
+            console.warn('Unknown action:', data.action);
+        }
+    });
+    socket.on('close', stopListening);
+});
+
+setInterval(removeExpiredMessages, 60 * 1000);
+
+server.on('listening', () => {
+    console.log(`Signaling relay server is listening on port ${server.address().port}`);
+});
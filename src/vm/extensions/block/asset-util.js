@@ -0,0 +1,197 @@
+/**
+ * Put the costume into the target and switch to it.
+ * A costume which has the same name is replaced with the new one.
+ * @param {Runtime} runtime - the Scratch 3.0 runtime
+ * @param {RenderedTarget} target - target to put the costume into
+ * @param {object} costume - costume which has a skin already
+ */
+const putCostume = function (runtime, target, costume) {
+    const name = costume.name;
+    const oldIndex = target.getCostumeIndexByName(name);
+    if (oldIndex < 0) {
+        target.addCostume(costume);
+        target.setCostume(target.getCostumes().length - 1);
+    } else {
+        // The new costume gets another name while the old one exists.
+        target.addCostume(costume, oldIndex);
+        target.setCostume(oldIndex);
+        target.deleteCostume(oldIndex + 1);
+        target.renameCostume(oldIndex, name);
+    }
+    runtime.emitProjectChanged();
+};
+
+/**
+ * Add the SVG image as a costume of the target.
+ * @param {Runtime} runtime - the Scratch 3.0 runtime
+ * @param {RenderedTarget} target - target to add the costume to
+ * @param {string} name - name of the costume
+ * @param {string} svgString - SVG image
+ * @returns {object} - the added costume
+ */
+const addSVGCostume = function (runtime, target, name, svgString) {
+    const storage = runtime.storage;
+    const asset = storage.createAsset(
+        storage.AssetType.ImageVector,
+        storage.DataFormat.SVG,
+        new TextEncoder().encode(svgString),
+        null,
+        true
+    );
+    const costume = {
+        name: name,
+        dataFormat: storage.DataFormat.SVG,
+        asset: asset,
+        assetId: asset.assetId,
+        md5: `${asset.assetId}.${storage.DataFormat.SVG}`,
+        bitmapResolution: 1
+    };
+    costume.skinId = runtime.renderer.createSVGSkin(svgString);
+    costume.size = runtime.renderer.getSkinSize(costume.skinId);
+    const rotationCenter = runtime.renderer.getSkinRotationCenter(costume.skinId);
+    costume.rotationCenterX = rotationCenter[0];
+    costume.rotationCenterY = rotationCenter[1];
+    putCostume(runtime, target, costume);
+    return costume;
+};
+
+/**
+ * MIME types of the image formats which a costume can have.
+ * @type {Object<string, string>}
+ */
+const IMAGE_TYPES = {
+    svg: 'image/svg+xml',
+    png: 'image/png',
+    jpg: 'image/jpeg'
+};
+
+/**
+ * Formats which a sound can have.
+ * @type {Array<string>}
+ */
+const SOUND_FORMATS = ['wav', 'mp3'];
+
+/**
+ * Decode the data URL into the bytes.
+ * @param {string} dataURL - data URL in base64 such as a snapshot of the stage
+ * @returns {Uint8Array} - the bytes
+ */
+const dataURLToBytes = function (dataURL) {
+    const binary = atob(dataURL.slice(dataURL.indexOf(',') + 1));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+/**
+ * Make a costume from the image data, add it to the target and switch to it.
+ * The name is changed if the target has a costume of the same name, not to replace the costume of the user.
+ * The rotation center and the bitmap resolution are kept as the sender had them.
+ * @param {Runtime} runtime - the Scratch 3.0 runtime
+ * @param {RenderedTarget} target - target to put the costume into
+ * @param {object} data - the costume
+ * @param {string} data.name - name of the costume
+ * @param {string} data.dataFormat - 'svg', 'png' or 'jpg'
+ * @param {number} [data.rotationCenterX] - rotation center in the image
+ * @param {number} [data.rotationCenterY] - rotation center in the image
+ * @param {number} [data.bitmapResolution] - pixels of the image for a pixel on the stage
+ * @param {Uint8Array} data.bytes - the image
+ * @returns {Promise<object>} - a promise which resolves with the added costume
+ */
+const addCostumeFromData = function (runtime, target, data) {
+    const storage = runtime.storage;
+    const format = data.dataFormat;
+    if (!IMAGE_TYPES[format]) {
+        return Promise.reject(new Error(`Unsupported costume format: ${format}`));
+    }
+    const isVector = (format === 'svg');
+    const asset = storage.createAsset(
+        isVector ? storage.AssetType.ImageVector : storage.AssetType.ImageBitmap,
+        format,
+        data.bytes,
+        null,
+        true
+    );
+    const costume = {
+        name: data.name,
+        dataFormat: format,
+        asset: asset,
+        assetId: asset.assetId,
+        md5: `${asset.assetId}.${format}`,
+        bitmapResolution: isVector ? 1 : (data.bitmapResolution || 1)
+    };
+    const hasCenter = (typeof data.rotationCenterX === 'number' && typeof data.rotationCenterY === 'number');
+    let skinReady;
+    if (isVector) {
+        const center = hasCenter ? [data.rotationCenterX, data.rotationCenterY] : null;
+        skinReady = Promise.resolve(
+            runtime.renderer.createSVGSkin(new TextDecoder().decode(data.bytes), center)
+        );
+    } else {
+        const resolution = costume.bitmapResolution;
+        const center = hasCenter ?
+            [data.rotationCenterX / resolution, data.rotationCenterY / resolution] :
+            null;
+        skinReady = createImageBitmap(new Blob([data.bytes], {type: IMAGE_TYPES[format]}))
+            .then(image => runtime.renderer.createBitmapSkin(image, resolution, center));
+    }
+    return skinReady.then(skinId => {
+        costume.skinId = skinId;
+        const size = runtime.renderer.getSkinSize(skinId);
+        costume.size = [size[0] * costume.bitmapResolution, size[1] * costume.bitmapResolution];
+        const rotationCenter = runtime.renderer.getSkinRotationCenter(skinId);
+        costume.rotationCenterX = rotationCenter[0] * costume.bitmapResolution;
+        costume.rotationCenterY = rotationCenter[1] * costume.bitmapResolution;
+        target.addCostume(costume);
+        target.setCostume(target.getCostumes().length - 1);
+        runtime.emitProjectChanged();
+        return costume;
+    });
+};
+
+/**
+ * Make a sound from the audio data and add it to the target.
+ * The name is changed if the target has a sound of the same name.
+ * @param {Runtime} runtime - the Scratch 3.0 runtime
+ * @param {RenderedTarget} target - target to add the sound to
+ * @param {object} data - the sound
+ * @param {string} data.name - name of the sound
+ * @param {string} data.dataFormat - 'wav' or 'mp3'
+ * @param {Uint8Array} data.bytes - the audio
+ * @returns {Promise<object>} - a promise which resolves with the added sound
+ */
+const addSoundFromData = function (runtime, target, data) {
+    const storage = runtime.storage;
+    const format = data.dataFormat;
+    if (!SOUND_FORMATS.includes(format)) {
+        return Promise.reject(new Error(`Unsupported sound format: ${format}`));
+    }
+    if (!runtime.audioEngine) {
+        return Promise.reject(new Error('No audio engine'));
+    }
+    const asset = storage.createAsset(storage.AssetType.Sound, format, data.bytes, null, true);
+    const sound = {
+        name: data.name,
+        dataFormat: format,
+        format: '',
+        asset: asset,
+        assetId: asset.assetId,
+        md5: `${asset.assetId}.${format}`
+    };
+    return runtime.audioEngine.decodeSoundPlayer(Object.assign({}, sound, {data: asset.data}))
+        .then(soundPlayer => {
+            sound.soundId = soundPlayer.id;
+            // The audio engine may resample the sound.
+            sound.rate = soundPlayer.buffer.sampleRate;
+            sound.sampleCount = soundPlayer.buffer.length;
+            target.sprite.soundBank.addSoundPlayer(soundPlayer);
+            target.addSound(sound);
+            runtime.emitProjectChanged();
+            return sound;
+        });
+};
+
+export {
+    addSVGCostume,
+    addCostumeFromData,
+    addSoundFromData,
+    dataURLToBytes
+};
@@ -1,35 +1,57 @@
 import log from '../../util/log';
+import SignalingChannel from './signaling-channel';
 
 /**
  * File-based signaling channel for WebRTC connections.
+ * Each message is written in a file of the subdirectory which is named by the signal name,
+ * so a shared network drive can be used as the signaling server.
  */
-class FileSignalingChannel extends EventTarget {
+class FileSignalingChannel extends SignalingChannel {
     constructor () {
         super();
         this.filePrefix = 'webrtc-signal-';
-        this._connected = false;
-        this._id = Math.random().toString(36)
-            .substr(2, 9);
         this._pollInterval = null;
+        this._polling = false;
+        this._sentCount = 0;
+
+        /**
+         * The directory which was picked by the user.
+         * It is kept to reconnect without asking again.
+         * @type {FileSystemDirectoryHandle}
+         */
+        this._dirHandle = null;
         this._signalDirHandle = null;
+
+        /**
+         * Files older than this duration are removed as stale.
+         * @type {number} - The duration in milliseconds.
+         * @default 600000
+         */
+        this.messageLifetime = 10 * 60 * 1000;
     }
 
-    get connected () {
-        return this._connected;
+    /**
+     * The messages are written in the picked folder, not in a server.
+     * @type {boolean}
+     */
+    get usesServer () {
+        return false;
     }
 
     async connect (signalName) {
         if (this._connected) return;
         try {
-            // Request permission to access a directory
-            const dirHandle = await window.showDirectoryPicker({
-                mode: 'readwrite',
-                startIn: 'downloads'
-            });
+            if (!this._dirHandle) {
+                // Request permission to access a directory
+                this._dirHandle = await window.showDirectoryPicker({
+                    mode: 'readwrite',
+                    startIn: 'downloads'
+                });
+            }
 
             // Create/get subdirectory with signalName
             try {
-                this._signalDirHandle = await dirHandle.getDirectoryHandle(signalName, {
+                this._signalDirHandle = await this._dirHandle.getDirectoryHandle(signalName, {
                     create: true // Creates if doesn't exist
                 });
             } catch (err) {
@@ -37,8 +59,10 @@ class FileSignalingChannel extends EventTarget {
                 throw err;
             }
 
+            this.signalName = signalName;
+            this.signalingState = 'connected';
             this._connected = true;
-            this.startPolling();
+            await this.removeStaleFiles();
             this.dispatchEvent(new Event('connected'));
         } catch (err) {
             log.warn('Failed to access directory:', err);
@@ -48,6 +72,7 @@ class FileSignalingChannel extends EventTarget {
 
     disconnect () {
         if (!this._connected) return;
+        this.signalingState = 'disconnected';
         this._connected = false;
         this.stopPolling();
         this._signalDirHandle = null;
@@ -57,39 +82,156 @@ class FileSignalingChannel extends EventTarget {
     startPolling () {
         if (this._pollInterval) return;
         this._pollInterval = setInterval(() => this.pollMessages(), 1000);
+        log.debug('Polling started');
     }
 
     stopPolling () {
         if (this._pollInterval) {
             clearInterval(this._pollInterval);
             this._pollInterval = null;
+            log.debug('Polling stopped');
         }
     }
 
+    /**
+     * Make a file name for the message.
+     * The name has the sender ID and the sequence number to keep all messages.
+     * @param {object} message - message to be saved
+     * @returns {string} - file name
+     */
+    _makeFileName (message) {
+        const sequence = String(this._sentCount++).padStart(6, '0');
+        return `${this.filePrefix}${this._id}-${sequence}-${message.type}.json`;
+    }
+
+    /**
+     * Whether the file was written by this end.
+     * @param {string} filename - name of the file
+     * @returns {boolean} - true if it is an own file
+     */
+    _isOwnFile (filename) {
+        return filename.startsWith(`${this.filePrefix}${this._id}-`);
+    }
+
     async send (message) {
         if (!this._connected) throw new Error('Not connected');
         const signalData = {
             from: this._id,
+            to: message.to || '',
             type: message.type,
             data: message,
             timestamp: Date.now()
         };
-        const filename = `${this.filePrefix}${message.type}-${this._id}.json`;
-        await this.saveToFile(signalData, filename);
+        await this.saveToFile(signalData, this._makeFileName(message));
+        log.debug('Message sent:', message);
     }
 
-    async pollMessages () {
+    /**
+     * Whether the message is too old to be processed.
+     * @param {object} signalData - loaded data of the file
+     * @returns {boolean} - true if it is stale
+     */
+    _isStale (signalData) {
+        return signalData.timestamp < Date.now() - this.messageLifetime;
+    }
+
+    /**
+     * Load the messages from the other peers to all or to this end.
+     * @returns {Promise<Array<object>>} - data of the files with the file names in time order
+     */
+    async loadOthersMessages () {
         const files = await this.listSignalFiles();
+        const loaded = [];
         for (const file of files) {
-            if (!file.includes(this._id)) { // Don't process own messages
-                const message = await this.loadFromFile(file);
-                if (message && message.data) {
-                    this.dispatchEvent(new MessageEvent('message', {
-                        data: message.data
-                    }));
-                    await this.deleteFile(file); // Clean up processed message
+            if (this._isOwnFile(file)) continue; // Don't process own messages
+            const signalData = await this.loadFromFile(file);
+            if (!signalData) continue; // It may be under writing
+            if (this._isStale(signalData)) {
+                await this.deleteFile(file);
+                continue;
+            }
+            if (signalData.to && signalData.to !== this._id) continue;
+            loaded.push({file, signalData});
+        }
+        return loaded.sort((a, b) => (a.signalData.timestamp - b.signalData.timestamp) ||
+            a.file.localeCompare(b.file));
+    }
+
+    async pollMessages () {
+        if (!this._connected || this._polling) return;
+        this._polling = true;
+        try {
+            const messages = await this.loadOthersMessages();
+            for (const {file, signalData} of messages) {
+                if (!signalData.data) continue;
+                if (signalData.to) {
+                    // Messages to all are left for the other peers.
+                    await this.deleteFile(file);
                 }
+                this.dispatchEvent(new MessageEvent('message', {
+                    data: signalData.data
+                }));
+                log.debug('Message received:', signalData.data);
             }
+        } catch (err) {
+            log.warn('Error polling messages:', err);
+        } finally {
+            this._polling = false;
+        }
+    }
+
+    /**
+     * Remove the files which were left by crashed sessions.
+     */
+    async removeStaleFiles () {
+        const files = await this.listSignalFiles();
+        for (const file of files) {
+            const signalData = await this.loadFromFile(file);
+            if (signalData && this._isStale(signalData)) {
+                await this.deleteFile(file);
+                log.debug('Stale file removed:', file);
+            }
+        }
+    }
+
+    /**
+     * Start offering a signaling session.
+     * @param {object} offer - The offer to send.
+     * @returns {Promise} - A promise that resolves when the offer is sent.
+     */
+    async startOffering (offer) {
+        if (this.signalingState !== 'connected') return;
+        this.startPolling();
+        await this.send(offer);
+        log.log(`Offering signal ${this.signalName} from ${this._id}`);
+    }
+
+    startAnswering () {
+        if (this.signalingState !== 'connected') return;
+        this.startPolling();
+    }
+
+    stopNegotiation () {
+        this.stopPolling();
+    }
+
+    async deleteOwnMessages () {
+        if (!this._connected) return;
+        const files = await this.listSignalFiles();
+        await Promise.all(files
+            .filter(file => this._isOwnFile(file))
+            .map(file => this.deleteFile(file)));
+        log.debug('Own messages deleted');
+    }
+
+    async isOffering () {
+        if (!this._connected) return false;
+        try {
+            const messages = await this.loadOthersMessages();
+            return messages.some(({signalData}) => signalData.type === 'offer');
+        } catch (err) {
+            log.warn('Error checking if offering:', err);
+            return false;
         }
     }
 
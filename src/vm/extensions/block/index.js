@@ -4,6 +4,12 @@ import Cast from '../../util/cast';
 import translations from './translations.json';
 import blockIcon from './block-icon.png';
 import SharingPeer from './sharing-peer';
+import SharedVariables from './shared-variables';
+import SpriteMirror from './sprite-mirror';
+import {toScratchValue, parseJSONValue, getPath, setPath} from './json-value';
+import {signalingChannelTypes} from './signaling-channels';
+import {makeQRCodeSVG, scanQRCode} from './qr-code';
+import {addSVGCostume, addCostumeFromData, addSoundFromData, dataURLToBytes} from './asset-util';
 
 /**
  * Formatter which is used for translation.
@@ -86,8 +92,9 @@ class ExtensionBlocks {
     /**
      * Construct a set of blocks for P2P.
      * @param {Runtime} runtime - the Scratch 3.0 runtime.
+     * @param {VirtualMachine} [vm] - the virtual machine if the loader hands it in.
      */
-    constructor (runtime) {
+    constructor (runtime, vm) {
         /**
          * The Scratch 3.0 runtime.
          * @type {Runtime}
@@ -105,52 +112,404 @@ class ExtensionBlocks {
          */
         this.peer = new SharingPeer();
 
-        this.peer.addEventListener('dataChannelStateChanged', event => {
-            if (event.detail === 'open') {
-                this.peer.stopNegotiation();
-            }
-            if (event.detail === 'closed') {
-                this.peer.disconnectPeer();
-            }
-        });
+        /**
+         * The variables and lists which are bound to the shared data.
+         * @type {SharedVariables}
+         */
+        this.sharedVariables = new SharedVariables(this.peer);
+
+        /**
+         * The sprites which are mirrored to the peers and their copies from the peers.
+         * @type {SpriteMirror}
+         */
+        this.spriteMirror = new SpriteMirror(this.runtime, this.peer);
+
+        /**
+         * The last change of a shared value: key, value, previous value and the peer which changed it.
+         * @type {?object}
+         */
+        this.lastValueChange = null;
+
+        /**
+         * Number of the changes by the keys, to find the changes for the hats.
+         * @type {Object<string, number>}
+         */
+        this.valueChangeCounts = {};
+
+        /**
+         * The number of the changes of the key which each hat saw last, by the target and the hat block.
+         * @type {Map<string, {key: string, count: number, fired: boolean}>}
+         */
+        this._seenValueChanges = new Map();
+
+        /**
+         * The event which each thread handles.
+         * @type {WeakMap<Thread, object>}
+         */
+        this._threadEvents = new WeakMap();
+
+        /**
+         * The event or the question whose hats are being started.
+         * The runtime runs the predicates of the hats before it returns the threads to keep the event.
+         * @type {?object}
+         */
+        this._startingEvent = null;
+
+        /**
+         * The received events whose hats wait for the scripts of the previous event.
+         * @type {Array<object>}
+         */
+        this._hatEvents = [];
+
+        /**
+         * Maximum number of the events waiting to start the hats. The oldest one is dropped over it.
+         * @type {number}
+         */
+        this.maxHatEvents = 100;
+
+        /**
+         * Maximum number of the frames to wait for the scripts of the previous event.
+         * @type {number}
+         */
+        this.maxHatEventWaits = 3;
+
+        /**
+         * The threads which the hats for the last event started.
+         * @type {Array<Thread>}
+         */
+        this._hatEventThreads = [];
+
+        this._hatEventWaits = 0;
+        this._hatEventTimeoutId = null;
+
+        /**
+         * Types of the events which were sent or received, for the menu.
+         * @type {Set<string>}
+         */
+        this.eventTypes = new Set();
+
+        /**
+         * Time to wait for the reply of "ask peer" in milliseconds.
+         * @type {number}
+         */
+        this.askTimeout = 5000;
+
+        /**
+         * The question which each thread started by "when peer asks" replies to.
+         * @type {WeakMap<Thread, object>}
+         */
+        this._threadRequests = new WeakMap();
+
+        /**
+         * The costume or the sound which each thread started by "when asset received" handles.
+         * @type {WeakMap<Thread, object>}
+         */
+        this._threadAssets = new WeakMap();
+
+        /**
+         * The asset which was received last.
+         * @type {?object}
+         */
+        this.lastAsset = null;
+
+        /**
+         * The virtual machine which was handed in at the loading.
+         * @type {?VirtualMachine}
+         */
+        this._vm = vm || null;
+
+        /**
+         * The sprite file which each thread started by "when sprite received" handles.
+         * @type {WeakMap<Thread, object>}
+         */
+        this._threadSprites = new WeakMap();
+
+        /**
+         * The sprite file which was received last and is not accepted or rejected yet.
+         * @type {?object}
+         */
+        this.lastSprite = null;
+
+        /**
+         * Progress of the sprite file which was sent or received last, in percent.
+         * @type {number}
+         */
+        this.spriteProgress = 0;
+
+        /**
+         * The message from a player which each thread started by "when player sends" decides on the host.
+         * @type {WeakMap<Thread, object>}
+         */
+        this._threadRelayed = new WeakMap();
+
+        /**
+         * Time to wait for "accept player's message" or "reject player's message" in milliseconds.
+         * The message is accepted if no script decided it in this time.
+         * @type {number}
+         */
+        this.relayDecisionTimeout = 1000;
+
+        /**
+         * The filter of the messages from the players, which is set to the peer
+         * only while the project has "when player sends".
+         * @type {function(object, string): (object|Promise<?object>)}
+         */
+        this._relayFilter = this.filterRelayed.bind(this);
+        this.updateRelayFilter();
+
         this.peer.addEventListener('sharedEvent', event => this.onSharedEvent(event.detail));
+        this.peer.addEventListener('requestReceived', event => this.onRequestReceived(event.detail));
+        this.peer.addEventListener('assetReceived', event => this.onAssetReceived(event.detail));
+        this.peer.addEventListener('spriteReceived', event => this.onSpriteReceived(event.detail));
+        this.peer.addEventListener('spriteProgress', event => {
+            const progress = event.detail;
+            this.spriteProgress = progress.total > 0 ? Math.floor((progress.loaded / progress.total) * 100) : 100;
+        });
+        this.peer.addEventListener('valueChanged', event => this.onValueChanged(event.detail));
+        this.peer.addEventListener('reconnected', () => {
+            this.runtime.startHats('xcxP2P_whenPeerReconnected');
+        });
+        this.peer.addEventListener('peerJoined', () => {
+            this.runtime.startHats('xcxP2P_whenPeerJoinedOrLeft', {JOIN_STATE: 'joined'});
+        });
+        this.peer.addEventListener('peerLeft', () => {
+            this.runtime.startHats('xcxP2P_whenPeerJoinedOrLeft', {JOIN_STATE: 'left'});
+        });
 
         this.runtime.on('PROJECT_STOP_ALL', this.stopSignaling.bind(this));
+        this.runtime.on('PROJECT_STOP_ALL', () => this._clearHatEvents());
+        this.runtime.on('PROJECT_STOP_ALL', () => this.spriteMirror.stopAll());
+        this.runtime.on('PROJECT_STOP_ALL', () => this.sharedVariables.stopAll());
+        // The variables of the loaded project are other objects than the bound ones.
+        this.runtime.on('PROJECT_LOADED', () => this.sharedVariables.stopAll());
+        this.runtime.on('PROJECT_LOADED', () => this.updateRelayFilter());
+        this.runtime.on('PROJECT_CHANGED', () => this.updateRelayFilter());
     }
 
-    async makeSignal (args) {
-        const signalName = String(args.SIGNAL_NAME).trim();
-        if (this.peer.signalName === signalName &&
-            this.peer.signalingState === 'offering') {
-            return 'Already offering';
-        }
-        try {
-            await this.peer.connectSignalingChannel(signalName);
-            await this.peer.startOffering();
-            return `Offering signal ${signalName}`;
-        } catch (e) {
-            return `Failed to offer signal ${signalName}: ${e}`;
+    /**
+     * The virtual machine to export and load the sprites.
+     * It is the one handed in at the loading, otherwise the one which the editor set on the runtime later.
+     * @type {?VirtualMachine}
+     */
+    get vm () {
+        return this._vm || this.runtime.vm || null;
+    }
+
+    /**
+     * Menu items of the registered signaling channels.
+     * @return {Array<object>} - menu items
+     */
+    getSignalingChannelMenu () {
+        const names = {
+            sheet: formatMessage({
+                id: 'xcxP2P.signalingChannelMenu.sheet',
+                default: 'Google Sheet'
+            }),
+            websocket: formatMessage({
+                id: 'xcxP2P.signalingChannelMenu.websocket',
+                default: 'WebSocket relay'
+            }),
+            local: formatMessage({
+                id: 'xcxP2P.signalingChannelMenu.local',
+                default: 'tabs in this browser'
+            }),
+            file: formatMessage({
+                id: 'xcxP2P.signalingChannelMenu.file',
+                default: 'shared folder'
+            })
+        };
+        return signalingChannelTypes().map(type => ({
+            text: names[type] || type,
+            value: type
+        }));
+    }
+
+    /**
+     * Menu items of the variables which the editing target can use.
+     * @return {Array<object>} - menu items
+     */
+    getVariableMenu () {
+        return this.variableMenuOf('');
+    }
+
+    /**
+     * Menu items of the lists which the editing target can use.
+     * @return {Array<object>} - menu items
+     */
+    getListMenu () {
+        return this.variableMenuOf('list');
+    }
+
+    /**
+     * Menu items of the event types which were sent or received.
+     * @return {Array<object>} - menu items
+     */
+    getEventTypeMenu () {
+        const types = Array.from(this.eventTypes).sort();
+        if (types.length === 0) {
+            types.push(formatMessage({
+                id: 'xcxP2P.sendEvent.defaultEvent',
+                default: 'event'
+            }));
         }
+        return types.map(type => ({text: type, value: type}));
     }
 
-    async connectSignal (args) {
-        const signalName = String(args.SIGNAL_NAME).trim();
-        if (this.peer.signalName === signalName &&
-            this.peer.signalingState === 'answering') {
-            return Promise.resolve('Already answering');
+    /**
+     * Menu items of the sprites in the project.
+     * @return {Array<object>} - menu items
+     */
+    getSpriteMenu () {
+        const names = this.runtime.targets
+            .filter(target => target.isOriginal && !target.isStage)
+            .map(target => target.getName());
+        if (names.length === 0) return [''];
+        return names.map(name => ({text: name, value: name}));
+    }
+
+    /**
+     * Menu items of the stage and the sprites in the project.
+     * @return {Array<object>} - menu items
+     */
+    getTargetMenu () {
+        const stage = {
+            text: formatMessage({
+                id: 'xcxP2P.targetMenu.stage',
+                default: 'Stage'
+            }),
+            value: '_stage_'
+        };
+        return [stage].concat(this.runtime.targets
+            .filter(target => target.isOriginal && !target.isStage)
+            .map(target => ({text: target.getName(), value: target.getName()})));
+    }
+
+    /**
+     * Menu items of the sounds of the editing target.
+     * @return {Array<object>} - menu items
+     */
+    getSoundMenu () {
+        const target = this.runtime.getEditingTarget();
+        const names = target ? target.getSounds().map(sound => sound.name) : [];
+        if (names.length === 0) return [''];
+        return names.map(name => ({text: name, value: name}));
+    }
+
+    /**
+     * The stage or the sprite of the name in the target menu.
+     * @param {string} name - '_stage_' or the name of the sprite
+     * @return {?RenderedTarget} - the target, or null if not found
+     */
+    targetOf (name) {
+        if (name === '_stage_') return this.runtime.getTargetForStage();
+        return this.runtime.getSpriteTargetByName(name) || null;
+    }
+
+    /**
+     * Menu items of the variables of the type.
+     * @param {string} type - '' for the scalar variables or 'list' for the lists
+     * @return {Array<object>} - menu items
+     */
+    variableMenuOf (type) {
+        const target = this.runtime.getEditingTarget();
+        const names = target ? target.getAllVariableNamesInScopeByType(type) : [];
+        if (names.length === 0) return [''];
+        return names.sort()
+            .map(name => ({text: name, value: name}));
+    }
+
+    /**
+     * Change the signaling channel which is used to connect the peer.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.CHANNEL - the type of the signaling channel.
+     * @return {Promise<string>} - resolve with the result of changing the channel.
+     */
+    async setSignalingChannel (args) {
+        const type = String(args.CHANNEL).trim();
+        if (!signalingChannelTypes().includes(type)) {
+            return `Unknown signaling channel: ${type}`;
         }
-        try {
-            await this.peer.connectSignalingChannel(signalName);
-            await this.peer.startAnswering();
-            return `Answering signal ${signalName}`;
-        } catch (e) {
-            return `Failed to answer signal ${signalName}: ${e}`;
+        if (this.peer.signalingChannelType === type) {
+            return `Already using ${type}`;
+        }
+        await this.peer.stopNegotiation();
+        this.peer.setSignalingChannel(type);
+        return `Using ${type} for signaling`;
+    }
+
+    /**
+     * Set the URL of the signaling server for the current signaling channel.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.URL - the URL of the server.
+     * @return {Promise<string>} - resolve with the result of setting the URL.
+     */
+    async setSignalingServer (args) {
+        const url = Cast.toString(args.URL).trim();
+        if (!url) return 'No URL';
+        if (!this.peer.signalingChannel.usesServer) {
+            return `${this.peer.signalingChannelType} has no server`;
         }
+        await this.peer.stopNegotiation();
+        this.peer.setSignalingServerUrl(url);
+        return `Signaling server: ${url}`;
+    }
+
+    /**
+     * Add a STUN/TURN server for the peer connection.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.URL - the URL of the server.
+     * @param {string} args.USERNAME - the username for TURN.
+     * @param {string} args.CREDENTIAL - the credential for TURN.
+     * @return {string} - the result of adding the server.
+     */
+    addIceServer (args) {
+        const url = Cast.toString(args.URL).trim();
+        if (!url) return 'No URL';
+        const username = Cast.toString(args.USERNAME).trim();
+        const credential = Cast.toString(args.CREDENTIAL);
+        this.peer.addIceServer(url, username, credential);
+        return `ICE server added: ${url}`;
+    }
+
+    /**
+     * Remove all STUN/TURN servers.
+     * @return {string} - the result of clearing the servers.
+     */
+    clearIceServers () {
+        this.peer.clearIceServers();
+        return 'ICE servers cleared';
     }
 
+    /**
+     * Join the room as the old offering block.
+     * There is no difference between offering and answering in the room.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.SIGNAL_NAME - the signal name.
+     * @return {Promise<string>} - resolve with the result of joining.
+     */
+    makeSignal (args) {
+        return this.connectPeer(args);
+    }
+
+    /**
+     * Join the room as the old answering block.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.SIGNAL_NAME - the signal name.
+     * @return {Promise<string>} - resolve with the result of joining.
+     */
+    connectSignal (args) {
+        return this.connectPeer(args);
+    }
+
+    /**
+     * Join the room of the signal name and wait for a peer.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.SIGNAL_NAME - the signal name.
+     * @return {Promise<string>} - resolve with the result of connecting.
+     */
     async connectPeer (args) {
         const signalName = String(args.SIGNAL_NAME).trim();
-        if (this.peer.signalName === signalName && this.peer.isConnected()) {
+        if (this.peer.signalName === signalName && this.peer.signalingState === 'joined') {
             return 'Already connected';
         }
         try {
@@ -161,231 +520,2153 @@ class ExtensionBlocks {
         }
     }
 
-    isPeerConnected () {
-        return this.peer.isConnected();
+    /**
+     * Host the room of the signal name as the hub which relays the messages of the clients.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.SIGNAL_NAME - the signal name.
+     * @return {Promise<string>} - resolve with the result of hosting.
+     */
+    async hostRoom (args) {
+        const signalName = String(args.SIGNAL_NAME).trim();
+        if (this.peer.hosting && this.peer.signalName === signalName &&
+            this.peer.signalingState === 'joined') {
+            return 'Already hosting';
+        }
+        try {
+            await this.peer.hostRoom(signalName);
+            return `Hosting room ${signalName}`;
+        } catch (e) {
+            return `Failed to host room ${signalName}: ${e}`;
+        }
     }
 
-    whenPeerConnected () {
-        return this.peer.isConnected();
+    /**
+     * Turn on/off relaying the values or the events from a client to the other clients.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.RELAY_TYPE - 'values' or 'events'.
+     * @param {string} args.STATE - 'on' or 'off'.
+     */
+    setRelay (args) {
+        const relay = (args.STATE === 'on');
+        if (args.RELAY_TYPE === 'events') {
+            this.peer.relayEvents = relay;
+        } else {
+            this.peer.relayValues = relay;
+        }
     }
 
-    whenPeerDisconnected () {
-        return !this.peer.isConnected();
+    /**
+     * Set the filter of the messages from the players to the peer if the project has "when player sends",
+     * otherwise remove it, so that the messages do not wait for the scripts which do not exist.
+     * A filter which was set by other code is kept.
+     */
+    updateRelayFilter () {
+        if (this.peer.relayFilter && this.peer.relayFilter !== this._relayFilter) return;
+        let found = false;
+        if (this.runtime.allScriptsByOpcodeDo) {
+            this.runtime.allScriptsByOpcodeDo('xcxP2P_whenPlayerSends', () => {
+                found = true;
+            });
+        }
+        this.peer.relayFilter = found ? this._relayFilter : null;
     }
 
-    async stopSignaling () {
-        await this.peer.stopNegotiation();
+    /**
+     * Let the scripts of the host accept or reject a value or an event from a player.
+     * It starts "when player sends" and the message waits until a thread decides it,
+     * or it is accepted when the threads ended without deciding it, or at once if no script handles it.
+     * @param {object} message - the message from the player.
+     * @param {string} from - ID of the player.
+     * @return {object|Promise<?object>} - the message to relay, or a promise which resolves with it or null.
+     */
+    filterRelayed (message, from) {
+        const relayType = this.peer.isRelayedEvent(message) ? 'events' : 'values';
+        const threads = this.runtime.startHats('xcxP2P_whenPlayerSends', {RELAY_TYPE: relayType});
+        if (!threads || threads.length === 0) return message;
+        return new Promise(resolve => {
+            const relayed = {
+                message: message,
+                from: from,
+                settled: false
+            };
+            const startedAt = Date.now();
+            const frameTime = this.runtime.currentStepTime || (1000 / 30);
+            let timeoutId = null;
+            const check = () => {
+                const running = threads.some(thread => this.runtime.isActiveThread(thread));
+                if (!running || Date.now() - startedAt >= this.relayDecisionTimeout) {
+                    relayed.decide(true);
+                    return;
+                }
+                timeoutId = setTimeout(check, frameTime);
+            };
+            relayed.decide = accept => {
+                if (relayed.settled) return;
+                relayed.settled = true;
+                clearTimeout(timeoutId);
+                resolve(accept ? message : null);
+            };
+            threads.forEach(thread => this._threadRelayed.set(thread, relayed));
+            timeoutId = setTimeout(check, frameTime);
+        });
     }
 
-    async disconnectPeer () {
-        await this.peer.stopNegotiation();
-        this.peer.disconnectPeer();
+    /**
+     * Return a part of the message from a player which started the thread.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.PART - 'name', 'data' or 'player'.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the name of the value or the event, its value or data, or the ID of the player.
+     */
+    playerMessage (args, util) {
+        const relayed = util && util.thread && this._threadRelayed.get(util.thread);
+        if (!relayed) return '';
+        const message = relayed.message;
+        if (args.PART === 'player') return relayed.from;
+        if (args.PART === 'data') {
+            if (message.type === 'SET_VALUE') return message.content.value;
+            if (message.type === 'EVENT') return message.content.data;
+            return '';
+        }
+        return this.peer.relayedNameOf(message);
     }
 
     /**
-     * Return the value of the key.
+     * Accept the message from a player to relay it, or reject it to drop it.
      * @param {object} args - arguments for the block.
-     * @param {string} args.KEY - the key.
-     * @return {string} - the value of the key.
+     * @param {string} args.ACTION - 'accept' or 'reject'.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the result of accepting or rejecting.
      */
-    valueOf (args) {
-        const key = String(args.KEY).trim();
-        return this.peer.valueOf(key);
+    acceptPlayerMessage (args, util) {
+        const relayed = util && util.thread && this._threadRelayed.get(util.thread);
+        if (!relayed || relayed.settled) return 'No message from player';
+        const accept = (args.ACTION !== 'reject');
+        relayed.decide(accept);
+        const name = this.peer.relayedNameOf(relayed.message);
+        return `${accept ? 'Accepted' : 'Rejected'} ${name} from ${relayed.from}`;
     }
 
     /**
-     * Set the value of the key.
+     * Select the data channel to send the values or the events.
+     * On the unreliable channel, a message may be lost or overtaken, and only the latest one
+     * of each key or event type in a short interval is sent.
      * @param {object} args - arguments for the block.
-     * @param {string} args.KEY - the key.
-     * @param {string} args.VALUE - the value.
-     * @return {string} - the result of setting the value.
+     * @param {string} args.DATA_TYPE - 'values' or 'events'.
+     * @param {string} args.DELIVERY - 'reliable' or 'unreliable'.
      */
-    setValue (args) {
-        const key = String(args.KEY).trim();
-        const value = Cast.toString(args.VALUE);
-        return this.peer.setValue(key, value);
+    setDelivery (args) {
+        const unreliable = (args.DELIVERY === 'unreliable');
+        if (args.DATA_TYPE === 'events') {
+            this.peer.unreliableEvents = unreliable;
+        } else {
+            this.peer.unreliableValues = unreliable;
+        }
     }
 
     /**
-     * Return the last event type.
-     * @return {string} - the last event type.
+     * Return the offer code to connect a peer without the signaling channel.
+     * It makes a new offer for another peer unless the last code is waiting for the answer.
+     * @return {Promise<string>} - resolve with the offer code.
      */
-    lastEventType () {
-        return this.peer.lastEventType();
+    offerCode () {
+        if (this.peer.offerCode && this.peer.isOfferingCode()) {
+            return Promise.resolve(this.peer.offerCode);
+        }
+        if (!this._offerCodePromise) {
+            this._offerCodePromise = this.peer.createOfferCode()
+                .catch(() => '')
+                .finally(() => {
+                    this._offerCodePromise = null;
+                });
+        }
+        return this._offerCodePromise;
     }
 
     /**
-     * Return the last event data.
-     * @return {string} - the last event data.
+     * Accept the offer code or the answer code from the other peer.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.CODE - the code.
+     * @return {Promise<string>} - resolve with the result of accepting the code.
      */
-    lastEventData () {
-        return this.peer.lastEventData();
+    async acceptCode (args) {
+        const code = Cast.toString(args.CODE).trim();
+        if (!code) return 'No code';
+        try {
+            await this.peer.acceptSignalCode(code);
+            return 'Code accepted';
+        } catch (e) {
+            return `Failed to accept code: ${e.message}`;
+        }
     }
 
     /**
-     * Send the event.
+     * Return the answer code for the accepted offer code.
+     * @return {string} - the answer code or empty string.
+     */
+    answerCode () {
+        return this.peer.answerCode || '';
+    }
+
+    /**
+     * Show the code as a QR code costume of the sprite.
      * @param {object} args - arguments for the block.
-     * @param {string} args.TYPE - the event type.
-     * @param {string} args.DATA - the event data.
-     * @return {Promise<string>} - resolve with the result of sending the event.
+     * @param {string} args.CODE - the code.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the result of showing the code.
      */
-    sendEvent (args) {
-        const type = String(args.TYPE).trim();
-        const data = Cast.toString(args.DATA);
-        return this.peer.sendEvent(type, data);
+    showQRCode (args, util) {
+        const code = Cast.toString(args.CODE).trim();
+        if (!code) return 'No code';
+        try {
+            const svg = makeQRCodeSVG(code);
+            addSVGCostume(this.runtime, util.target, 'P2P code', svg);
+            return 'QR code shown';
+        } catch (e) {
+            return `Failed to show QR code: ${e.message}`;
+        }
     }
 
     /**
-     * Handle the shared event.
-     * @param {object} event - The event data.
+     * Return the code in the QR code which is captured by the camera.
+     * The video is turned on to scan and turned off when a code was found.
+     * @return {Promise<string>} - resolve with the code or empty string.
      */
-    onSharedEvent (event) {
-        this.peer.lastDataChannelEvent = event;
-        this.runtime.startHats('xcxP2P_whenEventReceived');
+    async scanCode () {
+        const video = this.runtime.ioDevices.video;
+        if (!video.videoReady) {
+            await video.enableVideo();
+            return '';
+        }
+        const frame = video.getFrame({
+            format: 'image-data',
+            mirror: false
+        });
+        if (!frame) return '';
+        const code = scanQRCode(frame);
+        if (code) {
+            video.disableVideo();
+        }
+        return code;
+    }
+
+    isPeerConnected () {
+        return this.peer.isConnected();
     }
 
     /**
-     * @returns {object} metadata for this extension and its blocks.
+     * Whether the peer is connected or being reconnected.
+     * The hats should not be triggered by the temporary disconnection.
+     * @return {boolean} - true if the peer is present.
      */
-    getInfo () {
-        setupTranslations();
-        return {
-            id: ExtensionBlocks.EXTENSION_ID,
-            name: ExtensionBlocks.EXTENSION_NAME,
-            extensionURL: ExtensionBlocks.extensionURL,
-            blockIconURI: blockIcon,
-            showStatusButton: false,
-            blocks: [
-                {
-                    opcode: 'connectPeer',
-                    blockType: BlockType.COMMAND,
-                    text: formatMessage({
-                        id: 'xcxP2P.connectPeer',
-                        default: 'connect peer [SIGNAL_NAME]',
-                        description: 'connect the WebRTC peer connection'
-                    }),
-                    arguments: {
-                        SIGNAL_NAME: {
-                            type: ArgumentType.STRING,
-                            defaultValue: 'name'
-                        }
-                    },
-                    func: 'connectPeer'
+    isPeerPresent () {
+        return this.peer.isConnected() || this.peer.isReconnecting();
+    }
+
+    whenPeerConnected () {
+        return this.isPeerPresent();
+    }
+
+    whenPeerDisconnected () {
+        return !this.isPeerPresent();
+    }
+
+    /**
+     * Turn on/off the automatic reconnection.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.STATE - 'on' or 'off'.
+     */
+    setAutoReconnect (args) {
+        this.peer.autoReconnect = (args.STATE === 'on');
+    }
+
+    /**
+     * Return the ID of this peer.
+     * @return {string} - the peer ID.
+     */
+    myPeerId () {
+        return this.peer.peerId;
+    }
+
+    /**
+     * Set the display name of this peer which is shown to the others.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.NAME - the name.
+     * @return {string} - the result of setting the name.
+     */
+    setMyName (args) {
+        const name = Cast.toString(args.NAME).trim();
+        this.peer.setPeerName(name);
+        return `My name: ${name}`;
+    }
+
+    /**
+     * Return the number of the other peers in the room.
+     * @return {number} - the number of the peers.
+     */
+    peerCount () {
+        return this.peer.roster.size;
+    }
+
+    /**
+     * Return the name of the peer.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.N - ID of the peer, or its index from 1 in the order they joined.
+     * @return {string} - the name of the peer or empty string.
+     */
+    nameOfPeer (args) {
+        const id = Cast.toString(args.N).trim();
+        if (id === this.peer.peerId || this.peer.roster.has(id)) {
+            return this.peer.nameOf(id);
+        }
+        const index = Cast.toNumber(args.N) - 1;
+        const ids = this.peer.rosterIds();
+        if (index < 0 || index >= ids.length) return '';
+        return this.peer.nameOf(ids[Math.floor(index)]);
+    }
+
+    async stopSignaling () {
+        await this.peer.stopNegotiation();
+    }
+
+    async disconnectPeer () {
+        await this.peer.stopNegotiation();
+        this.peer.disconnectPeer();
+    }
+
+    /**
+     * Return the value of the key.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.KEY - the key.
+     * @return {string|number|boolean} - the value of the key, or JSON text of an object.
+     */
+    valueOf (args) {
+        const key = String(args.KEY).trim();
+        return toScratchValue(this.peer.valueOf(key));
+    }
+
+    /**
+     * Set the value of the key.
+     * The type of the value, such as a number or a boolean, is kept on the peers.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.KEY - the key.
+     * @param {string|number|boolean} args.VALUE - the value.
+     * @return {string} - the result of setting the value.
+     */
+    setValue (args) {
+        const key = String(args.KEY).trim();
+        return this.peer.setValue(key, args.VALUE);
+    }
+
+    /**
+     * Handle the change of a shared value by this peer or a remote peer.
+     * @param {object} change - key, value, previous value and the peer which changed it.
+     */
+    onValueChanged (change) {
+        this.lastValueChange = change;
+        this.valueChangeCounts[change.key] = (this.valueChangeCounts[change.key] || 0) + 1;
+    }
+
+    /**
+     * Whether the value of the key was changed since this hat checked last.
+     * The runtime starts an edge-activated hat when it turns true, so it turns false on the next check
+     * to start again by the next change.
+     * The changes in a frame start the hat once.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.KEY - the key.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {boolean} - true if the value was changed.
+     */
+    whenValueChanged (args, util) {
+        const key = String(args.KEY).trim();
+        const count = this.valueChangeCounts[key] || 0;
+        const hatId = `${util.target.id}/${util.thread.topBlock}`;
+        const seen = this._seenValueChanges.get(hatId);
+        if (!seen || seen.key !== key) {
+            // The changes before the hat was placed do not start it.
+            this._seenValueChanges.set(hatId, {key: key, count: count, fired: false});
+            return false;
+        }
+        if (seen.fired) {
+            seen.fired = false;
+            return false;
+        }
+        if (seen.count === count) return false;
+        seen.count = count;
+        seen.fired = true;
+        return true;
+    }
+
+    /**
+     * Return the key of the value which was changed last.
+     * @return {string} - the key.
+     */
+    lastChangedKey () {
+        return this.lastValueChange ? this.lastValueChange.key : '';
+    }
+
+    /**
+     * Return the value before the last change.
+     * @return {string|number|boolean} - the previous value.
+     */
+    previousValue () {
+        return this.lastValueChange ? toScratchValue(this.lastValueChange.previous) : '';
+    }
+
+    /**
+     * Return the ID of the peer which made the last change, including this peer.
+     * @return {string} - the peer ID.
+     */
+    valueChangedBy () {
+        return this.lastValueChange ? this.lastValueChange.from : '';
+    }
+
+    /**
+     * Return the part of the value of the key at the JSON path.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.KEY - the key.
+     * @param {string} args.PATH - the path such as 'player.items[0]'.
+     * @return {string|number|boolean} - the part, or empty string if it does not exist.
+     */
+    valueAtPath (args) {
+        const key = String(args.KEY).trim();
+        return toScratchValue(getPath(this.peer.valueOf(key), Cast.toString(args.PATH)));
+    }
+
+    /**
+     * Set the part of the value of the key at the JSON path.
+     * The value is read as JSON if it is, so that numbers, booleans, objects and arrays can be set.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.PATH - the path such as 'player.items[0]'.
+     * @param {string} args.KEY - the key.
+     * @param {string} args.VALUE - the new part.
+     * @return {Promise<string>} - resolve with the result of setting the value.
+     */
+    setValueAtPath (args) {
+        const key = String(args.KEY).trim();
+        const value = setPath(this.peer.valueOf(key), Cast.toString(args.PATH), parseJSONValue(args.VALUE));
+        return this.peer.setValue(key, value);
+    }
+
+    /**
+     * Change the value of the key by the number.
+     * The changes by the peers at the same time are added up.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.KEY - the key.
+     * @param {number} args.N - the number to add.
+     * @return {Promise<string>} - resolve with the result of changing the value.
+     */
+    changeValue (args) {
+        const key = String(args.KEY).trim();
+        const delta = Cast.toNumber(args.N);
+        return this.peer.changeValue(key, delta);
+    }
+
+    /**
+     * Add the item at the end of the shared list.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.LIST - the name of the list.
+     * @param {string} args.ITEM - the item.
+     * @return {Promise<string>} - resolve with the result of adding the item.
+     */
+    addToList (args) {
+        const name = String(args.LIST).trim();
+        return this.peer.addToList(name, Cast.toString(args.ITEM));
+    }
+
+    /**
+     * Insert the item at the position of the shared list.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.LIST - the name of the list.
+     * @param {string} args.INDEX - the position from 1, or 'last' or 'random'.
+     * @param {string} args.ITEM - the item.
+     * @return {Promise<string>} - resolve with the result of inserting the item.
+     */
+    insertToList (args) {
+        const name = String(args.LIST).trim();
+        const length = this.peer.listItems(name).length;
+        const index = Cast.toListIndex(args.INDEX, length + 1, false);
+        if (index === Cast.LIST_INVALID) return `Invalid index: ${args.INDEX}`;
+        return this.peer.insertToList(name, index - 1, Cast.toString(args.ITEM));
+    }
+
+    /**
+     * Delete the item at the position of the shared list.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.LIST - the name of the list.
+     * @param {string} args.INDEX - the position from 1, or 'last' or 'random'.
+     * @return {Promise<string>} - resolve with the result of deleting the item.
+     */
+    deleteOfList (args) {
+        const name = String(args.LIST).trim();
+        const index = Cast.toListIndex(args.INDEX, this.peer.listItems(name).length, false);
+        if (index === Cast.LIST_INVALID) return `Invalid index: ${args.INDEX}`;
+        return this.peer.deleteOfList(name, index - 1);
+    }
+
+    /**
+     * Replace the item at the position of the shared list.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.LIST - the name of the list.
+     * @param {string} args.INDEX - the position from 1, or 'last' or 'random'.
+     * @param {string} args.ITEM - the new item.
+     * @return {Promise<string>} - resolve with the result of replacing the item.
+     */
+    replaceOfList (args) {
+        const name = String(args.LIST).trim();
+        const index = Cast.toListIndex(args.INDEX, this.peer.listItems(name).length, false);
+        if (index === Cast.LIST_INVALID) return `Invalid index: ${args.INDEX}`;
+        return this.peer.replaceOfList(name, index - 1, Cast.toString(args.ITEM));
+    }
+
+    /**
+     * Return the item at the position of the shared list.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.LIST - the name of the list.
+     * @param {string} args.INDEX - the position from 1, or 'last' or 'random'.
+     * @return {string} - the item or empty string.
+     */
+    itemOfList (args) {
+        const items = this.peer.listItems(String(args.LIST).trim());
+        const index = Cast.toListIndex(args.INDEX, items.length, false);
+        if (index === Cast.LIST_INVALID) return '';
+        return items[index - 1];
+    }
+
+    /**
+     * Return the number of the items in the shared list.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.LIST - the name of the list.
+     * @return {number} - the length of the list.
+     */
+    lengthOfList (args) {
+        return this.peer.listItems(String(args.LIST).trim()).length;
+    }
+
+    /**
+     * Whether the shared list contains the item, ignoring the case as the list of Scratch.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.LIST - the name of the list.
+     * @param {string} args.ITEM - the item.
+     * @return {boolean} - true if the list contains the item.
+     */
+    listContains (args) {
+        const items = this.peer.listItems(String(args.LIST).trim());
+        return items.some(item => Cast.compare(item, args.ITEM) === 0);
+    }
+
+    /**
+     * Bind the variable to the shared value of the key.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.VAR - the name of the variable.
+     * @param {string} args.KEY - the key.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the result of binding.
+     */
+    shareVariable (args, util) {
+        const name = Cast.toString(args.VAR);
+        const key = String(args.KEY).trim();
+        const variable = util.target.lookupVariableByNameAndType(name, '');
+        if (!variable) return `No variable: ${name}`;
+        this.sharedVariables.shareVariable(variable, key);
+        return `Sharing ${name} as ${key}`;
+    }
+
+    /**
+     * Bind the list to the shared list of the key.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.LIST - the name of the list.
+     * @param {string} args.KEY - the name of the shared list.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the result of binding.
+     */
+    shareList (args, util) {
+        const name = Cast.toString(args.LIST);
+        const key = String(args.KEY).trim();
+        const list = util.target.lookupVariableByNameAndType(name, 'list');
+        if (!list) return `No list: ${name}`;
+        this.sharedVariables.shareList(list, key);
+        return `Sharing ${name} as ${key}`;
+    }
+
+    /**
+     * Unbind the variable or the list from the key.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.KEY - the key or the name of the shared list.
+     * @return {string} - the result of unbinding.
+     */
+    stopSharing (args) {
+        const key = String(args.KEY).trim();
+        this.sharedVariables.stopSharing(key);
+        return `Stopped sharing ${key}`;
+    }
+
+    /**
+     * Start sending the state of the sprite to the peers.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.SPRITE - the name of the sprite.
+     * @return {string} - the result of starting.
+     */
+    mirrorSprite (args) {
+        const name = Cast.toString(args.SPRITE);
+        if (!this.runtime.getSpriteTargetByName(name)) return `No sprite: ${name}`;
+        this.spriteMirror.mirror(name);
+        return `Mirroring ${name}`;
+    }
+
+    /**
+     * Stop sending the state of the sprite.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.SPRITE - the name of the sprite.
+     * @return {string} - the result of stopping.
+     */
+    stopMirroring (args) {
+        const name = Cast.toString(args.SPRITE);
+        this.spriteMirror.stopMirroring(name);
+        return `Stopped mirroring ${name}`;
+    }
+
+    /**
+     * Show the copies of the sprite which the peers mirror.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.SPRITE - the name of the sprite.
+     * @return {string} - the result of showing.
+     */
+    showPeerCopy (args) {
+        const name = Cast.toString(args.SPRITE);
+        if (!this.runtime.getSpriteTargetByName(name)) return `No sprite: ${name}`;
+        this.spriteMirror.showCopies(name);
+        return `Showing copies of ${name}`;
+    }
+
+    /**
+     * Delete the copies of the sprite from the peers.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.SPRITE - the name of the sprite.
+     * @return {string} - the result of hiding.
+     */
+    hidePeerCopy (args) {
+        const name = Cast.toString(args.SPRITE);
+        this.spriteMirror.hideCopies(name);
+        return `Hid copies of ${name}`;
+    }
+
+    /**
+     * The event which the thread handles.
+     * It is the event which started the hat or was taken by "next event" in the thread,
+     * otherwise the last event.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {?object} - the event, or null if no event.
+     */
+    eventOf (util) {
+        const event = util && util.thread && this._threadEvents.get(util.thread);
+        return event || this.peer.lastDataChannelEvent;
+    }
+
+    /**
+     * Return the type of the event of the thread.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the event type.
+     */
+    lastEventType (args, util) {
+        const event = this.eventOf(util);
+        return event ? event.type : '';
+    }
+
+    /**
+     * Return the data of the event of the thread.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string|number|boolean} - the event data.
+     */
+    lastEventData (args, util) {
+        const event = this.eventOf(util);
+        return event ? toScratchValue(event.data) : '';
+    }
+
+    /**
+     * Return the field of the data of the event of the thread at the JSON path.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.FIELD - the path of the field such as 'position.x'.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string|number|boolean} - the field, or empty string if it does not exist.
+     */
+    eventDataField (args, util) {
+        const event = this.eventOf(util);
+        return event ? toScratchValue(getPath(event.data, Cast.toString(args.FIELD))) : '';
+    }
+
+    /**
+     * Return the ID of the peer which sent the event of the thread.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the peer ID.
+     */
+    lastEventSender (args, util) {
+        const event = this.eventOf(util);
+        return (event && event.from) ? event.from : '';
+    }
+
+    /**
+     * Return the number of the messages waiting to be sent to the peers.
+     * @return {number} - the number of the messages.
+     */
+    sendQueueSize () {
+        return this.peer.sendQueueSize();
+    }
+
+    /**
+     * Return the number of the events which are waiting in the queue.
+     * @return {number} - the number of the events.
+     */
+    eventsWaiting () {
+        return this.peer.eventQueue.length;
+    }
+
+    /**
+     * Take the oldest waiting event and make it the event of the thread.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the type of the event, or empty string if no event is waiting.
+     */
+    nextEvent (args, util) {
+        const event = this.peer.nextEvent();
+        if (!event) return '';
+        this._threadEvents.set(util.thread, event);
+        return event.type;
+    }
+
+    /**
+     * Send the event.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.TYPE - the event type.
+     * @param {string|number|boolean} args.DATA - the event data.
+     * @return {Promise<string>} - resolve with the result of sending the event.
+     */
+    sendEvent (args) {
+        const type = String(args.TYPE).trim();
+        return this.peer.sendEvent(type, args.DATA);
+    }
+
+    /**
+     * Handle the shared event.
+     * @param {object} event - The event data.
+     */
+    onSharedEvent (event) {
+        this.eventTypes.add(event.type);
+        this._hatEvents.push(event);
+        if (this._hatEvents.length > this.maxHatEvents) {
+            this._hatEvents.shift();
+        }
+        if (this._hatEventTimeoutId === null) {
+            this._startNextEventHats();
+        }
+    }
+
+    /**
+     * Start the hats for the next received event.
+     * A hat does not start again while its script is running, so the hats for an event wait
+     * for the scripts of the previous event up to a few frames, and the events in a frame
+     * start the hats one by one. A script which runs longer than that misses the next event,
+     * which "next event" still takes from the queue.
+     */
+    _startNextEventHats () {
+        this._hatEventTimeoutId = null;
+        if (this._hatEvents.length === 0) return;
+        const running = this._hatEventThreads.some(thread => this.runtime.isActiveThread(thread));
+        if (running && this._hatEventWaits < this.maxHatEventWaits) {
+            this._hatEventWaits++;
+            this._waitNextFrame();
+            return;
+        }
+        this._hatEventWaits = 0;
+        const event = this._hatEvents.shift();
+        this._startingEvent = event;
+        const threads = this.runtime.startHats('xcxP2P_whenEventReceived')
+            .concat(this.runtime.startHats('xcxP2P_whenEventTypeReceived'));
+        this._startingEvent = null;
+        threads.forEach(thread => this._threadEvents.set(thread, event));
+        this._hatEventThreads = threads;
+        if (this._hatEvents.length > 0) {
+            this._waitNextFrame();
+        }
+    }
+
+    _waitNextFrame () {
+        const frameTime = this.runtime.currentStepTime || (1000 / 30);
+        this._hatEventTimeoutId = setTimeout(() => this._startNextEventHats(), frameTime);
+    }
+
+    _clearHatEvents () {
+        clearTimeout(this._hatEventTimeoutId);
+        this._hatEventTimeoutId = null;
+        this._hatEvents = [];
+        this._hatEventThreads = [];
+        this._hatEventWaits = 0;
+    }
+
+    /**
+     * Ask the peers and wait for the first reply.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.QUESTION - the question.
+     * @param {string|number|boolean} args.DATA - the data of the question.
+     * @return {Promise<string|number|boolean>} - resolve with the reply, or empty string if no reply in time.
+     */
+    askPeer (args) {
+        const question = String(args.QUESTION).trim();
+        return this.peer.ask(question, args.DATA, this.askTimeout)
+            .then(toScratchValue)
+            .catch(() => '');
+    }
+
+    /**
+     * Handle the question from a peer.
+     * The question is also the event of the thread, so that "data of event" reports its data.
+     * @param {object} request - the question.
+     */
+    onRequestReceived (request) {
+        this._startingEvent = request;
+        const threads = this.runtime.startHats('xcxP2P_whenPeerAsks');
+        this._startingEvent = null;
+        threads.forEach(thread => {
+            this._threadEvents.set(thread, request);
+            this._threadRequests.set(thread, request);
+        });
+    }
+
+    /**
+     * Whether the question which started the thread is the question.
+     * The threads for the other questions end here.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.QUESTION - the question.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {boolean} - true if it is the question.
+     */
+    whenPeerAsks (args, util) {
+        const request = this._threadRequests.get(util.thread) || this._startingEvent;
+        return !!request && request.type === String(args.QUESTION).trim();
+    }
+
+    /**
+     * Reply to the question which started the thread.
+     * @param {object} args - arguments for the block.
+     * @param {string|number|boolean} args.VALUE - the reply.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the result of replying.
+     */
+    replyToPeer (args, util) {
+        const request = this._threadRequests.get(util.thread);
+        if (!request) return 'No question to reply';
+        this._threadRequests.delete(util.thread);
+        if (this.peer.reply(request, args.VALUE) === 0) {
+            return `Could not reply to ${request.from}`;
+        }
+        return `Replied to ${request.from}`;
+    }
+
+    /**
+     * Send the current costume of the sprite or the stage to the peers.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.TARGET - '_stage_' or the name of the sprite.
+     * @return {string} - the result of sending.
+     */
+    sendCostume (args) {
+        const name = Cast.toString(args.TARGET);
+        const target = this.targetOf(name);
+        if (!target) return `No sprite: ${name}`;
+        const costume = target.getCostumes()[target.currentCostume];
+        if (!costume || !costume.asset) return `No costume of ${name}`;
+        return this.sendAsset({
+            kind: 'costume',
+            name: costume.name,
+            dataFormat: costume.dataFormat,
+            rotationCenterX: costume.rotationCenterX,
+            rotationCenterY: costume.rotationCenterY,
+            bitmapResolution: costume.bitmapResolution || 1
+        }, costume.asset.data);
+    }
+
+    /**
+     * Send the sound of the sprite which runs the block to the peers.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.SOUND - the name of the sound.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the result of sending.
+     */
+    sendSound (args, util) {
+        const name = Cast.toString(args.SOUND);
+        const sound = util.target.getSounds().find(item => item.name === name);
+        if (!sound || !sound.asset) return `No sound: ${name}`;
+        return this.sendAsset({
+            kind: 'sound',
+            name: sound.name,
+            dataFormat: sound.dataFormat,
+            rate: sound.rate,
+            sampleCount: sound.sampleCount
+        }, sound.asset.data);
+    }
+
+    /**
+     * Send the image of the stage to the peers as a costume named 'snapshot'.
+     * @return {Promise<string>} - resolve with the result of sending.
+     */
+    sendStageSnapshot () {
+        const renderer = this.runtime.renderer;
+        if (!renderer) return 'No renderer';
+        return new Promise(resolve => {
+            renderer.requestSnapshot(dataURL => {
+                const canvas = renderer.canvas;
+                resolve(this.sendAsset({
+                    kind: 'costume',
+                    name: 'snapshot',
+                    dataFormat: 'png',
+                    rotationCenterX: canvas.width / 2,
+                    rotationCenterY: canvas.height / 2,
+                    // The canvas may be larger than the stage on a high resolution display.
+                    bitmapResolution: canvas.width / 480
+                }, dataURLToBytes(dataURL)));
+            });
+        });
+    }
+
+    /**
+     * Send the asset to the peers.
+     * @param {object} content - the properties of the asset.
+     * @param {Uint8Array} bytes - the data of the asset.
+     * @return {string} - the result of sending.
+     */
+    sendAsset (content, bytes) {
+        if (this.peer.sendAsset(content, bytes) === 0) {
+            return `No peer to send ${content.kind} ${content.name}`;
+        }
+        return `Sent ${content.kind} ${content.name}`;
+    }
+
+    /**
+     * Handle the asset from a peer.
+     * @param {object} asset - the asset.
+     */
+    onAssetReceived (asset) {
+        this.lastAsset = asset;
+        const threads = this.runtime.startHats('xcxP2P_whenAssetReceived');
+        threads.forEach(thread => this._threadAssets.set(thread, asset));
+    }
+
+    /**
+     * The asset which the thread handles.
+     * It is the asset which started the hat, otherwise the last asset.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {?object} - the asset, or null if no asset.
+     */
+    assetOf (util) {
+        const asset = util && util.thread && this._threadAssets.get(util.thread);
+        return asset || this.lastAsset;
+    }
+
+    /**
+     * Add the received asset to the sprite or the stage as a costume or a sound.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.TARGET - '_stage_' or the name of the sprite.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {Promise<string>} - resolve with the result of adding.
+     */
+    addReceivedAsset (args, util) {
+        const asset = this.assetOf(util);
+        if (!asset) return 'No asset received';
+        const name = Cast.toString(args.TARGET);
+        const target = this.targetOf(name);
+        if (!target) return `No sprite: ${name}`;
+        const adding = (asset.kind === 'sound') ?
+            addSoundFromData(this.runtime, target, asset) :
+            addCostumeFromData(this.runtime, target, asset);
+        return adding
+            .then(added => `Added ${asset.kind} ${added.name} to ${target.getName()}`)
+            .catch(err => `Could not add ${asset.kind} ${asset.name}: ${err.message}`);
+    }
+
+    /**
+     * Return the name of the asset of the thread.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the name.
+     */
+    receivedAssetName (args, util) {
+        const asset = this.assetOf(util);
+        return asset ? asset.name : '';
+    }
+
+    /**
+     * Send the sprite with its scripts, costumes, sounds and variables to the peers as a sprite3 file.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.SPRITE - the name of the sprite.
+     * @return {Promise<string>} - resolve with the result of sending.
+     */
+    sendSprite (args) {
+        const name = Cast.toString(args.SPRITE);
+        const target = this.runtime.getSpriteTargetByName(name);
+        if (!target) return `No sprite: ${name}`;
+        if (!this.vm) return 'No VM to export sprite';
+        this.spriteProgress = 0;
+        return this.vm.exportSprite(target.id, 'uint8array')
+            .then(bytes => {
+                if (this.peer.sendSprite(name, bytes) === 0) {
+                    return `No peer to send sprite ${name}`;
+                }
+                return `Sent sprite ${name}`;
+            })
+            .catch(err => `Could not send sprite ${name}: ${err.message || err}`);
+    }
+
+    /**
+     * Handle the sprite file from a peer.
+     * It waits for "accept received sprite" or "reject received sprite".
+     * @param {object} sprite - the sprite file.
+     */
+    onSpriteReceived (sprite) {
+        this.lastSprite = sprite;
+        const threads = this.runtime.startHats('xcxP2P_whenSpriteReceived');
+        threads.forEach(thread => this._threadSprites.set(thread, sprite));
+    }
+
+    /**
+     * The sprite file which the thread handles.
+     * It is the sprite which started the hat, otherwise the last sprite which is waiting.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {?object} - the sprite file, or null if no sprite.
+     */
+    spriteOf (util) {
+        const sprite = util && util.thread && this._threadSprites.get(util.thread);
+        return sprite || this.lastSprite;
+    }
+
+    /**
+     * Accept the received sprite to add it to the project, or reject it.
+     * The sprite is added through the sprite loading of the VM, as the sprite file uploaded by the user.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.ACTION - 'accept' or 'reject'.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {Promise<string>|string} - the result of accepting or rejecting.
+     */
+    acceptSprite (args, util) {
+        const sprite = this.spriteOf(util);
+        if (!sprite || sprite.settled) return 'No sprite received';
+        if (args.ACTION === 'reject') {
+            sprite.settled = true;
+            return `Rejected sprite ${sprite.sprite}`;
+        }
+        if (!this.vm) return 'No VM to load sprite';
+        sprite.settled = true;
+        return this.vm.addSprite(sprite.bytes)
+            .then(() => `Added sprite ${sprite.sprite}`)
+            .catch(err => {
+                sprite.settled = false;
+                return `Could not add sprite ${sprite.sprite}: ${err.message || err}`;
+            });
+    }
+
+    /**
+     * Return the name of the sprite file of the thread.
+     * @param {object} args - arguments for the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {string} - the name.
+     */
+    receivedSpriteName (args, util) {
+        const sprite = this.spriteOf(util);
+        return sprite ? sprite.sprite : '';
+    }
+
+    /**
+     * Return the progress of sending or receiving the last sprite file.
+     * @return {number} - the progress in percent.
+     */
+    spriteTransferProgress () {
+        return this.spriteProgress;
+    }
+
+    /**
+     * Whether the event which started the thread is of the type.
+     * The threads for the other types end here.
+     * @param {object} args - arguments for the block.
+     * @param {string} args.TYPE - the event type.
+     * @param {object} util - utility object provided by the runtime.
+     * @return {boolean} - true if the event is of the type.
+     */
+    whenEventTypeReceived (args, util) {
+        const event = this._threadEvents.get(util.thread) || this._startingEvent;
+        return !!event && event.type === String(args.TYPE).trim();
+    }
+
+    /**
+     * @returns {object} metadata for this extension and its blocks.
+     */
+    getInfo () {
+        setupTranslations();
+        return {
+            id: ExtensionBlocks.EXTENSION_ID,
+            name: ExtensionBlocks.EXTENSION_NAME,
+            extensionURL: ExtensionBlocks.extensionURL,
+            blockIconURI: blockIcon,
+            showStatusButton: false,
+            blocks: [
+                {
+                    opcode: 'setSignalingChannel',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.setSignalingChannel',
+                        default: 'use [CHANNEL] for signaling',
+                        description: 'select the signaling channel to connect peer'
+                    }),
+                    arguments: {
+                        CHANNEL: {
+                            type: ArgumentType.STRING,
+                            menu: 'signalingChannelMenu',
+                            defaultValue: 'sheet'
+                        }
+                    },
+                    func: 'setSignalingChannel'
+                },
+                {
+                    opcode: 'setSignalingServer',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.setSignalingServer',
+                        default: 'set signaling server to [URL]',
+                        description: 'set URL of the signaling server'
+                    }),
+                    arguments: {
+                        URL: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'ws://localhost:8080'
+                        }
+                    },
+                    func: 'setSignalingServer'
+                },
+                {
+                    opcode: 'addIceServer',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.addIceServer',
+                        default: 'add ICE server [URL] user [USERNAME] credential [CREDENTIAL]',
+                        description: 'add STUN/TURN server for the peer connection'
+                    }),
+                    arguments: {
+                        URL: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'turn:example.com:3478'
+                        },
+                        USERNAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: ' '
+                        },
+                        CREDENTIAL: {
+                            type: ArgumentType.STRING,
+                            defaultValue: ' '
+                        }
+                    },
+                    func: 'addIceServer'
+                },
+                {
+                    opcode: 'clearIceServers',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.clearIceServers',
+                        default: 'clear ICE servers',
+                        description: 'remove all STUN/TURN servers'
+                    }),
+                    func: 'clearIceServers'
+                },
+                {
+                    opcode: 'connectPeer',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.connectPeer',
+                        default: 'connect peer [SIGNAL_NAME]',
+                        description: 'connect the WebRTC peer connection'
+                    }),
+                    arguments: {
+                        SIGNAL_NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'name'
+                        }
+                    },
+                    func: 'connectPeer'
+                },
+                {
+                    opcode: 'hostRoom',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.hostRoom',
+                        default: 'host room [SIGNAL_NAME]',
+                        description: 'host the room which clients connect to'
+                    }),
+                    arguments: {
+                        SIGNAL_NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'name'
+                        }
+                    },
+                    func: 'hostRoom'
+                },
+                {
+                    opcode: 'setRelay',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.setRelay',
+                        default: 'turn relay of [RELAY_TYPE] [STATE]',
+                        description: 'turn on/off relaying values or events between clients of the room'
+                    }),
+                    arguments: {
+                        RELAY_TYPE: {
+                            type: ArgumentType.STRING,
+                            menu: 'relayTypeMenu',
+                            defaultValue: 'values'
+                        },
+                        STATE: {
+                            type: ArgumentType.STRING,
+                            menu: 'onOffMenu',
+                            defaultValue: 'off'
+                        }
+                    },
+                    func: 'setRelay'
+                },
+                {
+                    opcode: 'whenPlayerSends',
+                    blockType: BlockType.EVENT,
+                    text: formatMessage({
+                        id: 'xcxP2P.whenPlayerSends',
+                        default: 'when player sends [RELAY_TYPE]',
+                        description: 'when the host received a value or an event from a client to relay'
+                    }),
+                    arguments: {
+                        RELAY_TYPE: {
+                            type: ArgumentType.STRING,
+                            menu: 'relayTypeMenu',
+                            defaultValue: 'values'
+                        }
+                    },
+                    isEdgeActivated: false,
+                    shouldRestartExistingThreads: false
+                },
+                {
+                    opcode: 'playerMessage',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxP2P.playerMessage',
+                        default: '[PART] of player\'s message',
+                        description: 'name, value or sender of the message which the host is relaying'
+                    }),
+                    arguments: {
+                        PART: {
+                            type: ArgumentType.STRING,
+                            menu: 'playerMessagePartMenu',
+                            defaultValue: 'name'
+                        }
+                    },
+                    func: 'playerMessage'
+                },
+                {
+                    opcode: 'acceptPlayerMessage',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.acceptPlayerMessage',
+                        default: '[ACTION] player\'s message',
+                        description: 'relay the message from the client or drop it'
+                    }),
+                    arguments: {
+                        ACTION: {
+                            type: ArgumentType.STRING,
+                            menu: 'acceptMenu',
+                            defaultValue: 'accept'
+                        }
+                    },
+                    func: 'acceptPlayerMessage'
+                },
+                {
+                    opcode: 'setDelivery',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.setDelivery',
+                        default: 'send [DATA_TYPE] [DELIVERY]',
+                        description: 'select the reliable or the unreliable data channel for values or events'
+                    }),
+                    arguments: {
+                        DATA_TYPE: {
+                            type: ArgumentType.STRING,
+                            menu: 'relayTypeMenu',
+                            defaultValue: 'values'
+                        },
+                        DELIVERY: {
+                            type: ArgumentType.STRING,
+                            menu: 'deliveryMenu',
+                            defaultValue: 'unreliable'
+                        }
+                    },
+                    func: 'setDelivery'
+                },
+                {
+                    opcode: 'makeSignal',
+                    hideFromPalette: true,
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.makeSignal',
+                        default: 'make signal [SIGNAL_NAME]',
+                        description: 'make WebRTC signaling offer'
+                    }),
+                    arguments: {
+                        SIGNAL_NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'name'
+                        }
+                    },
+                    func: 'makeSignal'
+                },
+                {
+                    opcode: 'connectSignal',
+                    hideFromPalette: true,
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.connectSignal',
+                        default: 'connect signal [SIGNAL_NAME]',
+                        description: 'take WebRTC signaling offer'
+                    }),
+                    arguments: {
+                        SIGNAL_NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'name'
+                        }
+                    },
+                    func: 'connectSignal'
+                },
+                '---',
+                {
+                    opcode: 'offerCode',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxP2P.offerCode',
+                        default: 'offer code',
+                        description: 'code to connect peer without signaling server'
+                    }),
+                    func: 'offerCode'
+                },
+                {
+                    opcode: 'acceptCode',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.acceptCode',
+                        default: 'accept code [CODE]',
+                        description: 'accept offer code or answer code from the other peer'
+                    }),
+                    arguments: {
+                        CODE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: ' '
+                        }
+                    },
+                    func: 'acceptCode'
+                },
+                {
+                    opcode: 'answerCode',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxP2P.answerCode',
+                        default: 'answer code',
+                        description: 'code to answer the accepted offer code'
+                    }),
+                    func: 'answerCode'
+                },
+                {
+                    opcode: 'showQRCode',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.showQRCode',
+                        default: 'show QR code of [CODE]',
+                        description: 'show the code as QR code costume'
+                    }),
+                    arguments: {
+                        CODE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: ' '
+                        }
+                    },
+                    func: 'showQRCode'
+                },
+                {
+                    opcode: 'scanCode',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxP2P.scanCode',
+                        default: 'code from camera',
+                        description: 'code in the QR code captured by the camera'
+                    }),
+                    func: 'scanCode'
+                },
+                '---',
+                {
+                    opcode: 'whenPeerConnected',
+                    blockType: BlockType.HAT,
+                    text: formatMessage({
+                        id: 'xcxP2P.whenPeerConnected',
+                        default: 'when peer connected'
+                    }),
+                    isEdgeActivated: true
+                },
+                {
+                    opcode: 'whenPeerDisconnected',
+                    blockType: BlockType.HAT,
+                    text: formatMessage({
+                        id: 'xcxP2P.whenPeerDisconnected',
+                        default: 'when peer disconnected'
+                    }),
+                    isEdgeActivated: true
+                },
+                {
+                    opcode: 'whenPeerReconnected',
+                    blockType: BlockType.EVENT,
+                    text: formatMessage({
+                        id: 'xcxP2P.whenPeerReconnected',
+                        default: 'when peer reconnected'
+                    }),
+                    isEdgeActivated: false,
+                    shouldRestartExistingThreads: false
+                },
+                {
+                    opcode: 'whenPeerJoinedOrLeft',
+                    blockType: BlockType.EVENT,
+                    text: formatMessage({
+                        id: 'xcxP2P.whenPeerJoinedOrLeft',
+                        default: 'when peer [JOIN_STATE]'
+                    }),
+                    arguments: {
+                        JOIN_STATE: {
+                            type: ArgumentType.STRING,
+                            menu: 'joinStateMenu',
+                            defaultValue: 'joined'
+                        }
+                    },
+                    isEdgeActivated: false,
+                    shouldRestartExistingThreads: false
+                },
+                {
+                    opcode: 'sendQueueSize',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxP2P.sendQueueSize',
+                        default: 'send queue size',
+                        description: 'number of the messages waiting to be sent to the peers'
+                    }),
+                    func: 'sendQueueSize'
+                },
+                {
+                    opcode: 'isPeerConnected',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'xcxP2P.isPeerConnected',
+                        default: 'connected'
+                    }),
+                    func: 'isPeerConnected'
+                },
+                {
+                    opcode: 'myPeerId',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxP2P.myPeerId',
+                        default: 'my peer id'
+                    }),
+                    func: 'myPeerId'
+                },
+                {
+                    opcode: 'setMyName',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.setMyName',
+                        default: 'set my name to [NAME]',
+                        description: 'set the display name which is shown to the other peers'
+                    }),
+                    arguments: {
+                        NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'player'
+                        }
+                    },
+                    func: 'setMyName'
+                },
+                {
+                    opcode: 'peerCount',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxP2P.peerCount',
+                        default: 'peer count'
+                    }),
+                    func: 'peerCount'
+                },
+                {
+                    opcode: 'nameOfPeer',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxP2P.nameOfPeer',
+                        default: 'name of peer [N]'
+                    }),
+                    arguments: {
+                        N: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '1'
+                        }
+                    },
+                    func: 'nameOfPeer'
+                },
+                {
+                    opcode: 'setAutoReconnect',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.setAutoReconnect',
+                        default: 'turn auto reconnect [STATE]',
+                        description: 'turn on/off automatic reconnection'
+                    }),
+                    arguments: {
+                        STATE: {
+                            type: ArgumentType.STRING,
+                            menu: 'onOffMenu',
+                            defaultValue: 'on'
+                        }
+                    },
+                    func: 'setAutoReconnect'
+                },
+                {
+                    opcode: 'disconnectPeer',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.disconnectPeer',
+                        default: 'disconnect peer',
+                        description: 'disconnect the WebRTC peer connection'
+                    }),
+                    func: 'disconnectPeer'
+                },
+                '---',
+                {
+                    opcode: 'setValue',
+                    blockType: BlockType.COMMAND,
+                    blockAllThreads: false,
+                    text: formatMessage({
+                        id: 'xcxP2P.setValue',
+                        default: 'set value of [KEY] to [VALUE]',
+                        description: 'set value of the key'
+                    }),
+                    func: 'setValue',
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.setValue.defaultKey',
+                                default: 'key'
+                            })
+                        },
+                        VALUE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.setValue.defaultValue',
+                                default: 'value'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'changeValue',
+                    blockType: BlockType.COMMAND,
+                    blockAllThreads: false,
+                    text: formatMessage({
+                        id: 'xcxP2P.changeValue',
+                        default: 'change value of [KEY] by [N]',
+                        description: 'add the number to the value of the key'
+                    }),
+                    func: 'changeValue',
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.changeValue.defaultKey',
+                                default: 'key'
+                            })
+                        },
+                        N: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        }
+                    }
+                },
+                {
+                    opcode: 'valueOf',
+                    blockType: BlockType.REPORTER,
+                    blockAllThreads: false,
+                    text: formatMessage({
+                        id: 'xcxP2P.valueOf',
+                        default: 'value of [KEY]'
+                    }),
+                    func: 'valueOf',
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.valueOf.defaultKey',
+                                default: 'key'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'valueAtPath',
+                    blockType: BlockType.REPORTER,
+                    blockAllThreads: false,
+                    text: formatMessage({
+                        id: 'xcxP2P.valueAtPath',
+                        default: 'value of [KEY] as JSON path [PATH]',
+                        description: 'part of the value of the key at the JSON path'
+                    }),
+                    func: 'valueAtPath',
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.valueOf.defaultKey',
+                                default: 'key'
+                            })
+                        },
+                        PATH: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'a.b[0]'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setValueAtPath',
+                    blockType: BlockType.COMMAND,
+                    blockAllThreads: false,
+                    text: formatMessage({
+                        id: 'xcxP2P.setValueAtPath',
+                        default: 'set [PATH] of [KEY] to [VALUE]',
+                        description: 'set the part of the value of the key at the JSON path'
+                    }),
+                    func: 'setValueAtPath',
+                    arguments: {
+                        PATH: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'a.b[0]'
+                        },
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.setValue.defaultKey',
+                                default: 'key'
+                            })
+                        },
+                        VALUE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.setValue.defaultValue',
+                                default: 'value'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'whenValueChanged',
+                    blockType: BlockType.HAT,
+                    text: formatMessage({
+                        id: 'xcxP2P.whenValueChanged',
+                        default: 'when value of [KEY] changes',
+                        description: 'start when the value of the key was changed by any peer'
+                    }),
+                    func: 'whenValueChanged',
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.valueOf.defaultKey',
+                                default: 'key'
+                            })
+                        }
+                    },
+                    isEdgeActivated: true
+                },
+                {
+                    opcode: 'lastChangedKey',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxP2P.lastChangedKey',
+                        default: 'last changed key'
+                    }),
+                    func: 'lastChangedKey'
+                },
+                {
+                    opcode: 'previousValue',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxP2P.previousValue',
+                        default: 'previous value',
+                        description: 'value of the last changed key before the change'
+                    }),
+                    func: 'previousValue'
+                },
+                {
+                    opcode: 'valueChangedBy',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxP2P.valueChangedBy',
+                        default: 'changed by peer',
+                        description: 'ID of the peer which changed the value last'
+                    }),
+                    func: 'valueChangedBy'
+                },
+                {
+                    opcode: 'shareVariable',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.shareVariable',
+                        default: 'share variable [VAR] as [KEY]',
+                        description: 'bind the variable to the shared value of the key'
+                    }),
+                    func: 'shareVariable',
+                    arguments: {
+                        VAR: {
+                            type: ArgumentType.STRING,
+                            menu: 'variableMenu'
+                        },
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.shareVariable.defaultKey',
+                                default: 'key'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'shareList',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.shareList',
+                        default: 'share list [LIST] as [KEY]',
+                        description: 'bind the list to the shared list of the name'
+                    }),
+                    func: 'shareList',
+                    arguments: {
+                        LIST: {
+                            type: ArgumentType.STRING,
+                            menu: 'listMenu'
+                        },
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.sharedList.defaultList',
+                                default: 'list'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'stopSharing',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.stopSharing',
+                        default: 'stop sharing [KEY]',
+                        description: 'unbind the variable or the list from the key'
+                    }),
+                    func: 'stopSharing',
+                    arguments: {
+                        KEY: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.shareVariable.defaultKey',
+                                default: 'key'
+                            })
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'mirrorSprite',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.mirrorSprite',
+                        default: 'mirror sprite [SPRITE] to peer',
+                        description: 'send the state of the sprite to the peers'
+                    }),
+                    func: 'mirrorSprite',
+                    arguments: {
+                        SPRITE: {
+                            type: ArgumentType.STRING,
+                            menu: 'spriteMenu'
+                        }
+                    }
+                },
+                {
+                    opcode: 'stopMirroring',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.stopMirroring',
+                        default: 'stop mirroring sprite [SPRITE]',
+                        description: 'stop sending the state of the sprite'
+                    }),
+                    func: 'stopMirroring',
+                    arguments: {
+                        SPRITE: {
+                            type: ArgumentType.STRING,
+                            menu: 'spriteMenu'
+                        }
+                    }
+                },
+                {
+                    opcode: 'showPeerCopy',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.showPeerCopy',
+                        default: 'show peer\'s copy of [SPRITE]',
+                        description: 'show the copies of the sprite which the peers mirror'
+                    }),
+                    func: 'showPeerCopy',
+                    arguments: {
+                        SPRITE: {
+                            type: ArgumentType.STRING,
+                            menu: 'spriteMenu'
+                        }
+                    }
+                },
+                {
+                    opcode: 'hidePeerCopy',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.hidePeerCopy',
+                        default: 'hide peer\'s copy of [SPRITE]',
+                        description: 'delete the copies of the sprite from the peers'
+                    }),
+                    func: 'hidePeerCopy',
+                    arguments: {
+                        SPRITE: {
+                            type: ArgumentType.STRING,
+                            menu: 'spriteMenu'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'sendCostume',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.sendCostume',
+                        default: 'send costume of [TARGET] to peer',
+                        description: 'send the current costume of the sprite to the peers'
+                    }),
+                    func: 'sendCostume',
+                    arguments: {
+                        TARGET: {
+                            type: ArgumentType.STRING,
+                            menu: 'targetMenu'
+                        }
+                    }
+                },
+                {
+                    opcode: 'sendSound',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.sendSound',
+                        default: 'send sound [SOUND] to peer',
+                        description: 'send the sound of the sprite to the peers'
+                    }),
+                    func: 'sendSound',
+                    arguments: {
+                        SOUND: {
+                            type: ArgumentType.STRING,
+                            menu: 'soundMenu'
+                        }
+                    }
+                },
+                {
+                    opcode: 'sendStageSnapshot',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.sendStageSnapshot',
+                        default: 'send stage snapshot to peer',
+                        description: 'send the image of the stage to the peers as a costume'
+                    }),
+                    func: 'sendStageSnapshot'
+                },
+                {
+                    opcode: 'whenAssetReceived',
+                    blockType: BlockType.EVENT,
+                    text: formatMessage({
+                        id: 'xcxP2P.whenAssetReceived',
+                        default: 'when asset received'
+                    }),
+                    isEdgeActivated: false,
+                    shouldRestartExistingThreads: false
+                },
+                {
+                    opcode: 'addReceivedAsset',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.addReceivedAsset',
+                        default: 'add received asset to [TARGET]',
+                        description: 'add the received costume or sound to the sprite'
+                    }),
+                    func: 'addReceivedAsset',
+                    arguments: {
+                        TARGET: {
+                            type: ArgumentType.STRING,
+                            menu: 'targetMenu'
+                        }
+                    }
+                },
+                {
+                    opcode: 'receivedAssetName',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxP2P.receivedAssetName',
+                        default: 'name of received asset'
+                    }),
+                    func: 'receivedAssetName'
                 },
+                '---',
                 {
-                    opcode: 'makeSignal',
-                    hideFromPalette: true,
+                    opcode: 'sendSprite',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxP2P.makeSignal',
-                        default: 'make signal [SIGNAL_NAME]',
-                        description: 'make WebRTC signaling offer'
+                        id: 'xcxP2P.sendSprite',
+                        default: 'send sprite [SPRITE] to peer',
+                        description: 'send the sprite with its scripts, costumes and sounds to the peers'
                     }),
+                    func: 'sendSprite',
                     arguments: {
-                        SIGNAL_NAME: {
+                        SPRITE: {
                             type: ArgumentType.STRING,
-                            defaultValue: 'name'
+                            menu: 'spriteMenu'
                         }
-                    },
-                    func: 'makeSignal'
+                    }
                 },
                 {
-                    opcode: 'connectSignal',
-                    hideFromPalette: true,
+                    opcode: 'whenSpriteReceived',
+                    blockType: BlockType.EVENT,
+                    text: formatMessage({
+                        id: 'xcxP2P.whenSpriteReceived',
+                        default: 'when sprite received'
+                    }),
+                    isEdgeActivated: false,
+                    shouldRestartExistingThreads: false
+                },
+                {
+                    opcode: 'acceptSprite',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxP2P.connectSignal',
-                        default: 'connect signal [SIGNAL_NAME]',
-                        description: 'take WebRTC signaling offer'
+                        id: 'xcxP2P.acceptSprite',
+                        default: '[ACTION] received sprite',
+                        description: 'add the received sprite to the project or discard it'
                     }),
+                    func: 'acceptSprite',
                     arguments: {
-                        SIGNAL_NAME: {
+                        ACTION: {
                             type: ArgumentType.STRING,
-                            defaultValue: 'name'
+                            menu: 'acceptMenu',
+                            defaultValue: 'accept'
                         }
-                    },
-                    func: 'connectSignal'
+                    }
                 },
                 {
-                    opcode: 'whenPeerConnected',
-                    blockType: BlockType.HAT,
+                    opcode: 'receivedSpriteName',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
                     text: formatMessage({
-                        id: 'xcxP2P.whenPeerConnected',
-                        default: 'when peer connected'
+                        id: 'xcxP2P.receivedSpriteName',
+                        default: 'name of received sprite'
                     }),
-                    isEdgeActivated: true
+                    func: 'receivedSpriteName'
                 },
                 {
-                    opcode: 'whenPeerDisconnected',
-                    blockType: BlockType.HAT,
+                    opcode: 'spriteTransferProgress',
+                    blockType: BlockType.REPORTER,
                     text: formatMessage({
-                        id: 'xcxP2P.whenPeerDisconnected',
-                        default: 'when peer disconnected'
+                        id: 'xcxP2P.spriteTransferProgress',
+                        default: 'sprite transfer progress',
+                        description: 'percent of the sprite which was sent or received'
                     }),
-                    isEdgeActivated: true
+                    func: 'spriteTransferProgress'
                 },
+                '---',
                 {
-                    opcode: 'isPeerConnected',
-                    blockType: BlockType.BOOLEAN,
+                    opcode: 'addToList',
+                    blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxP2P.isPeerConnected',
-                        default: 'connected'
+                        id: 'xcxP2P.addToList',
+                        default: 'add [ITEM] to shared list [LIST]'
                     }),
-                    func: 'isPeerConnected'
+                    func: 'addToList',
+                    arguments: {
+                        ITEM: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.sharedList.defaultItem',
+                                default: 'thing'
+                            })
+                        },
+                        LIST: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.sharedList.defaultList',
+                                default: 'list'
+                            })
+                        }
+                    }
                 },
                 {
-                    opcode: 'disconnectPeer',
+                    opcode: 'insertToList',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxP2P.disconnectPeer',
-                        default: 'disconnect peer',
-                        description: 'disconnect the WebRTC peer connection'
+                        id: 'xcxP2P.insertToList',
+                        default: 'insert [ITEM] at [INDEX] of shared list [LIST]'
                     }),
-                    func: 'disconnectPeer'
+                    func: 'insertToList',
+                    arguments: {
+                        ITEM: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.sharedList.defaultItem',
+                                default: 'thing'
+                            })
+                        },
+                        INDEX: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        },
+                        LIST: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.sharedList.defaultList',
+                                default: 'list'
+                            })
+                        }
+                    }
                 },
-                '---',
                 {
-                    opcode: 'setValue',
+                    opcode: 'deleteOfList',
                     blockType: BlockType.COMMAND,
-                    blockAllThreads: false,
                     text: formatMessage({
-                        id: 'xcxP2P.setValue',
-                        default: 'set value of [KEY] to [VALUE]',
-                        description: 'set value of the key'
+                        id: 'xcxP2P.deleteOfList',
+                        default: 'delete [INDEX] of shared list [LIST]'
                     }),
-                    func: 'setValue',
+                    func: 'deleteOfList',
                     arguments: {
-                        KEY: {
+                        INDEX: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        },
+                        LIST: {
                             type: ArgumentType.STRING,
                             defaultValue: formatMessage({
-                                id: 'xcxP2P.setValue.defaultKey',
-                                default: 'key'
+                                id: 'xcxP2P.sharedList.defaultList',
+                                default: 'list'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'replaceOfList',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.replaceOfList',
+                        default: 'replace item [INDEX] of shared list [LIST] with [ITEM]'
+                    }),
+                    func: 'replaceOfList',
+                    arguments: {
+                        INDEX: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        },
+                        LIST: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.sharedList.defaultList',
+                                default: 'list'
                             })
                         },
-                        VALUE: {
+                        ITEM: {
                             type: ArgumentType.STRING,
                             defaultValue: formatMessage({
-                                id: 'xcxP2P.setValue.defaultValue',
-                                default: 'value'
+                                id: 'xcxP2P.sharedList.defaultItem',
+                                default: 'thing'
                             })
                         }
                     }
                 },
                 {
-                    opcode: 'valueOf',
+                    opcode: 'itemOfList',
                     blockType: BlockType.REPORTER,
-                    blockAllThreads: false,
+                    disableMonitor: true,
                     text: formatMessage({
-                        id: 'xcxP2P.valueOf',
-                        default: 'value of [KEY]'
+                        id: 'xcxP2P.itemOfList',
+                        default: 'item [INDEX] of shared list [LIST]'
                     }),
-                    func: 'valueOf',
+                    func: 'itemOfList',
                     arguments: {
-                        KEY: {
+                        INDEX: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        },
+                        LIST: {
                             type: ArgumentType.STRING,
                             defaultValue: formatMessage({
-                                id: 'xcxP2P.valueOf.defaultKey',
-                                default: 'key'
+                                id: 'xcxP2P.sharedList.defaultList',
+                                default: 'list'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'lengthOfList',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxP2P.lengthOfList',
+                        default: 'length of shared list [LIST]'
+                    }),
+                    func: 'lengthOfList',
+                    arguments: {
+                        LIST: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.sharedList.defaultList',
+                                default: 'list'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'listContains',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'xcxP2P.listContains',
+                        default: 'shared list [LIST] contains [ITEM]?'
+                    }),
+                    func: 'listContains',
+                    arguments: {
+                        LIST: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.sharedList.defaultList',
+                                default: 'list'
+                            })
+                        },
+                        ITEM: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.sharedList.defaultItem',
+                                default: 'thing'
                             })
                         }
                     }
@@ -425,6 +2706,28 @@ class ExtensionBlocks {
                     isEdgeActivated: false,
                     shouldRestartExistingThreads: false
                 },
+                {
+                    opcode: 'whenEventTypeReceived',
+                    blockType: BlockType.HAT,
+                    text: formatMessage({
+                        id: 'xcxP2P.whenEventTypeReceived',
+                        default: 'when event [TYPE] received',
+                        description: 'start when the event of the type was received'
+                    }),
+                    func: 'whenEventTypeReceived',
+                    arguments: {
+                        TYPE: {
+                            type: ArgumentType.STRING,
+                            menu: 'eventTypeMenu',
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.sendEvent.defaultEvent',
+                                default: 'event'
+                            })
+                        }
+                    },
+                    isEdgeActivated: false,
+                    shouldRestartExistingThreads: false
+                },
                 {
                     opcode: 'lastEventType',
                     blockType: BlockType.REPORTER,
@@ -444,9 +2747,274 @@ class ExtensionBlocks {
                     }),
                     arguments: {
                     }
+                },
+                {
+                    opcode: 'eventDataField',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxP2P.eventDataField',
+                        default: 'event data field [FIELD]',
+                        description: 'field of the data of the last event at the JSON path'
+                    }),
+                    func: 'eventDataField',
+                    arguments: {
+                        FIELD: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'x'
+                        }
+                    }
+                },
+                {
+                    opcode: 'eventsWaiting',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxP2P.eventsWaiting',
+                        default: 'events waiting',
+                        description: 'number of the events in the queue'
+                    }),
+                    func: 'eventsWaiting'
+                },
+                {
+                    opcode: 'nextEvent',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxP2P.nextEvent',
+                        default: 'next event',
+                        description: 'take the oldest event in the queue for this script'
+                    }),
+                    func: 'nextEvent'
+                },
+                {
+                    opcode: 'lastEventSender',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxP2P.lastEventSender',
+                        default: 'id of peer who sent last event'
+                    }),
+                    func: 'lastEventSender'
+                },
+                '---',
+                {
+                    opcode: 'askPeer',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxP2P.askPeer',
+                        default: 'ask peer [QUESTION] with [DATA]',
+                        description: 'send the question to the peers and report the first reply'
+                    }),
+                    func: 'askPeer',
+                    arguments: {
+                        QUESTION: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.askPeer.defaultQuestion',
+                                default: 'question'
+                            })
+                        },
+                        DATA: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.sendEvent.defaultData',
+                                default: 'data'
+                            })
+                        }
+                    }
+                },
+                {
+                    opcode: 'whenPeerAsks',
+                    blockType: BlockType.HAT,
+                    text: formatMessage({
+                        id: 'xcxP2P.whenPeerAsks',
+                        default: 'when peer asks [QUESTION]',
+                        description: 'start when a peer asked the question'
+                    }),
+                    func: 'whenPeerAsks',
+                    arguments: {
+                        QUESTION: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.askPeer.defaultQuestion',
+                                default: 'question'
+                            })
+                        }
+                    },
+                    isEdgeActivated: false,
+                    shouldRestartExistingThreads: false
+                },
+                {
+                    opcode: 'replyToPeer',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxP2P.replyToPeer',
+                        default: 'reply [VALUE]',
+                        description: 'reply to the question which started the script'
+                    }),
+                    func: 'replyToPeer',
+                    arguments: {
+                        VALUE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: formatMessage({
+                                id: 'xcxP2P.replyToPeer.defaultValue',
+                                default: 'answer'
+                            })
+                        }
+                    }
                 }
             ],
             menus: {
+                signalingChannelMenu: {
+                    acceptReporters: true,
+                    items: 'getSignalingChannelMenu'
+                },
+                variableMenu: {
+                    acceptReporters: false,
+                    items: 'getVariableMenu'
+                },
+                listMenu: {
+                    acceptReporters: false,
+                    items: 'getListMenu'
+                },
+                eventTypeMenu: {
+                    acceptReporters: true,
+                    items: 'getEventTypeMenu'
+                },
+                spriteMenu: {
+                    acceptReporters: true,
+                    items: 'getSpriteMenu'
+                },
+                targetMenu: {
+                    acceptReporters: true,
+                    items: 'getTargetMenu'
+                },
+                soundMenu: {
+                    acceptReporters: true,
+                    items: 'getSoundMenu'
+                },
+                acceptMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxP2P.acceptMenu.accept',
+                                default: 'accept'
+                            }),
+                            value: 'accept'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxP2P.acceptMenu.reject',
+                                default: 'reject'
+                            }),
+                            value: 'reject'
+                        }
+                    ]
+                },
+                joinStateMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxP2P.joinStateMenu.joined',
+                                default: 'joined'
+                            }),
+                            value: 'joined'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxP2P.joinStateMenu.left',
+                                default: 'left'
+                            }),
+                            value: 'left'
+                        }
+                    ]
+                },
+                relayTypeMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxP2P.relayTypeMenu.values',
+                                default: 'values'
+                            }),
+                            value: 'values'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxP2P.relayTypeMenu.events',
+                                default: 'events'
+                            }),
+                            value: 'events'
+                        }
+                    ]
+                },
+                playerMessagePartMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxP2P.playerMessagePartMenu.name',
+                                default: 'name'
+                            }),
+                            value: 'name'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxP2P.playerMessagePartMenu.data',
+                                default: 'data'
+                            }),
+                            value: 'data'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxP2P.playerMessagePartMenu.player',
+                                default: 'player'
+                            }),
+                            value: 'player'
+                        }
+                    ]
+                },
+                deliveryMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxP2P.deliveryMenu.reliable',
+                                default: 'reliably'
+                            }),
+                            value: 'reliable'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxP2P.deliveryMenu.unreliable',
+                                default: 'fast but may drop'
+                            }),
+                            value: 'unreliable'
+                        }
+                    ]
+                },
+                onOffMenu: {
+                    acceptReporters: false,
+                    items: [
+                        {
+                            text: formatMessage({
+                                id: 'xcxP2P.onOffMenu.on',
+                                default: 'on'
+                            }),
+                            value: 'on'
+                        },
+                        {
+                            text: formatMessage({
+                                id: 'xcxP2P.onOffMenu.off',
+                                default: 'off'
+                            }),
+                            value: 'off'
+                        }
+                    ]
+                }
             }
         };
     }
@@ -0,0 +1,99 @@
+/**
+ * Typed values which are shared as they are, and the JSON paths to the parts of them.
+ *
+ * A path is the names of the properties and the indexes of the arrays,
+ * such as 'player.items[0].name' or 'player.items.0.name'. An empty path points the whole value.
+ */
+
+/**
+ * Whether the value is an object or an array.
+ * @param {*} value - the value
+ * @returns {boolean} - true if it has the parts
+ */
+const isStructured = function (value) {
+    return typeof value === 'object' && value !== null;
+};
+
+/**
+ * Value which the blocks of Scratch can show.
+ * Objects and arrays are reported as their JSON text, and null as empty string.
+ * @param {*} value - the value
+ * @returns {string|number|boolean} - the value for Scratch
+ */
+const toScratchValue = function (value) {
+    if (isStructured(value)) return JSON.stringify(value);
+    if (value === null || typeof value === 'undefined') return '';
+    return value;
+};
+
+/**
+ * Read the text as a JSON value if it is, otherwise keep it as the text.
+ * @param {*} value - the value from a block
+ * @returns {*} - the parsed value, or the value itself
+ */
+const parseJSONValue = function (value) {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        return value;
+    }
+};
+
+/**
+ * Split the path into the names and the indexes.
+ * @param {string} path - the path
+ * @returns {Array<string>} - the segments
+ */
+const pathSegments = function (path) {
+    return String(path).split(/[.[\]]+/)
+        .filter(segment => segment !== '');
+};
+
+/**
+ * Get the part of the value at the path.
+ * A JSON text is parsed before reading.
+ * @param {*} value - the value
+ * @param {string} path - the path
+ * @returns {*} - the part, or null if it does not exist
+ */
+const getPath = function (value, path) {
+    let part = parseJSONValue(value);
+    for (const segment of pathSegments(path)) {
+        if (!isStructured(part) || !Object.prototype.hasOwnProperty.call(part, segment)) return null;
+        part = part[segment];
+    }
+    return part;
+};
+
+const setSegments = function (value, segments, part) {
+    if (segments.length === 0) return part;
+    const segment = segments[0];
+    let container;
+    if (isStructured(value)) {
+        container = Array.isArray(value) ? value.slice() : Object.assign({}, value);
+    } else {
+        container = /^\d+$/.test(segment) ? [] : {};
+    }
+    container[segment] = setSegments(container[segment], segments.slice(1), part);
+    return container;
+};
+
+/**
+ * Make a copy of the value which has the part at the path.
+ * The objects and the arrays on the path are made if they do not exist.
+ * @param {*} value - the value, or a JSON text of it
+ * @param {string} path - the path
+ * @param {*} part - the new part
+ * @returns {*} - the new value
+ */
+const setPath = function (value, path, part) {
+    return setSegments(parseJSONValue(value), pathSegments(path), part);
+};
+
+export {
+    toScratchValue,
+    parseJSONValue,
+    getPath,
+    setPath
+};
@@ -0,0 +1,179 @@
+import log from '../../util/log';
+import SignalingChannel from './signaling-channel';
+
+/**
+ * Signaling channel between the tabs in the same browser.
+ * Messages are stored in the localStorage like the rows of the sheet
+ * and the other tabs are notified through the BroadcastChannel.
+ * It falls back to the 'storage' event when BroadcastChannel is not available.
+ */
+class LocalSignalingChannel extends SignalingChannel {
+    constructor () {
+        super();
+        this.keyPrefix = 'xcxP2P-signal-';
+        this._listening = false;
+        this._broadcastChannel = null;
+        this._onNotified = this.receiveMessages.bind(this);
+        this._onStorage = event => {
+            if (event.key === this._storageKey()) {
+                this.receiveMessages();
+            }
+        };
+
+        /**
+         * Messages which are not received yet are removed after this duration.
+         * @type {number} - The duration in milliseconds.
+         * @default 600000
+         */
+        this.messageLifetime = 10 * 60 * 1000;
+    }
+
+    /**
+     * The messages are stored in this browser, not in a server.
+     * @type {boolean}
+     */
+    get usesServer () {
+        return false;
+    }
+
+    _storageKey () {
+        return `${this.keyPrefix}${this.signalName}`;
+    }
+
+    connect (signalName) {
+        if (this._connected) return;
+        this.signalName = signalName;
+        if (typeof BroadcastChannel === 'function') {
+            this._broadcastChannel = new BroadcastChannel(this._storageKey());
+            this._broadcastChannel.addEventListener('message', this._onNotified);
+        } else {
+            window.addEventListener('storage', this._onStorage);
+        }
+        this.signalingState = 'connected';
+        this._connected = true;
+        this.dispatchEvent(new Event('connected'));
+    }
+
+    disconnect () {
+        if (!this._connected) return;
+        this.signalingState = 'disconnected';
+        this._connected = false;
+        this._listening = false;
+        if (this._broadcastChannel) {
+            this._broadcastChannel.removeEventListener('message', this._onNotified);
+            this._broadcastChannel.close();
+            this._broadcastChannel = null;
+        } else {
+            window.removeEventListener('storage', this._onStorage);
+        }
+        this.dispatchEvent(new Event('disconnected'));
+    }
+
+    /**
+     * Read the stored messages of the session.
+     * @returns {Array<object>} - messages as {fromId, toId, message, timestamp}
+     */
+    loadMessages () {
+        try {
+            const expired = Date.now() - this.messageLifetime;
+            const stored = JSON.parse(localStorage.getItem(this._storageKey()) || '[]');
+            return stored.filter(row => row.timestamp > expired);
+        } catch (err) {
+            log.warn('Error loading messages:', err);
+            return [];
+        }
+    }
+
+    /**
+     * Store the messages of the session.
+     * @param {Array<object>} messages - messages as {fromId, toId, message, timestamp}
+     */
+    saveMessages (messages) {
+        if (messages.length === 0) {
+            localStorage.removeItem(this._storageKey());
+            return;
+        }
+        localStorage.setItem(this._storageKey(), JSON.stringify(messages));
+    }
+
+    send (message) {
+        if (!this._connected) return Promise.reject(new Error('Not connected'));
+        const messages = this.loadMessages();
+        messages.push({
+            fromId: this._id,
+            toId: message.to || '',
+            message: message,
+            timestamp: Date.now()
+        });
+        this.saveMessages(messages);
+        if (this._broadcastChannel) {
+            this._broadcastChannel.postMessage(this._id);
+        }
+        log.debug('Message sent:', message);
+        return Promise.resolve();
+    }
+
+    /**
+     * Whether the stored message is for this tab.
+     * @param {object} row - stored message
+     * @returns {boolean} - true if it is from another tab to all or to this tab
+     */
+    _isForMe (row) {
+        return row.fromId !== this._id && (!row.toId || row.toId === this._id);
+    }
+
+    /**
+     * Take the messages from the other tabs out of the storage and dispatch them.
+     * The messages to all are left for the other tabs.
+     */
+    receiveMessages () {
+        if (!this._listening) return;
+        const messages = this.loadMessages();
+        const received = messages.filter(row => this._isForMe(row));
+        if (received.length === 0) return;
+        this.saveMessages(messages.filter(row => row.toId !== this._id));
+        for (const row of received) {
+            this.dispatchEvent(new MessageEvent('message', {
+                data: row.message
+            }));
+            log.debug('Message received:', row.message);
+        }
+    }
+
+    /**
+     * Start offering a signaling session.
+     * @param {object} offer - The offer to send.
+     * @returns {Promise} - A promise that resolves when the offer is sent.
+     */
+    async startOffering (offer) {
+        if (this.signalingState !== 'connected') return;
+        this._listening = true;
+        await this.send(offer);
+        log.log(`Offering signal ${this.signalName} from ${this._id}`);
+    }
+
+    startAnswering () {
+        if (this.signalingState !== 'connected') return;
+        this._listening = true;
+        this.receiveMessages();
+    }
+
+    stopNegotiation () {
+        this._listening = false;
+    }
+
+    deleteOwnMessages () {
+        if (!this._connected) return Promise.resolve();
+        this.saveMessages(this.loadMessages().filter(row => row.fromId !== this._id));
+        log.debug('Own messages deleted');
+        return Promise.resolve();
+    }
+
+    isOffering () {
+        if (!this._connected) return Promise.resolve(false);
+        return Promise.resolve(this.loadMessages()
+            .some(row => this._isForMe(row) && row.message.type === 'offer'));
+    }
+}
+
+export default LocalSignalingChannel;
@@ -0,0 +1,57 @@
+import qrcode from 'qrcode-generator';
+import jsQR from 'jsqr';
+
+/**
+ * Make an SVG image of the QR code for the text.
+ * @param {string} text - text to encode
+ * @param {number} [maxSize] - maximum width and height of the image in pixels
+ * @returns {string} - SVG string
+ */
+const makeQRCodeSVG = function (text, maxSize = 340) {
+    const qr = qrcode(0, 'L');
+    qr.addData(text, 'Byte');
+    qr.make();
+    const moduleCount = qr.getModuleCount();
+    const quietZone = 4;
+    const cellSize = Math.max(1, Math.floor(maxSize / (moduleCount + (quietZone * 2))));
+    const size = (moduleCount + (quietZone * 2)) * cellSize;
+    let path = '';
+    for (let row = 0; row < moduleCount; row++) {
+        let col = 0;
+        while (col < moduleCount) {
+            if (!qr.isDark(row, col)) {
+                col++;
+                continue;
+            }
+            // Draw the dark modules in a row as a rectangle.
+            const start = col;
+            while (col < moduleCount && qr.isDark(row, col)) col++;
+            const x = (start + quietZone) * cellSize;
+            const y = (row + quietZone) * cellSize;
+            const width = (col - start) * cellSize;
+            path += `M${x},${y}h${width}v${cellSize}h-${width}z`;
+        }
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" ` +
+        `width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">` +
+        `<rect x="0" y="0" width="${size}" height="${size}" fill="#ffffff"/>` +
+        `<path d="${path}" fill="#000000"/>` +
+        `</svg>`;
+};
+
+/**
+ * Read a QR code in the image.
+ * @param {ImageData} imageData - image to scan
+ * @returns {string} - text of the QR code or empty string if not found
+ */
+const scanQRCode = function (imageData) {
+    const result = jsQR(imageData.data, imageData.width, imageData.height, {
+        inversionAttempts: 'dontInvert'
+    });
+    return result ? result.data : '';
+};
+
+export {
+    makeQRCodeSVG,
+    scanQRCode
+};
@@ -0,0 +1,667 @@
+import log from '../../util/log';
+
+/**
+ * Connection to one of the remote peers in the room.
+ *
+ * The offer and the answer are made in the perfect negotiation pattern.
+ * Signaling messages to the remote peer are dispatched as 'signal' events,
+ * and SharingPeer passes the messages from the remote peer to handleSignalingMessage().
+ */
+class RemotePeer extends EventTarget {
+    /**
+     * Make a peer connection with the data channel to the remote peer.
+     * The data channels are negotiated with the same IDs by both peers,
+     * so it does not matter which peer made the offer.
+     * @param {string} id - ID of the remote peer, or empty string while it is unknown
+     * @param {string} localId - ID of this peer
+     * @param {object} options - options of the connection
+     * @param {Array<RTCIceServer>} options.iceServers - STUN/TURN servers
+     * @param {string} options.dataChannelName - label of the data channel
+     * @param {boolean} [options.manualSignaling] - whether the signals are exchanged as codes
+     * @param {number} [options.negotiationTimeoutDuration] - duration to wait for the connection
+     * @param {number} [options.disconnectedTimeoutDuration] - duration of 'disconnected' to be lost
+     */
+    constructor (id, localId, options) {
+        super();
+
+        /**
+         * The ID of the remote peer.
+         * @type {string}
+         */
+        this.id = id;
+
+        /**
+         * The ID of this peer.
+         * @type {string}
+         */
+        this.localId = localId;
+
+        /**
+         * Whether the signaling messages are exchanged by hand as codes.
+         * @type {boolean}
+         */
+        this.manualSignaling = !!options.manualSignaling;
+
+        /**
+         * The duration of 'disconnected' state to be regarded as lost.
+         * @type {number} - The duration in milliseconds.
+         * @default 5000
+         */
+        this.disconnectedTimeoutDuration = options.disconnectedTimeoutDuration || 5000;
+
+        /**
+         * Whether the data channel has been opened.
+         * @type {boolean}
+         */
+        this.opened = false;
+
+        /**
+         * Whether this connection was closed. No event is dispatched after closed.
+         * @type {boolean}
+         */
+        this.closed = false;
+
+        this._remoteCandidatesQueue = [];
+
+        /**
+         * Whether an offer is being made for the perfect negotiation.
+         * @type {boolean}
+         */
+        this._makingOffer = false;
+
+        /**
+         * Whether the offer from the remote peer was ignored because of the collision.
+         * @type {boolean}
+         */
+        this._ignoreOffer = false;
+
+        this._disconnectedTimeoutId = null;
+        this._negotiationTimeoutId = null;
+
+        /**
+         * Maximum size of a message on the data channel in bytes of UTF-8.
+         * A longer message is sent as binary frames of a CHUNK message and joined by the remote peer,
+         * because the browsers limit the size of a message.
+         * @type {number}
+         */
+        this.chunkSize = options.chunkSize || 16 * 1024;
+
+        /**
+         * Amount of the buffered data of the data channel to stop sending and wait.
+         * @type {number}
+         */
+        this.maxBufferedAmount = options.maxBufferedAmount || 1024 * 1024;
+
+        /**
+         * Maximum size of the binary data to receive in bytes.
+         * The message with larger data is dropped, not to allocate the memory which the remote peer declares.
+         * @type {number}
+         */
+        this.maxBinarySize = options.maxBinarySize || 64 * 1024 * 1024;
+
+        /**
+         * The messages which wait for the buffer of the data channel to be low, in the order to send.
+         * @type {Array<string>}
+         */
+        this._sendQueue = [];
+
+        this._lastChunkId = 0;
+
+        /**
+         * The messages which binary data is being received by the IDs of the data.
+         * @type {Map<number, {message: object, bytes: Uint8Array, received: number}>}
+         */
+        this._receivingBinaries = new Map();
+
+        /**
+         * The messages which binary data is being sent by the IDs of the data.
+         * @type {Map<number, {message: object, sent: number, size: number}>}
+         */
+        this._sendingBinaries = new Map();
+
+        this.peerConnection = new RTCPeerConnection({
+            iceServers: options.iceServers
+        });
+        this.peerConnection.onicecandidate = ({candidate}) => {
+            // Candidates are included in the signal code in manual signaling.
+            if (candidate && !this.manualSignaling) {
+                this._dispatch('signal', {
+                    type: 'candidate',
+                    candidate: candidate
+                });
+            }
+        };
+        this.peerConnection.onconnectionstatechange = () => this._onConnectionStateChange();
+
+        /**
+         * The data channel for sending and receiving messages.
+         * @type {RTCDataChannel}
+         */
+        this.dataChannel = this.peerConnection.createDataChannel(options.dataChannelName, {
+            negotiated: true,
+            id: 0
+        });
+        this._setupDataChannel();
+        this.dataChannel.onbufferedamountlow = () => this._flushSendQueue();
+
+        /**
+         * The data channel which neither retransmits nor orders the messages, for the real-time states.
+         * A message on it may be lost, and the messages from it are dispatched as 'unreliableMessage'.
+         * @type {RTCDataChannel}
+         */
+        this.unreliableChannel = this.peerConnection.createDataChannel(`${options.dataChannelName}-unreliable`, {
+            negotiated: true,
+            id: 1,
+            ordered: false,
+            maxRetransmits: 0
+        });
+        this.unreliableChannel.onmessage = event => this._onMessage(event, 'unreliableMessage');
+
+        if (options.negotiationTimeoutDuration) {
+            this._negotiationTimeoutId = setTimeout(() => {
+                this._negotiationTimeoutId = null;
+                this._dispatch('timeout');
+            }, options.negotiationTimeoutDuration);
+        }
+    }
+
+    /**
+     * Dispatch an event unless closed.
+     * @param {string} type - type of the event
+     * @param {*} [detail] - detail of the event
+     */
+    _dispatch (type, detail) {
+        if (this.closed) return;
+        this.dispatchEvent(new CustomEvent(type, {detail}));
+    }
+
+    _onConnectionStateChange () {
+        if (this.closed) return;
+        const state = this.peerConnection.connectionState;
+        log.log(`Connection state with ${this.id}: ${state}`);
+        clearTimeout(this._disconnectedTimeoutId);
+        if (state === 'connected') {
+            clearTimeout(this._negotiationTimeoutId);
+            this._negotiationTimeoutId = null;
+            this._dispatch('connected');
+        } else if (state === 'failed') {
+            this._dispatch('lost');
+        } else if (state === 'disconnected') {
+            // It may recover by itself.
+            this._disconnectedTimeoutId = setTimeout(() => {
+                if (this.peerConnection.connectionState === 'disconnected') {
+                    this._dispatch('lost');
+                }
+            }, this.disconnectedTimeoutDuration);
+        }
+    }
+
+    _setupDataChannel () {
+        const dataChannel = this.dataChannel;
+        dataChannel.binaryType = 'arraybuffer';
+        dataChannel.onopen = () => {
+            this.opened = true;
+            log.log(`Data channel opened with ${this.id}`);
+            this._dispatch('open');
+        };
+        dataChannel.onclose = () => {
+            log.log(`Data channel closed with ${this.id}`);
+            this._dispatch('close');
+        };
+        dataChannel.onmessage = event => this._onMessage(event, 'message');
+    }
+
+    _onMessage (event, type) {
+        if (typeof event.data !== 'string') {
+            this._receiveBinary(event.data, type);
+            return;
+        }
+        log.log('Received:', event.data);
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (err) {
+            log.warn('Invalid message:', err);
+            return;
+        }
+        this._receiveMessage(message, type);
+    }
+
+    _receiveMessage (message, type) {
+        if (message.binary) {
+            this._startBinary(message, type);
+            return;
+        }
+        this._dispatch(type, message);
+    }
+
+    /**
+     * Keep the message until its binary data follows.
+     * @param {object} message - the message which has the ID and the size of the data as 'binary'
+     * @param {string} type - type of the event to dispatch the message
+     */
+    _startBinary (message, type) {
+        const binary = message.binary;
+        delete message.binary;
+        if (!Number.isInteger(binary.size) || binary.size < 0 || binary.size > this.maxBinarySize) {
+            log.warn(`Dropped ${message.type} from ${this.id} with binary data of ${binary.size} bytes`);
+            return;
+        }
+        const receiving = {
+            message: message,
+            bytes: new Uint8Array(binary.size),
+            received: 0
+        };
+        if (binary.size === 0) {
+            this._endBinary(receiving, type);
+            return;
+        }
+        this._receivingBinaries.set(binary.id, receiving);
+    }
+
+    /**
+     * Put the frame into the binary data of the message, and dispatch the message when all arrived.
+     * A frame starts with the ID of the data in 4 bytes, followed by the part of the data.
+     * @param {ArrayBuffer} data - the frame
+     * @param {string} type - type of the event to dispatch the message
+     */
+    _receiveBinary (data, type) {
+        if (data.byteLength < 4) return;
+        const id = new DataView(data).getUint32(0);
+        const receiving = this._receivingBinaries.get(id);
+        if (!receiving) {
+            log.warn(`Unknown binary data ${id} from ${this.id}`);
+            return;
+        }
+        const part = new Uint8Array(data, 4);
+        if (part.length > receiving.bytes.length - receiving.received) {
+            log.warn(`Dropped ${receiving.message.type} from ${this.id} with more binary data than declared`);
+            this._receivingBinaries.delete(id);
+            return;
+        }
+        receiving.bytes.set(part, receiving.received);
+        receiving.received += part.length;
+        if (receiving.message.type !== 'CHUNK') {
+            this._dispatchProgress(receiving.message, 'receiving', receiving.received, receiving.bytes.length);
+        }
+        if (receiving.received < receiving.bytes.length) return;
+        this._receivingBinaries.delete(id);
+        this._endBinary(receiving, type);
+    }
+
+    /**
+     * Tell the progress of sending or receiving the binary data of the message.
+     * @param {object} message - the message without the data
+     * @param {string} direction - 'sending' or 'receiving'
+     * @param {number} loaded - bytes which have been sent or received
+     * @param {number} total - size of the data
+     */
+    _dispatchProgress (message, direction, loaded, total) {
+        this._dispatch('progress', {
+            message: message,
+            direction: direction,
+            loaded: loaded,
+            total: total
+        });
+    }
+
+    _endBinary (receiving, type) {
+        if (receiving.message.type === 'CHUNK') {
+            this._joinChunks(receiving.bytes, type);
+            return;
+        }
+        receiving.message.bytes = receiving.bytes;
+        log.log('Received binary:', receiving.message.type, receiving.bytes.length);
+        this._dispatch(type, receiving.message);
+    }
+
+    /**
+     * Read the long message from the joined frames of a CHUNK message.
+     * @param {Uint8Array} bytes - JSON text of the message in UTF-8
+     * @param {string} type - type of the event to dispatch the message
+     */
+    _joinChunks (bytes, type) {
+        let message;
+        try {
+            message = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (err) {
+            log.warn('Invalid message:', err);
+            return;
+        }
+        this._receiveMessage(message, type);
+    }
+
+    /**
+     * Whether this peer yields to the remote peer when both made offers at the same time.
+     * Both peers compare their IDs so that one is polite and the other is impolite.
+     * @returns {boolean} - true if this peer is polite
+     */
+    isPolite () {
+        return this.localId > this.id;
+    }
+
+    /**
+     * Whether the peer connection is connected.
+     * @returns {boolean} - true if connected
+     */
+    isConnected () {
+        return this.peerConnection.connectionState === 'connected';
+    }
+
+    /**
+     * State of the data channel.
+     * @returns {string<'connecting'|'open'|'closing'|'closed'>} The state of the data channel.
+     */
+    dataChannelState () {
+        return this.dataChannel.readyState;
+    }
+
+    /**
+     * Make an offer and set it as the local description.
+     * @param {object} [options] - options of createOffer() such as {iceRestart: true}
+     * @returns {Promise<object>} - a promise which resolves with the offer message
+     */
+    async makeOffer (options) {
+        const peerConnection = this.peerConnection;
+        const iceRestart = !!(options && options.iceRestart);
+        if (iceRestart && typeof peerConnection.restartIce === 'function') {
+            peerConnection.restartIce();
+        }
+        this._makingOffer = true;
+        try {
+            const offer = await peerConnection.createOffer(options);
+            await peerConnection.setLocalDescription(offer);
+            const message = {
+                type: 'offer',
+                sdp: offer.sdp
+            };
+            if (iceRestart) {
+                message.restart = true;
+            }
+            return message;
+        } finally {
+            this._makingOffer = false;
+        }
+    }
+
+    /**
+     * Set the offer as the remote description and make the answer.
+     * @param {object} description - the offer as {sdp}
+     * @returns {Promise<object>} - a promise which resolves with the answer message
+     */
+    async answerOffer (description) {
+        await this.peerConnection.setRemoteDescription(new RTCSessionDescription({
+            type: 'offer',
+            sdp: description.sdp
+        }));
+        await this._processQueuedRemoteCandidates();
+        const answer = await this.peerConnection.createAnswer();
+        await this.peerConnection.setLocalDescription(answer);
+        return {
+            type: 'answer',
+            sdp: answer.sdp
+        };
+    }
+
+    /**
+     * Set the answer as the remote description.
+     * @param {object} description - the answer as {sdp}
+     * @returns {Promise} - a promise which resolves when the answer was set
+     */
+    async acceptAnswer (description) {
+        await this.peerConnection.setRemoteDescription(new RTCSessionDescription({
+            type: 'answer',
+            sdp: description.sdp
+        }));
+        await this._processQueuedRemoteCandidates();
+    }
+
+    /**
+     * Handle a signaling message from the remote peer.
+     * When offers collide, the impolite peer ignores the remote offer
+     * and the polite peer rolls back its own offer to answer the remote one.
+     * @param {object} message - the signaling message
+     */
+    async handleSignalingMessage (message) {
+        if (this.closed) return;
+        const peerConnection = this.peerConnection;
+        try {
+            if (message.type === 'offer') {
+                const offerCollision = this._makingOffer ||
+                    peerConnection.signalingState !== 'stable';
+                this._ignoreOffer = offerCollision && !this.isPolite();
+                if (this._ignoreOffer) {
+                    log.log('Offer ignored for collision');
+                    return;
+                }
+                if (offerCollision) {
+                    await peerConnection.setLocalDescription({type: 'rollback'});
+                    log.log('Own offer rolled back for collision');
+                }
+                const answer = await this.answerOffer(message);
+                this._dispatch('signal', answer);
+            } else if (message.type === 'answer') {
+                if (peerConnection.signalingState !== 'have-local-offer') {
+                    log.warn('Cannot handle answer in signaling state:', peerConnection.signalingState);
+                    return;
+                }
+                await this.acceptAnswer(message);
+            } else if (message.type === 'candidate') {
+                const candidate = new RTCIceCandidate(message.candidate);
+                if (peerConnection.remoteDescription && peerConnection.remoteDescription.type) {
+                    // Remote description is set, add ICE candidate immediately
+                    try {
+                        await peerConnection.addIceCandidate(candidate);
+                        log.log('ICE candidate added:', candidate);
+                    } catch (err) {
+                        // Candidates for the ignored offer are expected to fail.
+                        if (!this._ignoreOffer) throw err;
+                    }
+                } else {
+                    // Remote description not set yet, queue the candidate
+                    this._remoteCandidatesQueue.push(candidate);
+                    log.log('ICE candidate queued:', candidate);
+                }
+            }
+        } catch (err) {
+            log.warn('Error processing signaling message:', err);
+        }
+    }
+
+    async _processQueuedRemoteCandidates () {
+        const candidates = this._remoteCandidatesQueue;
+        this._remoteCandidatesQueue = [];
+        for (const candidate of candidates) {
+            if (this.closed) return;
+            try {
+                await this.peerConnection.addIceCandidate(candidate);
+                log.log('Queued ICE candidate added:', candidate);
+            } catch (err) {
+                log.warn('Error adding queued ICE candidate:', err);
+            }
+        }
+    }
+
+    /**
+     * Wait until the ICE candidates are gathered into the local description.
+     * @param {number} timeout - maximum duration to wait in milliseconds
+     * @returns {Promise} - a promise which resolves when the gathering completed or timed out
+     */
+    waitForIceGathering (timeout) {
+        const peerConnection = this.peerConnection;
+        if (peerConnection.iceGatheringState === 'complete') {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            let timeoutId = null;
+            const onStateChange = () => {
+                if (peerConnection.iceGatheringState !== 'complete') return;
+                clearTimeout(timeoutId);
+                peerConnection.removeEventListener('icegatheringstatechange', onStateChange);
+                resolve();
+            };
+            timeoutId = setTimeout(() => {
+                peerConnection.removeEventListener('icegatheringstatechange', onStateChange);
+                log.warn('ICE gathering timeout');
+                resolve();
+            }, timeout);
+            peerConnection.addEventListener('icegatheringstatechange', onStateChange);
+        });
+    }
+
+    /**
+     * Send the message through the data channel.
+     * A long message is sent as the frames of its UTF-8 bytes, and the messages wait in the queue
+     * while the buffer of the data channel is full.
+     * On the unreliable channel, a long message is sent on the reliable channel instead,
+     * and a message is dropped while the buffer is full.
+     * Binary data in 'bytes' of the message is sent on the reliable channel as the frames
+     * which follow the message, and the remote peer puts it back into the message.
+     * @param {object} message - message to send
+     * @param {boolean} [unreliable] - whether to send it on the unreliable channel if it is open
+     */
+    send (message, unreliable) {
+        if (message.bytes instanceof Uint8Array) {
+            this._sendBinary(message);
+            return;
+        }
+        const data = JSON.stringify(message);
+        // The browsers limit the size of a message in bytes, which may be three times the length of the text.
+        const encoded = new TextEncoder().encode(data);
+        if (unreliable && this.unreliableChannel.readyState === 'open' && encoded.length <= this.chunkSize) {
+            if (this.unreliableChannel.bufferedAmount < this.maxBufferedAmount) {
+                this.unreliableChannel.send(data);
+            }
+            return;
+        }
+        this._queueText(data, encoded);
+        this._flushSendQueue();
+    }
+
+    /**
+     * Put the text into the send queue, or the frames of its bytes following a CHUNK message if it is long.
+     * @param {string} data - JSON text of the message
+     * @param {Uint8Array} [encoded] - the text in UTF-8 if it was already encoded
+     */
+    _queueText (data, encoded) {
+        if (this.dataChannel.readyState !== 'open') {
+            throw new Error(`Data channel is ${this.dataChannel.readyState}`);
+        }
+        const bytes = encoded || new TextEncoder().encode(data);
+        if (bytes.length <= this.chunkSize) {
+            this._sendQueue.push(data);
+        } else {
+            this._queueFrames({type: 'CHUNK'}, bytes);
+        }
+    }
+
+    /**
+     * Send the message without its binary data, followed by the frames of the data.
+     * @param {object} message - message which has the data as 'bytes'
+     */
+    _sendBinary (message) {
+        const header = Object.assign({}, message);
+        delete header.bytes;
+        const id = this._queueFrames(header, message.bytes);
+        if (message.bytes.length > 0) {
+            this._sendingBinaries.set(id, {
+                message: header,
+                sent: 0,
+                size: message.bytes.length
+            });
+        }
+        this._flushSendQueue();
+    }
+
+    /**
+     * Put the message with the ID and the size of the data into the send queue, followed by the frames of the data.
+     * @param {object} message - message without the data
+     * @param {Uint8Array} bytes - the data
+     * @returns {number} - ID of the data
+     */
+    _queueFrames (message, bytes) {
+        this._lastChunkId++;
+        const id = this._lastChunkId;
+        this._queueText(JSON.stringify(Object.assign({}, message, {
+            binary: {
+                id: id,
+                size: bytes.length
+            }
+        })));
+        for (let offset = 0; offset < bytes.length; offset += this.chunkSize) {
+            const part = bytes.subarray(offset, offset + this.chunkSize);
+            const frame = new Uint8Array(4 + part.length);
+            new DataView(frame.buffer).setUint32(0, id);
+            frame.set(part, 4);
+            this._sendQueue.push(frame.buffer);
+        }
+        return id;
+    }
+
+    /**
+     * Send the messages in the queue until the buffer of the data channel is full.
+     * The rest is sent when the buffer became low.
+     */
+    _flushSendQueue () {
+        const dataChannel = this.dataChannel;
+        while (this._sendQueue.length > 0 && dataChannel.bufferedAmount < this.maxBufferedAmount) {
+            const data = this._sendQueue[0];
+            try {
+                dataChannel.send(data);
+            } catch (err) {
+                log.warn(`Dropped ${this._sendQueue.length} messages to ${this.id}:`, err);
+                this._sendQueue = [];
+                this._sendingBinaries.clear();
+                return;
+            }
+            this._sendQueue.shift();
+            if (typeof data !== 'string') {
+                this._onFrameSent(data);
+            }
+        }
+        // Continue when a quarter of the buffer remains.
+        dataChannel.bufferedAmountLowThreshold = this.maxBufferedAmount / 4;
+    }
+
+    /**
+     * Count the frame as sent for the progress of its binary data.
+     * @param {ArrayBuffer} frame - the frame which was passed to the data channel
+     */
+    _onFrameSent (frame) {
+        const id = new DataView(frame).getUint32(0);
+        const sending = this._sendingBinaries.get(id);
+        if (!sending) return;
+        sending.sent += frame.byteLength - 4;
+        if (sending.sent >= sending.size) {
+            this._sendingBinaries.delete(id);
+        }
+        this._dispatchProgress(sending.message, 'sending', sending.sent, sending.size);
+    }
+
+    /**
+     * Number of the messages waiting to be sent, including the frames of long messages and binary data.
+     * @returns {number} - the number of the messages
+     */
+    sendQueueSize () {
+        return this._sendQueue.length;
+    }
+
+    /**
+     * Close the data channel and the peer connection.
+     */
+    close () {
+        if (this.closed) return;
+        this.closed = true;
+        clearTimeout(this._disconnectedTimeoutId);
+        clearTimeout(this._negotiationTimeoutId);
+        this._sendQueue = [];
+        this._receivingBinaries.clear();
+        this._sendingBinaries.clear();
+        this.dataChannel.close();
+        this.unreliableChannel.close();
+        this.peerConnection.close();
+        log.log(`Peer connection closed with ${this.id}`);
+    }
+}
+
+export default RemotePeer;
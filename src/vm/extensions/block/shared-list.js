@@ -0,0 +1,207 @@
+import {compareVersions} from './version';
+
+const idKey = id => `${id.time}:${id.peer}`;
+
+/**
+ * List which is replicated on the peers and merges their edits at the same time.
+ *
+ * It is a sequence CRDT in the way of RGA (Replicated Growable Array).
+ * Each item has the version when it was inserted as its ID and refers to the item it was inserted after.
+ * The items inserted after the same item are ordered newer first,
+ * so that every peer makes the same order from the same operations in any order.
+ * Deleted items are kept as tombstones to place the items which were inserted after them.
+ *
+ * An operation is one of these:
+ * - {type: 'insert', id, after, value}: 'after' is the ID of the previous item, or null for the head
+ * - {type: 'delete', id}
+ * - {type: 'replace', id, value, version}: the value of the newer version wins
+ */
+class SharedList {
+    constructor () {
+        /**
+         * All the items in the order including the deleted ones.
+         * @type {Array<{id: object, after: ?object, value: *, version: object, deleted: boolean}>}
+         */
+        this.elements = [];
+
+        this._elementsByKey = new Map();
+
+        /**
+         * Operations waiting for the item which they refer to.
+         * Operations from different peers may arrive in a different order through the host or the mesh.
+         * @type {Array<object>}
+         */
+        this._pending = [];
+    }
+
+    _visibleElements () {
+        return this.elements.filter(element => !element.deleted);
+    }
+
+    /**
+     * Values of the items which are not deleted.
+     * @returns {Array<*>} - the values
+     */
+    items () {
+        return this._visibleElements().map(element => element.value);
+    }
+
+    /**
+     * Number of the items which are not deleted.
+     * @returns {number} - the length
+     */
+    length () {
+        return this._visibleElements().length;
+    }
+
+    /**
+     * Insert the value before the item at the index.
+     * @param {number} index - index from 0, or the length to add at the end
+     * @param {*} value - the value
+     * @param {{time: number, peer: string}} id - ID of the new item
+     * @returns {object} - the operation to send
+     */
+    insertAt (index, value, id) {
+        const visible = this._visibleElements();
+        const position = Math.max(0, Math.min(index, visible.length));
+        const op = {
+            type: 'insert',
+            id: id,
+            after: position > 0 ? visible[position - 1].id : null,
+            value: value
+        };
+        this.apply(op);
+        return op;
+    }
+
+    /**
+     * Delete the item at the index.
+     * @param {number} index - index from 0
+     * @returns {?object} - the operation to send, or null if no item at the index
+     */
+    deleteAt (index) {
+        const element = this._visibleElements()[index];
+        if (!element) return null;
+        const op = {
+            type: 'delete',
+            id: element.id
+        };
+        this.apply(op);
+        return op;
+    }
+
+    /**
+     * Replace the value of the item at the index.
+     * @param {number} index - index from 0
+     * @param {*} value - the new value
+     * @param {{time: number, peer: string}} version - version of the new value
+     * @returns {?object} - the operation to send, or null if no item at the index
+     */
+    replaceAt (index, value, version) {
+        const element = this._visibleElements()[index];
+        if (!element) return null;
+        const op = {
+            type: 'replace',
+            id: element.id,
+            value: value,
+            version: version
+        };
+        this.apply(op);
+        return op;
+    }
+
+    /**
+     * Apply the operation, and the waiting ones which became ready by it.
+     * @param {object} op - the operation
+     * @returns {boolean} - true if applied, false if it waits for the item which it refers to
+     */
+    apply (op) {
+        if (!this._integrate(op)) {
+            this._pending.push(op);
+            return false;
+        }
+        let index = 0;
+        while (index < this._pending.length) {
+            if (this._integrate(this._pending[index])) {
+                this._pending.splice(index, 1);
+                index = 0; // The earlier ones may be ready now.
+            } else {
+                index++;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Integrate the operation into the items.
+     * @param {object} op - the operation
+     * @returns {boolean} - false if the item which it refers to is not known yet
+     */
+    _integrate (op) {
+        if (op.type === 'insert') {
+            if (this._elementsByKey.has(idKey(op.id))) return true;
+            let index = 0;
+            if (op.after) {
+                const after = this._elementsByKey.get(idKey(op.after));
+                if (!after) return false;
+                index = this.elements.indexOf(after) + 1;
+            }
+            // Skip the newer items which were inserted after the same item, and their followers.
+            while (index < this.elements.length && compareVersions(this.elements[index].id, op.id) > 0) {
+                index++;
+            }
+            const element = {
+                id: op.id,
+                after: op.after,
+                value: op.value,
+                version: op.id,
+                deleted: false
+            };
+            this.elements.splice(index, 0, element);
+            this._elementsByKey.set(idKey(op.id), element);
+            return true;
+        }
+        const element = this._elementsByKey.get(idKey(op.id));
+        if (!element) return false;
+        if (op.type === 'delete') {
+            element.deleted = true;
+        } else if (op.type === 'replace' && compareVersions(op.version, element.version) > 0) {
+            element.value = op.value;
+            element.version = op.version;
+        }
+        return true;
+    }
+
+    /**
+     * Operations which make this list on another peer.
+     * @returns {Array<object>} - the operations
+     */
+    toOps () {
+        const ops = [];
+        this.elements.forEach(element => {
+            ops.push({
+                type: 'insert',
+                id: element.id,
+                after: element.after,
+                value: element.value
+            });
+            if (compareVersions(element.version, element.id) !== 0) {
+                ops.push({
+                    type: 'replace',
+                    id: element.id,
+                    value: element.value,
+                    version: element.version
+                });
+            }
+            if (element.deleted) {
+                ops.push({
+                    type: 'delete',
+                    id: element.id
+                });
+            }
+        });
+        return ops.concat(this._pending);
+    }
+}
+
+export default SharedList;
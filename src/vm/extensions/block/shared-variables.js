@@ -0,0 +1,178 @@
+import {toScratchValue} from './json-value';
+
+/**
+ * Bindings between the variables/lists of Scratch and the data shared by SharingPeer.
+ *
+ * The runtime does not tell the changes of a variable, so the bound variables are checked
+ * at intervals while any binding exists. A local change is sent by setValue() or the list operations,
+ * and a change by the peers is written back to the variable.
+ */
+class SharedVariables {
+    /**
+     * Make the bindings on the peer.
+     * @param {SharingPeer} peer - the peer which shares the data
+     * @param {number} [interval] - interval to check the variables in milliseconds
+     */
+    constructor (peer, interval = 50) {
+        this.peer = peer;
+
+        /**
+         * Interval to check the variables in milliseconds.
+         * @type {number}
+         */
+        this.interval = interval;
+
+        /**
+         * The bindings by the shared keys.
+         * 'last' is the value which was shared last, to find the local changes.
+         * @type {Map<string, {variable: Variable, isList: boolean, last: *}>}
+         */
+        this.bindings = new Map();
+
+        this._intervalId = null;
+
+        this.peer.addEventListener('valueChanged', event => this._onValueChanged(event.detail));
+        this.peer.addEventListener('listChanged', event => this._onListChanged(event.detail));
+    }
+
+    /**
+     * Bind the variable to the shared value of the key.
+     * The variable takes the shared value if the key has one, otherwise its value is shared.
+     * @param {Variable} variable - scalar variable of Scratch
+     * @param {string} key - the key of the shared value
+     */
+    shareVariable (variable, key) {
+        const binding = {variable: variable, isList: false, last: variable.value};
+        this._bind(key, binding);
+        // An empty string is a value which a peer shared, unlike a key which has no value yet.
+        const shared = this.peer.dataChannelValues[key];
+        if (typeof shared === 'undefined') {
+            this.peer.setValue(key, variable.value);
+        } else {
+            this._writeVariable(binding, shared);
+        }
+    }
+
+    /**
+     * Bind the list to the shared list of the key.
+     * The list takes the shared items if the shared list has any, otherwise its items are shared.
+     * @param {Variable} list - list variable of Scratch
+     * @param {string} key - the name of the shared list
+     */
+    shareList (list, key) {
+        const binding = {variable: list, isList: true, last: []};
+        this._bind(key, binding);
+        const items = this.peer.listItems(key);
+        if (items.length > 0) {
+            this._writeList(binding, items);
+        } else {
+            this._sendList(key, binding);
+        }
+    }
+
+    /**
+     * Stop writing the shared data of the key to the variable and sending its changes.
+     * @param {string} key - the key of the value or the name of the list
+     */
+    stopSharing (key) {
+        this.bindings.delete(key);
+        if (this.bindings.size === 0) {
+            this._stopChecking();
+        }
+    }
+
+    /**
+     * Unbind all the variables and lists, and stop checking them.
+     * The shared data is kept on the peer.
+     */
+    stopAll () {
+        this.bindings.clear();
+        this._stopChecking();
+    }
+
+    _stopChecking () {
+        if (this._intervalId === null) return;
+        clearInterval(this._intervalId);
+        this._intervalId = null;
+    }
+
+    _bind (key, binding) {
+        this.bindings.set(key, binding);
+        if (this._intervalId === null) {
+            this._intervalId = setInterval(() => this.sync(), this.interval);
+        }
+    }
+
+    /**
+     * Send the changes of the bound variables since the last check.
+     */
+    sync () {
+        this.bindings.forEach((binding, key) => {
+            if (binding.isList) {
+                this._sendList(key, binding);
+            } else if (binding.variable.value !== binding.last) {
+                binding.last = binding.variable.value;
+                this.peer.setValue(key, binding.last);
+            }
+        });
+    }
+
+    /**
+     * Send the difference of the list from the last shared items as the list operations.
+     * The items between the same head and tail are replaced, deleted or inserted.
+     * @param {string} key - the name of the shared list
+     * @param {object} binding - the binding of the list
+     */
+    _sendList (key, binding) {
+        const last = binding.last;
+        const items = binding.variable.value.slice();
+        let head = 0;
+        while (head < last.length && head < items.length && last[head] === items[head]) {
+            head++;
+        }
+        let tail = 0;
+        while (tail < last.length - head && tail < items.length - head &&
+            last[last.length - 1 - tail] === items[items.length - 1 - tail]) {
+            tail++;
+        }
+        const removed = last.length - head - tail;
+        const added = items.length - head - tail;
+        binding.last = items;
+        for (let i = 0; i < Math.min(removed, added); i++) {
+            this.peer.replaceOfList(key, head + i, items[head + i]);
+        }
+        for (let i = added; i < removed; i++) {
+            this.peer.deleteOfList(key, head + added);
+        }
+        for (let i = removed; i < added; i++) {
+            this.peer.insertToList(key, head + i, items[head + i]);
+        }
+    }
+
+    _writeVariable (binding, value) {
+        // A variable of Scratch can not hold an object, so it takes the JSON text.
+        binding.variable.value = toScratchValue(value);
+        binding.last = binding.variable.value;
+    }
+
+    _writeList (binding, items) {
+        binding.variable.value = items.slice();
+        // The list monitor caches the items until this flag is cleared.
+        binding.variable._monitorUpToDate = false;
+        binding.last = items.slice();
+    }
+
+    _onValueChanged (detail) {
+        const binding = this.bindings.get(detail.key);
+        if (!binding || binding.isList) return;
+        this._writeVariable(binding, detail.value);
+    }
+
+    _onListChanged (detail) {
+        const binding = this.bindings.get(detail.list);
+        if (!binding || !binding.isList) return;
+        this._writeList(binding, detail.items);
+    }
+}
+
+export default SharedVariables;
@@ -1,8 +1,31 @@
 import log from '../../util/log';
-import SheetSignalingChannel from './sheet-signaling-channel';
+import {createSignalingChannel} from './signaling-channels';
+import {encodeSignalCode, decodeSignalCode} from './signal-code';
+import RemotePeer from './remote-peer';
+import SharedList from './shared-list';
+import {INITIAL_VERSION, compareVersions} from './version';
 
 /**
- * Class handling the peer connection and data channel logic.
+ * Current value of the counter.
+ * The counter has the total of the increments and the decrements by each peer,
+ * which only grow, so that the changes from the peers are merged by taking the larger totals.
+ * @param {{base: number, p: object, n: object}} counter - the counter
+ * @returns {number} - the base value added the changes
+ */
+const counterValue = function (counter) {
+    const sum = totals => Object.keys(totals).reduce((acc, peer) => acc + totals[peer], 0);
+    return counter.base + sum(counter.p) - sum(counter.n);
+};
+
+/**
+ * Class handling the connections to the peers in a room and the shared data.
+ *
+ * The peers which join the same signal name form a full mesh.
+ * A joining peer sends a 'join' message to all, and the peers in the room offer to it
+ * with the signaling messages addressed to the peer.
+ *
+ * A peer which hosts the room makes a star instead. Its signaling messages are marked as from the host,
+ * then the clients connect only to the host and the host relays the messages between them.
  */
 class SharingPeer extends EventTarget {
     /**
@@ -10,334 +33,1971 @@ class SharingPeer extends EventTarget {
      */
     constructor () {
         super();
-        this.signalingChannel = new SheetSignalingChannel();
+
+        /**
+         * The ID of this peer in the signaling messages.
+         * @type {string}
+         */
+        this.peerId = Math.random().toString(36)
+            .substr(2, 9);
+
+        /**
+         * The display name of this peer which is announced to the others.
+         * @type {string}
+         */
+        this.peerName = '';
+
+        /**
+         * The other peers in the room by their IDs, including the clients which the host relays.
+         * 'via' is the ID of the connection which the peer is reached through.
+         * @type {Map<string, {name: string, via: string}>}
+         */
+        this.roster = new Map();
+
+        /**
+         * The channel to exchange signaling messages.
+         * @type {SignalingChannel}
+         */
+        this.signalingChannel = null;
+
+        /**
+         * The type of the signaling channel.
+         * @type {string}
+         */
+        this.signalingChannelType = null;
+
+        /**
+         * URLs of the signaling servers set by the user for each channel type.
+         * @type {Object.<string, string>}
+         */
+        this.signalingServerUrls = {};
+
+        /**
+         * STUN/TURN servers for the peer connection.
+         * @type {Array<RTCIceServer>}
+         */
+        this.iceServers = [
+            {urls: 'stun:stun.l.google.com:19302'}
+        ];
+
+        /**
+         * The signaling state of this peer.
+         * 'joining' waits for the first remote peer and 'joined' listens for the peers which join later.
+         * @type {string<'disconnected'|'connected'|'joining'|'joined'>}
+         */
+        this.signalingState = 'disconnected';
+        this.signalName = null;
+
+        /**
+         * The duration of waiting for the first remote peer in the room.
+         * @type {number} - The duration in milliseconds.
+         * @default 60000
+         */
+        this.joiningTimeoutDuration = 60000;
+
+        /**
+         * The duration of the negotiation with a remote peer.
+         * @type {number} - The duration in milliseconds.
+         * @default 30000
+         */
+        this.negotiationTimeoutDuration = 30000;
+
+        /**
+         * The maximum duration of gathering ICE candidates for a signal code.
+         * @type {number} - The duration in milliseconds.
+         * @default 5000
+         */
+        this.iceGatheringTimeoutDuration = 5000;
+
+        /**
+         * Whether the last connection was made by exchanging codes by hand.
+         * @type {boolean}
+         */
+        this.manualSignaling = false;
+
+        /**
+         * The code of the offer made by createOfferCode().
+         * @type {string}
+         */
+        this.offerCode = null;
+
+        /**
+         * The code of the answer made by acceptSignalCode().
+         * @type {string}
+         */
+        this.answerCode = null;
+
+        /**
+         * Connections to the remote peers by their IDs.
+         * @type {Map<string, RemotePeer>}
+         */
+        this.remotePeers = new Map();
+
+        /**
+         * The connection which offer code is waiting for the answer code.
+         * @type {RemotePeer}
+         */
+        this._codePeer = null;
+
+        this.dataChannelName = 'xcxP2P';
+
+        this.dataChannelValues = {};
+
+        /**
+         * The versions of the values by their keys, to reconcile the values of the peers.
+         * @type {Object.<string, {time: number, peer: string}>}
+         */
+        this.valueVersions = {};
+
+        /**
+         * The counters of the values which were changed by 'change value'.
+         * A counter belongs to the version of the value and is discarded when the value was set.
+         * @type {Object.<string, {base: number, p: Object.<string, number>, n: Object.<string, number>}>}
+         */
+        this.valueCounters = {};
+
+        /**
+         * The lists which are shared with the peers by their names.
+         * @type {Object.<string, SharedList>}
+         */
+        this.sharedLists = {};
+
+        /**
+         * The time of the hybrid logical clock.
+         * @type {number}
+         */
+        this._clock = 0;
+
+        this.lastDataChannelEvent = null;
+
+        /**
+         * The events which are waiting to be taken by nextEvent(), oldest first.
+         * @type {Array<{type: string, data: *, from: string}>}
+         */
+        this.eventQueue = [];
+
+        /**
+         * Maximum number of the waiting events. The oldest one is dropped when it is full.
+         * @type {number}
+         */
+        this.maxEventQueueLength = 100;
+
+        /**
+         * The questions which are waiting for the reply by their request IDs.
+         * @type {Map<string, {resolve: function, reject: function, timer: number}>}
+         */
+        this._pendingRequests = new Map();
+
+        this._lastRequestNumber = 0;
+
+        /**
+         * The time of the latest join message which was handled for each peer.
+         * Join messages stay in the signaling channel, so they are received repeatedly.
+         * @type {Map<string, number>}
+         */
+        this._handledJoins = new Map();
+
+        /**
+         * The time of the last join message of this peer.
+         * @type {number}
+         */
+        this._joinedAt = 0;
+
+        /**
+         * Whether this peer hosts the room as the hub of the star.
+         * @type {boolean}
+         */
+        this.hosting = false;
+
+        /**
+         * The ID of the host of the room, or null in a mesh room.
+         * @type {string}
+         */
+        this.hostId = null;
+
+        /**
+         * Whether the host relays the values from a client to the other clients.
+         * @type {boolean}
+         * @default true
+         */
+        this.relayValues = true;
+
+        /**
+         * Whether the host relays the events, the assets and the sprites from a client to the other clients.
+         * @type {boolean}
+         * @default true
+         */
+        this.relayEvents = true;
+
+        /**
+         * Whether the values are sent on the unreliable channel.
+         * @type {boolean}
+         * @default false
+         */
+        this.unreliableValues = false;
+
+        /**
+         * Whether the events are sent on the unreliable channel.
+         * @type {boolean}
+         * @default false
+         */
+        this.unreliableEvents = false;
+
+        /**
+         * Interval to send the messages on the unreliable channel in milliseconds.
+         * Only the latest message of each key or event type in the interval is sent.
+         * @type {number}
+         */
+        this.coalesceInterval = 1000 / 30;
+
+        /**
+         * Time without changes until the values which were sent unreliably are sent again reliably,
+         * so that the last value reaches the peers even if it was lost.
+         * @type {number}
+         */
+        this.settleDelay = 250;
+
+        /**
+         * The messages waiting to be sent on the unreliable channel by the key or the event type.
+         * @type {Map<string, object>}
+         */
+        this._unreliableQueue = new Map();
+
+        /**
+         * The last SET_VALUE messages which were sent unreliably by their keys.
+         * @type {Map<string, object>}
+         */
+        this._unsettledValues = new Map();
+
+        this._flushTimer = null;
+        this._settleTimer = null;
+
+        /**
+         * Function to filter or validate the values and events from a client on the host.
+         * It is called with the message and the ID of the client, and returns the message to accept,
+         * which may be modified, or null to drop it, or a promise which resolves with either.
+         * @type {function(object, string): (?object|Promise<?object>)}
+         */
+        this.relayFilter = null;
+
+        /**
+         * The messages from each client which wait for relayFilter, by the IDs of the clients.
+         * @type {Map<string, Promise>}
+         */
+        this._relayQueues = new Map();
+
+        /**
+         * Number of the messages from each client which wait for relayFilter, by the IDs of the clients.
+         * @type {Map<string, number>}
+         */
+        this._relayWaiting = new Map();
+
+        /**
+         * Maximum number of the messages from a client which wait for relayFilter.
+         * The later messages are dropped over it.
+         * @type {number}
+         */
+        this.maxRelayWaiting = 100;
+
+        /**
+         * Whether to reconnect automatically when the connection was lost.
+         * @type {boolean}
+         * @default true
+         */
+        this.autoReconnect = true;
+
+        /**
+         * The maximum number of attempts to reconnect.
+         * @type {number}
+         * @default 5
+         */
+        this.reconnectMaxAttempts = 5;
+
+        /**
+         * The delay before the second attempt to reconnect, which is doubled for each attempt.
+         * @type {number} - The duration in milliseconds.
+         * @default 1000
+         */
+        this.reconnectDelay = 1000;
+
+        /**
+         * The duration of waiting for the ICE restart.
+         * @type {number} - The duration in milliseconds.
+         * @default 10000
+         */
+        this.iceRestartTimeoutDuration = 10000;
+
+        /**
+         * The duration of 'disconnected' state to be regarded as lost.
+         * @type {number} - The duration in milliseconds.
+         * @default 5000
+         */
+        this.disconnectedTimeoutDuration = 5000;
+
+        /**
+         * IDs of the remote peers which are being reconnected.
+         * @type {Set<string>}
+         */
+        this._reconnectingIds = new Set();
+
+        /**
+         * IDs of the remote peers which reconnection is notified when the data channel opens.
+         * @type {Set<string>}
+         */
+        this._reconnectedOnOpen = new Set();
+
+        /**
+         * Resolvers waiting for the connection by the IDs of the remote peers.
+         * @type {Map<string, function>}
+         */
+        this._connectedResolvers = new Map();
+
+        this._joining = null;
+
+        this._onSignalingMessage = this.handleSignalingMessage.bind(this);
+        this.setSignalingChannel('sheet');
+    }
+
+    /**
+     * Replace the signaling channel with a new one of the type.
+     * The negotiation must be stopped before changing the channel.
+     * @param {string} type - type of the signaling channel
+     */
+    setSignalingChannel (type) {
+        if (this.signalingChannelType === type) return;
+        if (this.signalingState === 'joining') {
+            throw new Error('Cannot change signaling channel while negotiating');
+        }
+        const channel = createSignalingChannel(type);
+        channel.id = this.peerId;
+        if (this.signalingServerUrls[type]) {
+            channel.serverUrl = this.signalingServerUrls[type];
+        }
+        if (this.signalingChannel) {
+            this.signalingChannel.removeEventListener('message', this._onSignalingMessage);
+            this.signalingChannel.disconnect();
+        }
+        this.signalingChannel = channel;
+        this.signalingChannelType = type;
+        this.signalingChannel.addEventListener('message', this._onSignalingMessage);
+        this.signalName = null;
         this.signalingState = 'disconnected';
+        log.log(`Signaling channel: ${type}`);
+    }
+
+    /**
+     * Set the URL of the signaling server for the current channel type.
+     * The channel is disconnected to connect to the new server next time.
+     * @param {string} url - URL of the server
+     */
+    setSignalingServerUrl (url) {
+        if (this.signalingState === 'joining') {
+            throw new Error('Cannot change signaling server while negotiating');
+        }
+        if (!this.signalingChannel.usesServer) {
+            throw new Error(`Signaling channel ${this.signalingChannelType} has no server`);
+        }
+        this.signalingServerUrls[this.signalingChannelType] = url;
+        this.signalingChannel.serverUrl = url;
+        this.signalingChannel.disconnect();
         this.signalName = null;
+        this.signalingState = 'disconnected';
+        log.log(`Signaling server of ${this.signalingChannelType}: ${url}`);
+    }
+
+    /**
+     * Add a STUN/TURN server to be used from the next connection.
+     * @param {string} url - URL of the server such as 'stun:host:port' or 'turn:host:port'
+     * @param {string} [username] - username for the TURN server
+     * @param {string} [credential] - credential for the TURN server
+     */
+    addIceServer (url, username, credential) {
+        const iceServer = {urls: url};
+        if (username) {
+            iceServer.username = username;
+            iceServer.credential = credential;
+        }
+        this.iceServers.push(iceServer);
+    }
+
+    /**
+     * Remove all STUN/TURN servers.
+     * Only the host candidates are used without them, which is enough in a LAN.
+     */
+    clearIceServers () {
+        this.iceServers = [];
+    }
+
+    async connectSignalingChannel (signalName) {
+        const channel = this.signalingChannel;
+        if (channel.connected && channel.signalName === signalName) {
+            return;
+        }
+        if (channel.connected) {
+            // Move to the other room
+            channel.disconnect();
+        }
+        await channel.connect(signalName);
+        this.signalName = signalName;
+        this.signalingState = 'connected';
+    }
+
+    async startSignaling (signalName) {
+        await this.connectSignalingChannel(signalName);
+        await this.joinRoom();
+    }
+
+    /**
+     * Join the room of the signal name.
+     * The peers in the room offer to this peer when they receive the join message,
+     * and this peer keeps listening to connect the peers which join later.
+     * @returns {Promise} - a promise which resolves when connected to a remote peer
+     */
+    joinRoom () {
+        if (this.signalingState === 'joining') {
+            return this._joining;
+        }
+        this.manualSignaling = false;
+        if (this.isConnected()) {
+            this.signalingState = 'joined';
+            if (this._isConnectedToHost()) return Promise.resolve(); // Only the host listens
+            return this._announceJoin(false);
+        }
+        this.signalingState = 'joining';
+        this._joining = new Promise((resolve, reject) => {
+            this.negotiationResolve = resolve;
+            this.negotiationReject = reject;
+            this.negotiationTimeoutId = setTimeout(() => {
+                this.negotiationTimeoutId = null;
+                this._settleJoining(new Error('Joining timeout'));
+                this.stopNegotiation();
+            }, this.joiningTimeoutDuration);
+        });
+        this._announceJoin(false)
+            .catch(err => {
+                this._settleJoining(err);
+                this.stopNegotiation();
+            });
+        return this._joining;
+    }
+
+    /**
+     * Host the room of the signal name.
+     * The peers which connect to the room after this are connected only to this peer.
+     * It does not wait for the clients.
+     * @param {string} signalName - the signal name
+     * @returns {Promise} - a promise which resolves when started listening
+     */
+    async hostRoom (signalName) {
+        if (this.signalingState === 'joining') {
+            await this.stopNegotiation();
+        }
+        this.hosting = true;
+        this.hostId = null;
+        await this.connectSignalingChannel(signalName);
+        this.manualSignaling = false;
+        this.signalingState = 'joined';
+        await this._announceJoin(false);
+    }
+
+    /**
+     * Send the join message to all the peers in the room and start listening.
+     * @param {boolean} rejoin - true to replace the connections which were lost
+     * @returns {Promise} - a promise which resolves when the message was sent
+     */
+    async _announceJoin (rejoin) {
+        // The time must increase to be newer than the last one in the same millisecond.
+        this._joinedAt = Math.max(Date.now(), this._joinedAt + 1);
+        const message = {
+            type: 'join',
+            from: this.peerId,
+            joinedAt: this._joinedAt,
+            rejoin: rejoin
+        };
+        if (this.hosting) {
+            message.host = true;
+        }
+        await this.signalingChannel.startOffering(message);
+        log.log(`Joined ${this.signalName} as ${this.peerId}`);
+    }
+
+    /**
+     * Resolve or reject the promise of joinRoom().
+     * @param {Error} [error] - reason to reject, or nothing to resolve
+     */
+    _settleJoining (error) {
+        if (typeof this.negotiationTimeoutId === 'number') {
+            clearTimeout(this.negotiationTimeoutId);
+            this.negotiationTimeoutId = null;
+        }
+        const resolve = this.negotiationResolve;
+        const reject = this.negotiationReject;
+        this.negotiationResolve = null;
+        this.negotiationReject = null;
+        this._joining = null;
+        if (error) {
+            if (reject) reject(error);
+        } else if (resolve) {
+            resolve();
+        }
+    }
+
+    /**
+     * Stop listening to the signaling channel.
+     * The connected peers are kept but the pending negotiations are canceled,
+     * and the peers which join later are not connected.
+     */
+    async stopNegotiation () {
+        const listening = this.signalingState === 'joining' || this.signalingState === 'joined';
+        this._settleJoining(new Error('Negotiation rejected'));
+        this.remotePeers.forEach(remotePeer => {
+            if (!remotePeer.isConnected() && !remotePeer.manualSignaling &&
+                !this._reconnectingIds.has(remotePeer.id)) {
+                this.removeRemotePeer(remotePeer);
+            }
+        });
+        await this.signalingChannel.stopNegotiation();
+        if (listening) {
+            this.signalingState = 'connected';
+            await this.signalingChannel.deleteOwnMessages();
+        }
+        log.log('Negotiation stopped');
+    }
+
+    /**
+     * Make a connection to a remote peer.
+     * @param {string} id - ID of the remote peer, or empty string while it is unknown
+     * @param {boolean} manualSignaling - whether the signals are exchanged as codes
+     * @returns {RemotePeer} - the connection
+     */
+    _createRemotePeer (id, manualSignaling) {
+        const remotePeer = new RemotePeer(id, this.peerId, {
+            iceServers: this.iceServers,
+            dataChannelName: this.dataChannelName,
+            manualSignaling: manualSignaling,
+            negotiationTimeoutDuration: manualSignaling ? 0 : this.negotiationTimeoutDuration,
+            disconnectedTimeoutDuration: this.disconnectedTimeoutDuration
+        });
+        remotePeer.addEventListener('signal', event => {
+            this.sendSignal(remotePeer.id, event.detail)
+                .catch(err => log.warn('Error sending signaling message:', err));
+        });
+        remotePeer.addEventListener('connected', () => this._onRemotePeerConnected(remotePeer));
+        remotePeer.addEventListener('lost', () => this.handleConnectionLost(remotePeer));
+        remotePeer.addEventListener('timeout', () => {
+            if (this._reconnectingIds.has(remotePeer.id)) return;
+            log.warn(`Negotiation timeout with ${remotePeer.id}`);
+            this.removeRemotePeer(remotePeer);
+        });
+        remotePeer.addEventListener('open', () => this._onRemotePeerOpen(remotePeer));
+        remotePeer.addEventListener('close', () => {
+            if (this._reconnectingIds.has(remotePeer.id)) return;
+            this.removeRemotePeer(remotePeer);
+        });
+        remotePeer.addEventListener('message', event => this.handleDataMessage(remotePeer, event.detail));
+        remotePeer.addEventListener('unreliableMessage', event => {
+            this.handleDataMessage(remotePeer, event.detail, true);
+        });
+        remotePeer.addEventListener('progress', event => this._onTransferProgress(remotePeer, event.detail));
+        return remotePeer;
+    }
+
+    /**
+     * Make a connection to the remote peer which replaces the existing one.
+     * @param {string} id - ID of the remote peer
+     * @param {boolean} [manualSignaling] - whether the signals are exchanged as codes
+     * @returns {RemotePeer} - the connection
+     */
+    addRemotePeer (id, manualSignaling = false) {
+        const remotePeer = this._createRemotePeer(id, manualSignaling);
+        this._putRemotePeer(remotePeer);
+        return remotePeer;
+    }
+
+    _putRemotePeer (remotePeer) {
+        const existing = this.remotePeers.get(remotePeer.id);
+        if (existing) {
+            this.removeRemotePeer(existing, false);
+        }
+        this.remotePeers.set(remotePeer.id, remotePeer);
+    }
+
+    /**
+     * Close the connection to the remote peer and forget it.
+     * @param {RemotePeer} remotePeer - the connection
+     * @param {boolean} [notify] - whether to notify that the peer left
+     */
+    removeRemotePeer (remotePeer, notify = true) {
+        if (this.remotePeers.get(remotePeer.id) === remotePeer) {
+            this.remotePeers.delete(remotePeer.id);
+        }
+        const present = remotePeer.opened && !remotePeer.closed;
+        remotePeer.close();
+        if (notify && present) {
+            this._onPeerLeft(remotePeer.id);
+        }
+    }
+
+    _onPeerLeft (id) {
+        if (id === this.hostId) {
+            this.hostId = null;
+        }
+        this.roster.forEach((member, memberId) => {
+            if (member.via === id && memberId !== id) {
+                this._removeMember(memberId);
+            }
+        });
+        if (this.hosting) {
+            this.broadcast({type: 'LEFT', from: id});
+        }
+        this._removeMember(id);
+    }
+
+    /**
+     * Remove the peer from the roster and notify that it left.
+     * @param {string} id - ID of the peer
+     */
+    _removeMember (id) {
+        if (!this.roster.delete(id)) return;
+        log.log(`Peer left: ${id}`);
+        this.dispatchEvent(new CustomEvent('peerLeft', {
+            detail: id
+        }));
+    }
+
+    _onRemotePeerConnected (remotePeer) {
+        const resolve = this._connectedResolvers.get(remotePeer.id);
+        if (resolve) {
+            resolve(true);
+        }
+        if (this.signalingState === 'joining') {
+            this.signalingState = 'joined';
+            this._settleJoining();
+        }
+        if (!this.hosting && remotePeer.id === this.hostId && !remotePeer.manualSignaling) {
+            this._stopListeningAsClient()
+                .catch(err => log.warn('Error stopping signaling:', err));
+        }
+    }
+
+    /**
+     * Stop listening to the signaling channel as a client which is connected to the host.
+     * Only the host listens for the peers which join later,
+     * and the client listens again when it reconnects to the host.
+     * @returns {Promise} - a promise which resolves when the join message was deleted
+     */
+    async _stopListeningAsClient () {
+        await this.signalingChannel.stopNegotiation();
+        await this.signalingChannel.deleteOwnMessages();
+        log.log(`Stopped signaling as a client of ${this.hostId}`);
+    }
+
+    /**
+     * Whether this client is connected to the host of the room.
+     * @returns {boolean} - true if connected to the host
+     */
+    _isConnectedToHost () {
+        if (this.hosting || !this.hostId) return false;
+        const host = this.remotePeers.get(this.hostId);
+        return !!host && host.isConnected();
+    }
+
+    _onRemotePeerOpen (remotePeer) {
+        this._sendHello(remotePeer);
+        const id = remotePeer.id;
+        if (this._reconnectingIds.has(id)) return; // reconnect() notifies it
+        if (this._reconnectedOnOpen.has(id)) {
+            this._onReconnected(id);
+            return;
+        }
+        this.sendSnapshot(remotePeer);
+    }
+
+    /**
+     * Announce the name of this peer to the remote peer.
+     * The host also introduces the other clients to the new one.
+     * @param {RemotePeer} remotePeer - the connection
+     */
+    _sendHello (remotePeer) {
+        const messages = [{
+            type: 'HELLO',
+            content: {name: this.peerName}
+        }];
+        if (this.hosting) {
+            this.roster.forEach((member, id) => {
+                if (id === remotePeer.id) return;
+                messages.push({
+                    type: 'HELLO',
+                    from: id,
+                    content: {name: member.name}
+                });
+            });
+        }
+        try {
+            messages.forEach(message => remotePeer.send(message));
+        } catch (err) {
+            log.warn(`Error sending HELLO to ${remotePeer.id}:`, err);
+        }
+    }
+
+    /**
+     * Add the peer in the HELLO message to the roster, or update its name.
+     * @param {RemotePeer} remotePeer - the connection which the message came through
+     * @param {object} message - the HELLO message
+     */
+    handleHello (remotePeer, message) {
+        const id = this._senderOf(remotePeer, message);
+        if (id === this.peerId) return;
+        const name = String((message.content && message.content.name) || '');
+        const joined = !this.roster.has(id);
+        this.roster.set(id, {name: name, via: remotePeer.id});
+        if (this.hosting) {
+            this.broadcast(Object.assign({}, message, {from: id}), id);
+        }
+        if (joined) {
+            log.log(`Peer joined: ${id}`);
+            this.dispatchEvent(new CustomEvent('peerJoined', {
+                detail: id
+            }));
+        }
+    }
+
+    /**
+     * Change the name of this peer and announce it.
+     * @param {string} name - the display name
+     */
+    setPeerName (name) {
+        this.peerName = name;
+        this.broadcast({
+            type: 'HELLO',
+            content: {name: name}
+        });
+    }
+
+    /**
+     * IDs of the other peers in the room in the order they joined.
+     * @returns {Array<string>} - IDs of the peers
+     */
+    rosterIds () {
+        return Array.from(this.roster.keys());
+    }
+
+    /**
+     * Display name of the peer, which is its ID if the name is empty.
+     * @param {string} id - ID of the peer
+     * @returns {string} - the name, or empty string if the peer is not in the room
+     */
+    nameOf (id) {
+        if (id === this.peerId) return this.peerName || id;
+        const member = this.roster.get(id);
+        if (!member) return '';
+        return member.name || id;
+    }
+
+    /**
+     * Send a signaling message to the remote peer.
+     * @param {string} to - ID of the remote peer
+     * @param {object} message - the signaling message
+     * @returns {Promise} - a promise which resolves when the message was sent
+     */
+    sendSignal (to, message) {
+        if (!to) return Promise.resolve(); // Exchanged as a code
+        const signal = Object.assign({}, message, {
+            from: this.peerId,
+            to: to
+        });
+        if (this.hosting) {
+            signal.host = true;
+        }
+        return this.signalingChannel.send(signal);
+    }
+
+    /**
+     * Make an offer to the remote peer.
+     * @param {RemotePeer} remotePeer - the connection
+     * @param {object} [options] - options of createOffer()
+     * @returns {Promise} - a promise which resolves when the offer was sent
+     */
+    async _offerTo (remotePeer, options) {
+        const offer = await remotePeer.makeOffer(options);
+        await this.sendSignal(remotePeer.id, offer);
+    }
+
+    /**
+     * Whether it is trying to reconnect.
+     * @param {string} [id] - ID of the remote peer, or any peer if omitted
+     * @returns {boolean} - true while reconnecting
+     */
+    isReconnecting (id) {
+        if (id) return this._reconnectingIds.has(id);
+        return this._reconnectingIds.size > 0;
+    }
+
+    /**
+     * Handle the connection which was lost unexpectedly.
+     * @param {RemotePeer} remotePeer - the connection
+     */
+    handleConnectionLost (remotePeer) {
+        if (this.remotePeers.get(remotePeer.id) !== remotePeer) return;
+        if (!this.autoReconnect || remotePeer.manualSignaling || !this.signalName) {
+            this.removeRemotePeer(remotePeer);
+            return;
+        }
+        this.reconnect(remotePeer.id)
+            .catch(err => log.warn('Error reconnecting:', err));
+    }
+
+    /**
+     * Wait until the connection to the remote peer becomes connected.
+     * @param {string} id - ID of the remote peer
+     * @param {number} timeout - duration to wait in milliseconds
+     * @returns {Promise<boolean>} - a promise which resolves true if connected or false for timeout
+     */
+    _waitForConnected (id, timeout) {
+        return new Promise(resolve => {
+            let timeoutId = null;
+            const resolver = connected => {
+                clearTimeout(timeoutId);
+                if (this._connectedResolvers.get(id) === resolver) {
+                    this._connectedResolvers.delete(id);
+                }
+                resolve(connected);
+            };
+            timeoutId = setTimeout(() => resolver(false), timeout);
+            this._connectedResolvers.set(id, resolver);
+        });
+    }
+
+    /**
+     * Listen to the signaling channel again to reconnect.
+     */
+    async _listenSignaling () {
+        await this.connectSignalingChannel(this.signalName);
+        this.signalingChannel.startAnswering();
+        if (this.signalingState !== 'joining') {
+            this.signalingState = 'joined';
+        }
+    }
+
+    /**
+     * Restart ICE of the lost connection through the signaling channel.
+     * Both peers may restart at the same time, which is resolved as the offer collision.
+     * @param {RemotePeer} lost - the lost connection
+     * @returns {Promise<boolean>} - a promise which resolves true if reconnected
+     */
+    async _restartIce (lost) {
+        await this._listenSignaling();
+        const connected = this._waitForConnected(lost.id, this.iceRestartTimeoutDuration);
+        await this._offerTo(lost, {iceRestart: true});
+        log.log(`ICE restart offered to ${lost.id}`);
+        return connected;
+    }
+
+    /**
+     * Make a new connection through the signaling channel.
+     * The remote peer replaces the lost connection when it receives the join message again.
+     * @param {RemotePeer} lost - the lost connection
+     * @returns {Promise<boolean>} - a promise which resolves true if reconnected
+     */
+    async _resignal (lost) {
+        const id = lost.id;
+        const current = this.remotePeers.get(id);
+        if (current && current !== lost) {
+            // The remote peer is making a new connection.
+            if (current.isConnected()) return true;
+            return this._waitForConnected(id, this.negotiationTimeoutDuration);
+        }
+        if (current) {
+            this.removeRemotePeer(current, false);
+        }
+        await this._listenSignaling();
+        const connected = this._waitForConnected(id, this.negotiationTimeoutDuration);
+        await this._announceJoin(true);
+        return connected;
+    }
+
+    /**
+     * Reconnect to the remote peer on the same signal name.
+     * It tries the ICE restart first, then makes a new connection with exponential backoff.
+     * @param {string} id - ID of the remote peer
+     * @returns {Promise<boolean>} - a promise which resolves true if reconnected
+     */
+    async reconnect (id) {
+        if (this._reconnectingIds.has(id)) return false;
+        this._reconnectingIds.add(id);
+        log.log(`Reconnecting to ${id}`);
+        let lost = this.remotePeers.get(id);
+        for (let attempt = 0; attempt < this.reconnectMaxAttempts; attempt++) {
+            if (attempt > 1) {
+                const delay = this.reconnectDelay * Math.pow(2, attempt - 2);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+            if (!this._reconnectingIds.has(id)) return false; // Canceled by disconnectPeer()
+            try {
+                const reconnected = (attempt === 0 && this.remotePeers.get(id) === lost) ?
+                    await this._restartIce(lost) :
+                    await this._resignal(lost);
+                if (reconnected) {
+                    this._reconnectingIds.delete(id);
+                    this._onReconnected(id);
+                    return true;
+                }
+            } catch (err) {
+                log.warn(`Reconnect attempt ${attempt + 1} failed:`, err);
+            }
+            lost = this.remotePeers.get(id) || lost;
+        }
+        log.log(`Gave up reconnecting to ${id}`);
+        this._reconnectingIds.delete(id);
+        const remotePeer = this.remotePeers.get(id);
+        if (remotePeer) {
+            this.removeRemotePeer(remotePeer, false);
+        }
+        this._onPeerLeft(id);
+        return false;
+    }
+
+    /**
+     * Notify the reconnection after the data channel is open and send the values again,
+     * which may have been changed while disconnected.
+     * @param {string} id - ID of the remote peer
+     */
+    _onReconnected (id) {
+        const remotePeer = this.remotePeers.get(id);
+        if (!remotePeer || remotePeer.dataChannelState() !== 'open') {
+            this._reconnectedOnOpen.add(id);
+            return;
+        }
+        this._reconnectedOnOpen.delete(id);
+        this.sendSnapshot(remotePeer);
+        log.log(`Reconnected to ${id}`);
+        this.dispatchEvent(new CustomEvent('reconnected', {
+            detail: id
+        }));
+    }
+
+    /**
+     * Send all the values with their versions to the remote peer.
+     * Both peers send it when the data channel opened and reconcile the values.
+     * @param {RemotePeer} remotePeer - the connection
+     */
+    sendSnapshot (remotePeer) {
+        try {
+            remotePeer.send({
+                type: 'SNAPSHOT',
+                content: {
+                    values: this.dataChannelValues,
+                    versions: this.valueVersions,
+                    counters: this.valueCounters,
+                    lists: Object.keys(this.sharedLists).reduce((lists, name) => {
+                        lists[name] = this.sharedLists[name].toOps();
+                        return lists;
+                    }, {})
+                }
+            });
+        } catch (err) {
+            log.warn(`Error sending values to ${remotePeer.id}:`, err);
+        }
+    }
+
+    /**
+     * Reconcile the values with the snapshot of the remote peer.
+     * The newer value is taken for each key, so that both peers have the same values,
+     * and the operations of the lists are merged.
+     * The host relays the values which it took to the other clients.
+     * @param {RemotePeer} remotePeer - the connection
+     * @param {object} snapshot - values, versions, counters and lists of the remote peer
+     */
+    handleSnapshot (remotePeer, snapshot) {
+        const values = snapshot.values || {};
+        const versions = snapshot.versions || {};
+        const counters = snapshot.counters || {};
+        Object.keys(values).forEach(key => {
+            const message = {
+                type: 'SET_VALUE',
+                content: {
+                    key: key,
+                    value: values[key],
+                    version: versions[key] || this._nextVersion(remotePeer.id)
+                }
+            };
+            if (counters[key]) {
+                message.content.counter = counters[key];
+            }
+            if (!this._isMergeable(message.content)) return;
+            const merge = accepted => this._mergeValue(accepted.content, remotePeer.id);
+            if (this.hosting) {
+                this.relay(remotePeer, message, false, merge);
+                return;
+            }
+            merge(message);
+        });
+        const lists = snapshot.lists || {};
+        Object.keys(lists).forEach(name => {
+            const message = {
+                type: 'LIST',
+                content: {
+                    list: name,
+                    ops: lists[name]
+                }
+            };
+            const handle = accepted => this.handleListOps(accepted.content);
+            if (this.hosting) {
+                this.relay(remotePeer, message, false, handle);
+                return;
+            }
+            handle(message);
+        });
+    }
+
+    /**
+     * Advance the hybrid logical clock for a new version.
+     * The time follows the wall clock but always increases,
+     * and it is after all the versions which this peer has seen.
+     * @param {string} [peer] - ID of the peer which set the value
+     * @returns {{time: number, peer: string}} - the new version
+     */
+    _nextVersion (peer = this.peerId) {
+        this._clock = Math.max(Date.now(), this._clock + 1);
+        return {
+            time: this._clock,
+            peer: peer
+        };
+    }
+
+    /**
+     * Keep the hybrid logical clock after the received version.
+     * @param {?{time: number, peer: string}} version - the received version
+     */
+    _observeVersion (version) {
+        if (version && version.time > this._clock) {
+            this._clock = version.time;
+        }
+    }
+
+    _hasValue (key) {
+        return Object.prototype.hasOwnProperty.call(this.dataChannelValues, key);
+    }
+
+    /**
+     * Whether the value in the SET_VALUE message changes the local value.
+     * @param {object} content - key, value, version and counter of the value
+     * @returns {boolean} - true if the version is newer or the counter is of the same version
+     */
+    _isMergeable (content) {
+        if (!this._hasValue(content.key)) return true;
+        const order = compareVersions(content.version, this.valueVersions[content.key]);
+        return order > 0 || (order === 0 && !!content.counter);
+    }
+
+    /**
+     * Merge the value in the SET_VALUE message into the local value.
+     * The value of the newer version wins, and the counters of the same version are added up.
+     * @param {object} content - key, value, version and counter of the value
+     * @param {string} [sender] - ID of the peer which sent it, or none if this peer set it
+     * @returns {boolean} - true if the local value was changed
+     */
+    _mergeValue (content, sender) {
+        const key = content.key;
+        const version = content.version || this._nextVersion(sender);
+        const incoming = Object.assign({}, content, {version: version});
+        if (!this._isMergeable(incoming)) return false;
+        this._observeVersion(version);
+        const previous = this.valueOf(key);
+        if (!this._hasValue(key) || compareVersions(version, this.valueVersions[key]) > 0) {
+            this.dataChannelValues[key] = content.value;
+            this.valueVersions[key] = version;
+            delete this.valueCounters[key];
+        }
+        if (content.counter) {
+            const counter = this.valueCounters[key] || {base: content.counter.base, p: {}, n: {}};
+            ['p', 'n'].forEach(sign => {
+                const totals = content.counter[sign] || {};
+                Object.keys(totals).forEach(peer => {
+                    counter[sign][peer] = Math.max(counter[sign][peer] || 0, totals[peer]);
+                });
+            });
+            this.valueCounters[key] = counter;
+            this.dataChannelValues[key] = counterValue(counter);
+        }
+        if (this.dataChannelValues[key] !== previous) {
+            this._notifyValueChanged(key, previous, sender || this.peerId);
+        }
+        return true;
+    }
+
+    /**
+     * Notify that the value of the key was changed by this peer or a remote peer.
+     * @param {string} key - the key
+     * @param {*} previous - the value before the change, or empty string if it had no value
+     * @param {string} from - ID of the peer which changed it
+     */
+    _notifyValueChanged (key, previous, from) {
+        this.dispatchEvent(new CustomEvent('valueChanged', {
+            detail: {
+                key: key,
+                value: this.dataChannelValues[key],
+                previous: previous,
+                from: from
+            }
+        }));
+    }
+
+    /**
+     * Start offering without the signaling channel and make the offer code.
+     * The code must be passed to the other peer by hand and its answer code must be accepted.
+     * @returns {Promise<string>} - a promise which resolves with the offer code
+     */
+    async createOfferCode () {
+        if (this._codePeer) {
+            this._codePeer.close();
+        }
+        this.manualSignaling = true;
+        this.offerCode = null;
+        this.answerCode = null;
+        const remotePeer = this._createRemotePeer('', true);
+        this._codePeer = remotePeer;
+        await remotePeer.makeOffer();
+        await remotePeer.waitForIceGathering(this.iceGatheringTimeoutDuration);
+        this.offerCode = await encodeSignalCode({
+            type: 'offer',
+            sdp: remotePeer.peerConnection.localDescription.sdp,
+            from: this.peerId
+        });
+        log.log('Offer code created');
+        return this.offerCode;
+    }
+
+    /**
+     * Whether the offer code is waiting for the answer code.
+     * @returns {boolean} - true if waiting
+     */
+    isOfferingCode () {
+        return !!this._codePeer && !this._codePeer.closed;
+    }
+
+    /**
+     * Accept the code from the other peer.
+     * An offer code makes the answer code to be returned. An answer code completes the offering.
+     * @param {string} code - offer code or answer code
+     * @returns {Promise<string>} - a promise which resolves with the answer code or empty string
+     */
+    async acceptSignalCode (code) {
+        const description = await decodeSignalCode(code);
+        const remoteId = description.from || 'unknown';
+        if (description.type === 'offer') {
+            this.manualSignaling = true;
+            this.answerCode = null;
+            const remotePeer = this.addRemotePeer(remoteId, true);
+            await remotePeer.answerOffer(description);
+            await remotePeer.waitForIceGathering(this.iceGatheringTimeoutDuration);
+            this.answerCode = await encodeSignalCode({
+                type: 'answer',
+                sdp: remotePeer.peerConnection.localDescription.sdp,
+                from: this.peerId
+            });
+            log.log('Answer code created');
+            return this.answerCode;
+        }
+        const remotePeer = this._codePeer;
+        if (!this.isOfferingCode() ||
+            remotePeer.peerConnection.signalingState !== 'have-local-offer') {
+            throw new Error('No offer code is waiting for the answer');
+        }
+        this._codePeer = null;
+        remotePeer.id = remoteId;
+        this._putRemotePeer(remotePeer);
+        await remotePeer.acceptAnswer(description);
+        log.log('Answer code accepted');
+        return '';
+    }
+
+    /**
+     * Handle signaling messages received from the signaling channel.
+     * The messages to this peer are passed to the connection of the sender.
+     * @param {MessageEvent} event - The signaling message event.
+     * @returns {Promise} - a promise which resolves when the message was handled
+     */
+    handleSignalingMessage (event) {
+        const message = event.data;
+        if (!message || !message.from || message.from === this.peerId) return Promise.resolve();
+        if (message.to && message.to !== this.peerId) return Promise.resolve();
+        if (message.type === 'join') {
+            this.handleJoin(message);
+            return Promise.resolve();
+        }
+        if (message.host ? !this._setHost(message.from) : this._isOtherClient(message.from)) {
+            return Promise.resolve();
+        }
+        let remotePeer = this.remotePeers.get(message.from);
+        if (!remotePeer) {
+            // An ICE restart is only for the existing connection.
+            if (message.type !== 'offer' || message.restart) return Promise.resolve();
+            remotePeer = this.addRemotePeer(message.from);
+        }
+        return remotePeer.handleSignalingMessage(message);
+    }
+
+    /**
+     * Offer to the peer which joined the room.
+     * @param {object} message - the join message
+     */
+    handleJoin (message) {
+        if (message.joinedAt <= (this._handledJoins.get(message.from) || 0)) return;
+        if (message.host ? !this._setHost(message.from) : this._isOtherClient(message.from)) {
+            return;
+        }
+        this._handledJoins.set(message.from, message.joinedAt);
+        const existing = this.remotePeers.get(message.from);
+        if (existing) {
+            // The peer makes a new connection when it could not restart ICE.
+            if (!message.rejoin) return;
+            if (existing.opened) {
+                this._reconnectedOnOpen.add(message.from);
+            }
+        }
+        const remotePeer = this.addRemotePeer(message.from);
+        this._offerTo(remotePeer)
+            .catch(err => log.warn(`Error offering to ${message.from}:`, err));
+    }
 
-        /**
-         * The duration of the offering timeout.
-         * @type {number} - The duration in milliseconds.
-         * @default 60000
-         */
-        this.offeringTimeoutDuration = 60000;
+    /**
+     * Connect only to the host in the room.
+     * The connections to the other clients are closed because the host relays their messages.
+     * The first host keeps the room while it is connected or connecting,
+     * so that another peer can not take the clients over by claiming to be the host.
+     * @param {string} id - ID of the host
+     * @returns {boolean} - false if the claim was ignored
+     */
+    _setHost (id) {
+        if (this.hosting || this.hostId === id) return true;
+        if (this.hostId && this.remotePeers.has(this.hostId)) {
+            log.warn(`Ignored ${id} claiming to be the host of ${this.hostId}`);
+            return false;
+        }
+        this.hostId = id;
+        log.log(`Host of the room: ${id}`);
+        this.remotePeers.forEach(remotePeer => {
+            if (remotePeer.id !== id && !remotePeer.manualSignaling) {
+                this._reconnectingIds.delete(remotePeer.id);
+                this.removeRemotePeer(remotePeer);
+            }
+        });
+        return true;
+    }
 
-        /**
-         * The duration of the answering timeout.
-         * @type {number} - The duration in milliseconds.
-         * @default 60000
-         */
-        this.answeringTimeoutDuration = 60000;
+    /**
+     * Whether the peer is another client of the host, which this client does not connect to.
+     * @param {string} id - ID of the peer
+     * @returns {boolean} - true if it is another client
+     */
+    _isOtherClient (id) {
+        return !this.hosting && !!this.hostId && id !== this.hostId;
+    }
 
-        this.peerConnection = null;
+    /**
+     * Name of the value, the list, the sprite, the event type or the asset kind in the message.
+     * @param {object} message - SET_VALUE, LIST, SPRITE, EVENT, ASSET or SPRITE_FILE message
+     * @returns {string} - the name, or empty string if the message has none
+     */
+    relayedNameOf (message) {
+        const name = message.content && message.content[this._nameFieldOf(message)];
+        return typeof name === 'string' ? name : '';
+    }
 
-        /**
-         * The data channel for sending and receiving messages.
-         * @type {RTCDataChannel}
-         */
-        this.dataChannel = null;
-        this.dataChannelName = 'xcxP2P';
+    _nameFieldOf (message) {
+        return {
+            EVENT: 'type',
+            LIST: 'list',
+            SPRITE: 'sprite',
+            ASSET: 'kind',
+            SPRITE_FILE: 'sprite'
+        }[message.type] || 'key';
+    }
 
-        this.dataChannelValues = {};
-        this.lastDataChannelEvent = null;
+    /**
+     * Whether the message is relayed as an event, otherwise as a value.
+     * @param {object} message - the message from a client
+     * @returns {boolean} - true for EVENT, ASSET and SPRITE_FILE
+     */
+    isRelayedEvent (message) {
+        return ['EVENT', 'ASSET', 'SPRITE_FILE'].includes(message.type);
+    }
 
-        this._remoteCandidatesQueue = [];
+    /**
+     * Validate a value or an event from a client and relay it to the other clients as the host.
+     * The relayed message has the ID of the client as 'from'.
+     * When relayFilter returns a promise, the later messages from the same client wait for it
+     * to keep their order, but a message on the unreliable channel is dropped instead of waiting,
+     * and so is a message over maxRelayWaiting.
+     * A filter which failed lets the message pass.
+     * @param {RemotePeer} remotePeer - the connection to the client
+     * @param {object} message - SET_VALUE, LIST, SPRITE, EVENT, ASSET or SPRITE_FILE message
+     * @param {boolean} [unreliable] - whether it came on the unreliable channel, to relay it in the same way
+     * @param {function(object)} [handle] - function to handle the accepted message on the host
+     */
+    relay (remotePeer, message, unreliable, handle) {
+        const content = message.content;
+        const binary = ['ASSET', 'SPRITE_FILE'].includes(message.type);
+        const valid = !!content && typeof content[this._nameFieldOf(message)] === 'string' &&
+            (message.type !== 'LIST' || Array.isArray(content.ops)) &&
+            (message.type !== 'SPRITE' || (!!content.state && typeof content.state === 'object')) &&
+            (!binary || message.bytes instanceof Uint8Array);
+        if (!valid) {
+            log.warn(`Invalid message from ${remotePeer.id}:`, message);
+            return;
+        }
+        const id = remotePeer.id;
+        const pass = accepted => {
+            if (!accepted) {
+                log.log(`Message from ${id} was dropped:`, message);
+                return;
+            }
+            if (this.isRelayedEvent(message) ? this.relayEvents : this.relayValues) {
+                this.broadcast(Object.assign({}, accepted, {from: id}), id, unreliable);
+            }
+            if (handle) handle(accepted);
+        };
+        const failed = err => {
+            log.warn(`Error filtering the message from ${id}:`, err);
+            return message;
+        };
+        const filter = () => {
+            if (!this.relayFilter) return message;
+            try {
+                return this.relayFilter(message, id);
+            } catch (err) {
+                return failed(err);
+            }
+        };
+        const waiting = this._relayQueues.get(id);
+        const waitingCount = this._relayWaiting.get(id) || 0;
+        let filtered;
+        if (waiting) {
+            if (unreliable || waitingCount >= this.maxRelayWaiting) {
+                log.log(`Message from ${id} was dropped while the others wait:`, message);
+                return;
+            }
+            filtered = waiting.then(filter);
+        } else {
+            const accepted = filter();
+            if (!accepted || typeof accepted.then !== 'function') {
+                pass(accepted);
+                return;
+            }
+            filtered = accepted;
+        }
+        this._relayWaiting.set(id, waitingCount + 1);
+        const queue = filtered
+            .catch(failed)
+            .then(pass)
+            .catch(err => log.warn(`Error relaying the message from ${id}:`, err))
+            .then(() => {
+                const count = this._relayWaiting.get(id) - 1;
+                if (count > 0) {
+                    this._relayWaiting.set(id, count);
+                } else {
+                    this._relayWaiting.delete(id);
+                }
+                if (this._relayQueues.get(id) === queue) {
+                    this._relayQueues.delete(id);
+                }
+            });
+        this._relayQueues.set(id, queue);
+    }
 
-        this.signalingChannel.addEventListener('message', this.handleSignalingMessage.bind(this));
+    /**
+     * ID of the peer which sent the message.
+     * Only the host can pass on the messages of the other peers.
+     * @param {RemotePeer} remotePeer - the connection which the message came through
+     * @param {object} message - the message
+     * @returns {string} - ID of the sender
+     */
+    _senderOf (remotePeer, message) {
+        if (message.from && remotePeer.id === this.hostId) return message.from;
+        return remotePeer.id;
     }
 
-    async connectSignalingChannel (signalName) {
-        if ((this.signalingChannel.signalName === signalName) && this.isConnected()) {
+    /**
+     * Handle a message from the data channel of the remote peer.
+     * The host accepts the values and the events from the clients through relay().
+     * @param {RemotePeer} remotePeer - the connection
+     * @param {object} message - the message
+     * @param {boolean} [unreliable] - whether it came on the unreliable channel
+     */
+    handleDataMessage (remotePeer, message, unreliable) {
+        const relayed = ['SET_VALUE', 'LIST', 'SPRITE', 'EVENT', 'ASSET', 'SPRITE_FILE'];
+        if (this.hosting && relayed.includes(message.type)) {
+            this.relay(remotePeer, message, unreliable, accepted => this._handleMessage(remotePeer, accepted));
             return;
         }
-        await this.signalingChannel.connect(signalName);
-        this.signalName = signalName;
-        this.signalingState = 'connected';
+        this._handleMessage(remotePeer, message);
     }
 
-    async startSignaling (signalName) {
-        await this.connectSignalingChannel(signalName);
-
-        try {
-            // Check if someone is already offering this signal
-            const isOffering = await this.signalingChannel.isOffering();
-            
-            if (isOffering) {
-                // Someone is offering, proceed with answering
-                await this.startAnswering();
+    /**
+     * Handle a message which was accepted on this peer.
+     * @param {RemotePeer} remotePeer - the connection which the message came through
+     * @param {object} message - the message
+     */
+    _handleMessage (remotePeer, message) {
+        switch (message.type) {
+        case 'BYE':
+            // The peer disconnected intentionally, so it should not be reconnected.
+            this._reconnectingIds.delete(remotePeer.id);
+            this.removeRemotePeer(remotePeer);
+            break;
+        case 'HELLO':
+            this.handleHello(remotePeer, message);
+            break;
+        case 'LEFT':
+            // The host tells that one of its clients left.
+            if (remotePeer.id === this.hostId) {
+                this._removeMember(message.from);
+            }
+            break;
+        case 'SET_VALUE':
+            this._mergeValue(message.content, this._senderOf(remotePeer, message));
+            break;
+        case 'LIST':
+            this.handleListOps(message.content);
+            break;
+        case 'SNAPSHOT':
+            this.handleSnapshot(remotePeer, message.content || {});
+            break;
+        case 'SPRITE':
+            this.dispatchEvent(new CustomEvent('spriteState', {
+                detail: Object.assign({}, message.content, {
+                    from: this._senderOf(remotePeer, message)
+                })
+            }));
+            break;
+        case 'ASSET':
+            this.dispatchEvent(new CustomEvent('assetReceived', {
+                detail: Object.assign({}, message.content, {
+                    bytes: message.bytes,
+                    from: this._senderOf(remotePeer, message)
+                })
+            }));
+            break;
+        case 'SPRITE_FILE':
+            this.dispatchEvent(new CustomEvent('spriteReceived', {
+                detail: {
+                    sprite: message.content.sprite,
+                    bytes: message.bytes,
+                    from: this._senderOf(remotePeer, message)
+                }
+            }));
+            break;
+        case 'EVENT': {
+            const event = Object.assign({}, message.content, {
+                from: this._senderOf(remotePeer, message)
+            });
+            if (event.reply) {
+                this._handleReply(event);
+            } else if (event.request) {
+                this.dispatchEvent(new CustomEvent('requestReceived', {
+                    detail: event
+                }));
             } else {
-                // No one is offering, start offering
-                await this.startOffering();
+                this._receiveEvent(event);
             }
-        } catch (err) {
-            await this.stopNegotiation();
-            throw new Error(`Failed to start signaling: ${err.message}`);
+            break;
+        }
+        default:
+            log.warn('Unknown message type:', message.type);
         }
     }
 
-    async stopNegotiation (success = false) {
-        if (typeof this.negotiationTimeoutId === 'number') {
-            clearTimeout(this.negotiationTimeoutId);
-            this.negotiationTimeoutId = null;
-        }
-        await this.signalingChannel.stopNegotiation();
-        if (success) {
-            if (this.negotiationResolve) {
-                this.negotiationResolve();
+    /**
+     * Tell the progress of sending or receiving a sprite as 'spriteProgress'.
+     * @param {RemotePeer} remotePeer - the connection which the data is passing through
+     * @param {{message: object, direction: string, loaded: number, total: number}} progress - the progress
+     */
+    _onTransferProgress (remotePeer, progress) {
+        const message = progress.message;
+        if (message.type !== 'SPRITE_FILE' || !message.content) return;
+        const receiving = (progress.direction === 'receiving');
+        this.dispatchEvent(new CustomEvent('spriteProgress', {
+            detail: {
+                sprite: message.content.sprite,
+                peer: receiving ? this._senderOf(remotePeer, message) : remotePeer.id,
+                direction: progress.direction,
+                loaded: progress.loaded,
+                total: progress.total
             }
-        } else if (this.negotiationReject) {
-            await this.signalingChannel.deleteOwnMessages();
-            this.negotiationReject(new Error('Negotiation rejected'));
-        }
-        this.negotiationResolve = null;
-        this.negotiationReject = null;
-        this.signalingState = 'connected';
-        log.log('Negotiation stopped');
+        }));
     }
 
-    async startOffering () {
-        this.signalingState = 'offering';
-        await this.initializePeerConnection(true);
-        
-        return new Promise((resolve, reject) => {
-            this.negotiationResolve = resolve;
-            this.negotiationReject = reject;
-            this.negotiationTimeoutId = setTimeout(async () => {
-                this.negotiationTimeoutId = null;
-                await this.signalingChannel.stopNegotiation();
-                await this.signalingChannel.deleteOwnMessages();
-                this.signalingState = 'connected';
-                reject(new Error('Offering timeout'));
-            }, this.offeringTimeoutDuration);
-
-            this.peerConnection.createOffer()
-                .then(async offer => {
-                    await this.peerConnection.setLocalDescription(offer);
-                    await this.signalingChannel.startOffering(offer);
-                    log.log(`Offering signal ${this.signalName}`);
-                })
-                .catch(err => {
-                    reject(err);
-                });
+    /**
+     * Number of the messages waiting to be sent to all the remote peers.
+     * @returns {number} - the number of the messages, counting each chunk of a long message
+     */
+    sendQueueSize () {
+        let size = 0;
+        this.remotePeers.forEach(remotePeer => {
+            size += remotePeer.sendQueueSize();
         });
+        return size;
     }
 
-    async startAnswering () {
-        this.signalingState = 'answering';
-        await this.initializePeerConnection(false);
-        return new Promise((resolve, reject) => {
-            this.negotiationResolve = resolve;
-            this.negotiationReject = reject;
-            this.negotiationTimeoutId = setTimeout(async () => {
-                this.negotiationTimeoutId = null;
-                await this.signalingChannel.stopNegotiation();
-                await this.signalingChannel.deleteOwnMessages();
-                this.signalingState = 'connected';
-                reject(new Error('Answering timeout'));
-            }, this.answeringTimeoutDuration);
+    /**
+     * Whether any remote peer is connected.
+     * @returns {boolean} True if a peer is connected.
+     */
+    isConnected () {
+        for (const remotePeer of this.remotePeers.values()) {
+            if (remotePeer.isConnected()) return true;
+        }
+        return false;
+    }
 
-            this.signalingChannel.startAnswering();
-        });
+    /**
+     * IDs of the remote peers which data channel is open.
+     * @returns {Array<string>} - IDs of the peers
+     */
+    peerIds () {
+        return Array.from(this.remotePeers.values())
+            .filter(remotePeer => remotePeer.dataChannelState() === 'open')
+            .map(remotePeer => remotePeer.id);
     }
 
-    initializePeerConnection (isInitiator) {
-        this.disconnectPeer();
-        this.peerConnection = new RTCPeerConnection({
-            iceServers: [
-                {urls: 'stun:stun.l.google.com:19302'}
-            ]
-        });
+    /**
+     * Disconnect all the remote peers intentionally.
+     * The peers are notified not to reconnect.
+     */
+    disconnectPeer () {
+        this._reconnectingIds.clear();
+        this._reconnectedOnOpen.clear();
+        this._clearUnreliable();
+        this.broadcast({type: 'BYE'});
+        this.closePeerConnections();
+        this.hosting = false;
+        this.hostId = null;
+    }
 
-        this.peerConnection.onicecandidate = ({candidate}) => {
-            if (candidate) {
-                this.signalingChannel.send({
-                    type: 'candidate',
-                    candidate: candidate
-                }).catch(err => log.warn('Error sending ICE candidate:', err));
+    /**
+     * Close the connections to all the remote peers.
+     */
+    closePeerConnections () {
+        this.remotePeers.forEach(remotePeer => remotePeer.close());
+        this.remotePeers.clear();
+        this.roster.clear();
+        if (this._codePeer) {
+            this._codePeer.close();
+            this._codePeer = null;
+        }
+        log.log('Peer connections closed');
+    }
+
+    /**
+     * Send the message to all the remote peers which data channel is open.
+     * @param {object} message - message to send
+     * @param {string} [exceptId] - ID of the peer not to send to
+     * @param {boolean} [unreliable] - whether to send it on the unreliable channel
+     * @returns {number} - number of the peers which the message was sent to
+     */
+    broadcast (message, exceptId, unreliable) {
+        let count = 0;
+        this.remotePeers.forEach(remotePeer => {
+            if (remotePeer.id === exceptId || remotePeer.dataChannelState() !== 'open') return;
+            try {
+                remotePeer.send(message, unreliable);
+                count++;
+            } catch (err) {
+                log.warn(`Error sending to ${remotePeer.id}:`, err);
             }
+        });
+        return count;
+    }
+
+    valueOf (key) {
+        return this._hasValue(key) ? this.dataChannelValues[key] : '';
+    }
+
+    setValue (key, value) {
+        const content = {
+            key: key,
+            value: value,
+            version: this._nextVersion()
         };
+        this._mergeValue(content);
+        return this._sendValue(content);
+    }
 
-        this.peerConnection.onconnectionstatechange = () => {
-            log.log(`Connection state: ${this.peerConnection.connectionState}`);
-            if (this.peerConnection.connectionState === 'connected') {
-                this.stopNegotiation(true);
-                this.signalingChannel.disconnect();
+    /**
+     * Add the number to the value as a counter.
+     * The changes by the peers at the same time are added up, but setting the value discards them.
+     * @param {string} key - the key
+     * @param {number} delta - the number to add, or to subtract if negative
+     * @returns {Promise<string>} - a promise which resolves with the result of sending
+     */
+    changeValue (key, delta) {
+        const previous = this.valueOf(key);
+        let counter = this.valueCounters[key];
+        if (!counter) {
+            // The current value is the base of the changes, or 0 on the initial version.
+            counter = {base: Number(previous) || 0, p: {}, n: {}};
+            if (!this._hasValue(key)) {
+                this.valueVersions[key] = INITIAL_VERSION;
             }
-        };
+            this.valueCounters[key] = counter;
+        }
+        const sign = delta < 0 ? 'n' : 'p';
+        counter[sign][this.peerId] = (counter[sign][this.peerId] || 0) + Math.abs(delta);
+        this.dataChannelValues[key] = counterValue(counter);
+        this._notifyValueChanged(key, previous, this.peerId);
+        return this._sendValue({
+            key: key,
+            value: this.dataChannelValues[key],
+            version: this.valueVersions[key],
+            counter: counter
+        });
+    }
 
-        this.peerConnection.ondatachannel = event => {
-            const dataChannel = event.channel;
-            this.setupDataChannel(dataChannel);
-        };
+    /**
+     * Values of the items in the shared list.
+     * @param {string} name - name of the list
+     * @returns {Array<*>} - the values, or empty array if the list is not shared
+     */
+    listItems (name) {
+        const list = this.sharedLists[name];
+        return list ? list.items() : [];
+    }
 
-        if (isInitiator) {
-            const dataChannel = this.peerConnection.createDataChannel(this.dataChannelName);
-            this.setupDataChannel(dataChannel);
+    _listOf (name) {
+        if (!this.sharedLists[name]) {
+            this.sharedLists[name] = new SharedList();
         }
+        return this.sharedLists[name];
     }
 
     /**
-     * Handle signaling messages received from the signaling channel.
-     * @param {MessageEvent} event - The signaling message event.
+     * Insert the value into the shared list.
+     * @param {string} name - name of the list
+     * @param {number} index - index from 0 to insert before, or the length to add at the end
+     * @param {*} value - the value
+     * @returns {Promise<string>} - a promise which resolves with the result of sending
      */
-    async handleSignalingMessage (event) {
-        const message = event.data;
-        if (!message) return;
-        try {
-            if (message.type === 'offer' && this.signalingState === 'answering') {
-                if (this.peerConnection.signalingState !== 'stable') {
-                    log.warn('Cannot handle offer in signaling state:', this.peerConnection.signalingState);
-                    return;
-                }
-                await this.peerConnection.setRemoteDescription(new RTCSessionDescription(message));
-                await this._processQueuedRemoteCandidates();
-                const answer = await this.peerConnection.createAnswer();
-                await this.peerConnection.setLocalDescription(answer);
-                await this.signalingChannel.send({
-                    type: 'answer',
-                    sdp: answer.sdp
-                });
-            } else if (message.type === 'answer' && this.signalingState === 'offering') {
-                if (this.peerConnection.signalingState !== 'have-local-offer') {
-                    log.warn('Cannot handle answer in signaling state:', this.peerConnection.signalingState);
-                    return;
-                }
-                await this.peerConnection.setRemoteDescription(new RTCSessionDescription(message));
-                await this._processQueuedRemoteCandidates();
-            } else if (message.type === 'candidate') {
-                const candidate = new RTCIceCandidate(message.candidate);
-                if (this.peerConnection.remoteDescription && this.peerConnection.remoteDescription.type) {
-                    // Remote description is set, add ICE candidate immediately
-                    await this.peerConnection.addIceCandidate(candidate);
-                    log.log('ICE candidate added:', candidate);
-                } else {
-                    // Remote description not set yet, queue the candidate
-                    this._remoteCandidatesQueue.push(candidate);
-                    log.log('ICE candidate queued:', candidate);
-                }
+    insertToList (name, index, value) {
+        const op = this._listOf(name).insertAt(index, value, this._nextVersion());
+        return this._sendListOp(name, op);
+    }
+
+    /**
+     * Add the value at the end of the shared list.
+     * @param {string} name - name of the list
+     * @param {*} value - the value
+     * @returns {Promise<string>} - a promise which resolves with the result of sending
+     */
+    addToList (name, value) {
+        return this.insertToList(name, this._listOf(name).length(), value);
+    }
+
+    /**
+     * Delete the item of the shared list.
+     * @param {string} name - name of the list
+     * @param {number} index - index from 0
+     * @returns {Promise<string>} - a promise which resolves with the result of sending
+     */
+    deleteOfList (name, index) {
+        const op = this._listOf(name).deleteAt(index);
+        return this._sendListOp(name, op);
+    }
+
+    /**
+     * Replace the value of the item in the shared list.
+     * @param {string} name - name of the list
+     * @param {number} index - index from 0
+     * @param {*} value - the new value
+     * @returns {Promise<string>} - a promise which resolves with the result of sending
+     */
+    replaceOfList (name, index, value) {
+        const op = this._listOf(name).replaceAt(index, value, this._nextVersion());
+        return this._sendListOp(name, op);
+    }
+
+    /**
+     * Send the operation of the shared list to all the remote peers.
+     * @param {string} name - name of the list
+     * @param {?object} op - the operation, or null if nothing was changed
+     * @returns {Promise<string>} - a promise which resolves with the result of sending
+     */
+    _sendListOp (name, op) {
+        if (!op) return Promise.resolve(`no item in ${name}`);
+        this._notifyListChanged(name);
+        const message = {
+            type: 'LIST',
+            content: {
+                list: name,
+                ops: [op]
             }
-        } catch (err) {
-            log.warn('Error processing signaling message:', err);
+        };
+        if (this.broadcast(message) === 0) {
+            return Promise.resolve(`local ${op.type} in ${name}`);
         }
+        log.debug(`send LIST: ${op.type} in ${name}`);
+        return Promise.resolve(`send ${op.type} in ${name}`);
     }
 
-    async _processQueuedRemoteCandidates () {
-        for (const candidate of this._remoteCandidatesQueue) {
-            try {
-                await this.peerConnection.addIceCandidate(candidate);
-                log.log('Queued ICE candidate added:', candidate);
-            } catch (err) {
-                log.warn('Error adding queued ICE candidate:', err);
-            }
+    /**
+     * Apply the operations of the shared list from the remote peer.
+     * @param {object} content - name of the list and the operations
+     */
+    handleListOps (content) {
+        const list = this._listOf(content.list);
+        const previous = JSON.stringify(list.items());
+        (content.ops || []).forEach(op => {
+            this._observeVersion(op.id);
+            this._observeVersion(op.version);
+            list.apply(op);
+        });
+        if (JSON.stringify(list.items()) !== previous) {
+            this._notifyListChanged(content.list);
         }
-        this._remoteCandidatesQueue = [];
     }
 
-    setupDataChannel (dataChannel) {
-        this.dataChannel = dataChannel;
-        dataChannel.onopen = () => {
-            this.dispatchEvent(new CustomEvent('dataChannelStateChanged', {
-                detail: this.dataChannel.readyState
-            }));
-            log.log(`Data channel opened: ${this.dataChannelName}`);
-        };
-        dataChannel.onclose = () => {
-            this.dispatchEvent(new CustomEvent('dataChannelStateChanged', {
-                detail: this.dataChannel ? this.dataChannel.readyState : 'closed'
-            }));
-            log.log('Data channel closed');
-        };
-        dataChannel.onmessage = event => {
-            log.log('Received:', event.data);
-            const message = JSON.parse(event.data);
-            switch (message.type) {
-            case 'SET_VALUE':
-                this.dataChannelValues[message.content.key] = message.content.value;
-                break;
-            case 'EVENT':
-                this.lastDataChannelEvent = message.content;
-                this.dispatchEvent(new CustomEvent('sharedEvent', {
-                    detail: message.content
-                }));
-                break;
-            default:
-                log.warn('Unknown message type:', message.type);
+    /**
+     * Notify that the items of the shared list were changed by this peer or a remote peer.
+     * @param {string} name - name of the list
+     */
+    _notifyListChanged (name) {
+        this.dispatchEvent(new CustomEvent('listChanged', {
+            detail: {
+                list: name,
+                items: this.listItems(name)
             }
-        };
+        }));
     }
 
     /**
-     * Whether the peer is connected.
-     * @returns {boolean} True if the peer is connected.
+     * Send the value to all the remote peers.
+     * @param {object} content - key, value, version and counter of the value
+     * @returns {Promise<string>} - a promise which resolves with the result of sending
      */
-    isConnected () {
-        return this.peerConnection ? this.peerConnection.connectionState === 'connected' : false;
+    _sendValue (content) {
+        const message = {
+            type: 'SET_VALUE',
+            content: content
+        };
+        const sent = this.unreliableValues ?
+            this._sendUnreliable(`value:${content.key}`, message) :
+            this.broadcast(message);
+        if (sent === 0) {
+            return Promise.resolve(`local ${content.key} = ${content.value}`);
+        }
+        log.debug(`send SET_VALUE: ${content.key} = ${content.value}`);
+        return Promise.resolve(`send ${content.key} = ${content.value}`);
     }
 
-    disconnectPeer () {
-        if (this.dataChannel) {
-            this.dataChannel.close();
-            log.log('Data channel closed');
-            this.dataChannel = null;
+    /**
+     * Queue the message to send on the unreliable channel at the next interval.
+     * It replaces the older message of the same slot which is not sent yet.
+     * @param {string} slot - the key or the event type of the message
+     * @param {object} message - message to send
+     * @returns {number} - number of the peers which the message will be sent to
+     */
+    _sendUnreliable (slot, message) {
+        this._unreliableQueue.delete(slot);
+        this._unreliableQueue.set(slot, message);
+        if (!this._flushTimer) {
+            this._flushTimer = setTimeout(() => this._flushUnreliable(), this.coalesceInterval);
         }
-        if (this.peerConnection) {
-            this.peerConnection.close();
-            log.log('Peer connection closed');
-            this.peerConnection = null;
+        let count = 0;
+        this.remotePeers.forEach(remotePeer => {
+            if (remotePeer.dataChannelState() === 'open') count++;
+        });
+        return count;
+    }
+
+    _flushUnreliable () {
+        this._flushTimer = null;
+        const messages = Array.from(this._unreliableQueue.values());
+        this._unreliableQueue.clear();
+        messages.forEach(message => {
+            this.broadcast(message, null, true);
+            if (message.type === 'SET_VALUE') {
+                this._unsettledValues.set(message.content.key, message);
+            }
+        });
+        if (this._unsettledValues.size > 0) {
+            clearTimeout(this._settleTimer);
+            this._settleTimer = setTimeout(() => this._settleValues(), this.settleDelay);
         }
     }
 
+    _settleValues () {
+        this._settleTimer = null;
+        this._unsettledValues.forEach(message => this.broadcast(message));
+        this._unsettledValues.clear();
+    }
+
+    _clearUnreliable () {
+        clearTimeout(this._flushTimer);
+        clearTimeout(this._settleTimer);
+        this._flushTimer = null;
+        this._settleTimer = null;
+        this._unreliableQueue.clear();
+        this._unsettledValues.clear();
+    }
+
     /**
-     * State of the data channel.
-     * @returns {string<'connecting'|'open'|'closing'|'closed'|'n/a'>} The state of the data channel.
+     * Send the state of the mirrored sprite to all the remote peers.
+     * @param {string} sprite - name of the sprite
+     * @param {object} state - position, direction, size, visibility, costume and effects
+     * @returns {number} - number of the peers which it was sent to
      */
-    dataChannelState () {
-        return this.dataChannel ? this.dataChannel.readyState : 'n/a';
+    sendSpriteState (sprite, state) {
+        return this.broadcast({
+            type: 'SPRITE',
+            content: {
+                sprite: sprite,
+                state: state
+            }
+        });
     }
 
-    valueOf (key) {
-        return this.dataChannelValues[key] ? this.dataChannelValues[key] : '';
+    /**
+     * Send the costume or the sound to all the remote peers as binary data.
+     * @param {object} content - the properties of the asset
+     * @param {string} content.kind - 'costume' or 'sound'
+     * @param {string} content.name - name of the asset
+     * @param {string} content.dataFormat - format of the data such as 'png', 'svg' or 'wav'
+     * @param {Uint8Array} bytes - the data of the asset
+     * @returns {number} - number of the peers which it was sent to
+     */
+    sendAsset (content, bytes) {
+        return this.broadcast({
+            type: 'ASSET',
+            content: content,
+            bytes: bytes
+        });
     }
 
-    setValue (key, value) {
-        this.dataChannelValues[key] = value;
-        if (!this.dataChannel) {
-            return Promise.resolve(`local ${key} = ${value}`);
-        }
-        try {
-            const message = {
-                type: 'SET_VALUE',
+    /**
+     * Send the sprite file to all the remote peers as binary data.
+     * The progress is dispatched as 'spriteProgress' while sending.
+     * @param {string} sprite - name of the sprite
+     * @param {Uint8Array} bytes - the sprite3 file
+     * @returns {number} - number of the peers which it was sent to
+     */
+    sendSprite (sprite, bytes) {
+        return this.broadcast({
+            type: 'SPRITE_FILE',
+            content: {
+                sprite: sprite
+            },
+            bytes: bytes
+        });
+    }
+
+    /**
+     * Ask the remote peers and wait for the first reply.
+     * The question is an event with the request ID, and the reply is an event with the same ID as 'reply'.
+     * @param {string} question - type of the question
+     * @param {*} data - data of the question
+     * @param {number} timeout - time to wait for the reply in milliseconds
+     * @returns {Promise<*>} - a promise which resolves with the data of the reply,
+     *  or rejects when no peer replied in time
+     */
+    ask (question, data, timeout) {
+        this._lastRequestNumber++;
+        const id = `${this.peerId}:${this._lastRequestNumber}`;
+        return new Promise((resolve, reject) => {
+            const sent = this.broadcast({
+                type: 'EVENT',
                 content: {
-                    key: key,
-                    value: value
+                    type: question,
+                    data: data,
+                    request: id
                 }
-            };
-            this.dataChannel.send(JSON.stringify(message));
-            log.debug(`send SET_VALUE: ${key} = ${value}`);
-        } catch (error) {
-            return Promise.resolve(error.message);
+            });
+            if (sent === 0) {
+                reject(new Error(`No peer to ask: ${question}`));
+                return;
+            }
+            const timer = setTimeout(() => {
+                this._pendingRequests.delete(id);
+                reject(new Error(`No reply in time: ${question}`));
+            }, timeout);
+            this._pendingRequests.set(id, {resolve, reject, timer});
+        });
+    }
+
+    /**
+     * Reply to the question from a remote peer.
+     * @param {{type: string, request: string, from: string}} request - the question
+     * @param {*} data - data of the reply
+     * @returns {number} - number of the peers which the reply was sent to
+     */
+    reply (request, data) {
+        const message = {
+            type: 'EVENT',
+            content: {
+                type: request.type,
+                data: data,
+                reply: request.request
+            }
+        };
+        const remotePeer = this.remotePeers.get(request.from);
+        if (remotePeer && remotePeer.dataChannelState() === 'open') {
+            try {
+                remotePeer.send(message);
+                return 1;
+            } catch (err) {
+                log.warn(`Error replying to ${remotePeer.id}:`, err);
+                return 0;
+            }
         }
-        return Promise.resolve(`send ${key} = ${value}`);
+        // The asker is a client of the host, so the host relays it.
+        return this.broadcast(message);
     }
 
-    sendEvent (type, data) {
+    _handleReply (event) {
+        const pending = this._pendingRequests.get(event.reply);
+        if (!pending) return; // Replied already, timed out, or asked by another peer
+        this._pendingRequests.delete(event.reply);
+        clearTimeout(pending.timer);
+        pending.resolve(event.data);
+    }
+
+    /**
+     * Keep the event in the queue and notify it.
+     * @param {{type: string, data: *, from: string}} event - the event from this peer or a remote peer
+     */
+    _receiveEvent (event) {
+        this.lastDataChannelEvent = event;
+        this.eventQueue.push(event);
+        if (this.eventQueue.length > this.maxEventQueueLength) {
+            this.eventQueue.shift();
+        }
         this.dispatchEvent(new CustomEvent('sharedEvent', {
-            detail: {type: type, data: data}
+            detail: event
         }));
-        if (!this.dataChannel) {
+    }
+
+    /**
+     * Take the oldest waiting event out of the queue.
+     * @returns {?{type: string, data: *, from: string}} - the event, or null if no event is waiting
+     */
+    nextEvent () {
+        return this.eventQueue.shift() || null;
+    }
+
+    sendEvent (type, data) {
+        this._receiveEvent({type: type, data: data, from: this.peerId});
+        const message = {
+            type: 'EVENT',
+            content: {
+                type: type,
+                data: data
+            }
+        };
+        const sent = this.unreliableEvents ?
+            this._sendUnreliable(`event:${type}`, message) :
+            this.broadcast(message);
+        if (sent === 0) {
             return Promise.resolve(`local event: ${type} data: ${data}`);
         }
-        try {
-            const message = {
-                type: 'EVENT',
-                content: {
-                    type: type,
-                    data: data
-                }
-            };
-            this.dataChannel.send(JSON.stringify(message));
-        } catch (error) {
-            return Promise.resolve(error.message);
-        }
         return Promise.resolve(`send event: ${type} data: ${data}`);
     }
 
@@ -350,6 +2010,15 @@ class SharingPeer extends EventTarget {
         const event = this.lastDataChannelEvent;
         return event ? event.data : '';
     }
+
+    /**
+     * ID of the peer which sent the last event.
+     * @returns {string} - the ID, or empty string if no event
+     */
+    lastEventSender () {
+        const event = this.lastDataChannelEvent;
+        return (event && event.from) ? event.from : '';
+    }
 }
 
 export default SharingPeer;
@@ -1,39 +1,53 @@
 import log from '../../util/log';
+import SignalingChannel from './signaling-channel';
 
 /**
  * Signaling channel using Google Sheets as the backend.
  */
-class SheetSignalingChannel extends EventTarget {
+class SheetSignalingChannel extends SignalingChannel {
     constructor () {
         super();
-        this._connected = false;
-        this._id = Math.random().toString(36)
-            .substr(2, 9);
-        this._pollInterval = null;
+        this._pollTimer = null;
+        this._pollDelay = 0;
 
         /**
-         * The signaling state of the channel.
-         * @type {string<'disconnected'|'connected'|'offering'|'answering'>}
+         * Time stamp of the last message to all which was received.
+         * The server returns only the messages to all which are not older than this,
+         * because another message may be written later with the same time stamp.
+         * @type {number}
          */
-        this.signalingState = 'disconnected';
+        this._cursor = 0;
+
+        /**
+         * The messages to all which were received at the time stamp of the cursor, to skip them.
+         * @type {Set<string>}
+         */
+        this._cursorMessages = new Set();
 
         /**
-         * The name of the signaling session.
-         * @type {string}
+         * Interval of polling while messages are coming.
+         * @type {number} - The duration in milliseconds.
+         * @default 1000
          */
-        this.signalName = null;
+        this.pollInterval = 1000;
+
+        /**
+         * The interval is doubled after each poll without messages up to this duration,
+         * so that the peers which are already connected do not keep loading the sheet every second.
+         * @type {number} - The duration in milliseconds.
+         * @default 8000
+         */
+        this.maxPollInterval = 8000;
 
         // Replace with your Google Apps Script web app URL
         this._serverUrl = 'https://script.google.com/macros/s/AKfycbx3RFGGAckbU-okJ2Cvnse7KmexGVUO8qcWvlevJczsx0wpl_a-Kxe_fi7ul0z4zISG/exec';
     }
 
-    get connected () {
-        return this._connected;
-    }
-
     connect (signalName) {
         if (this._connected) return;
         this.signalName = signalName;
+        this._cursor = 0;
+        this._cursorMessages.clear();
         this.signalingState = 'connected';
         this._connected = true;
         this.dispatchEvent(new Event('connected'));
@@ -49,11 +63,13 @@ class SheetSignalingChannel extends EventTarget {
 
     /**
      * Start polling for messages.
+     * It polls at the shortest interval first.
      * @returns {void}
      */
     startPolling () {
-        if (this._pollInterval) return;
-        this._pollInterval = setInterval(() => this.pollMessages(), 1000);
+        if (this._pollTimer) return;
+        this._pollDelay = this.pollInterval;
+        this._schedulePoll();
         log.debug('Polling started');
     }
 
@@ -62,13 +78,30 @@ class SheetSignalingChannel extends EventTarget {
      * @returns {void}
      */
     stopPolling () {
-        if (this._pollInterval) {
-            clearInterval(this._pollInterval);
-            this._pollInterval = null;
+        if (this._pollTimer) {
+            clearTimeout(this._pollTimer);
+            this._pollTimer = null;
             log.debug('Polling stopped');
         }
     }
 
+    _schedulePoll () {
+        this._pollTimer = setTimeout(() => this._poll(), this._pollDelay);
+    }
+
+    /**
+     * Poll the messages and schedule the next poll.
+     * @returns {Promise} - a promise which resolves when the next poll was scheduled
+     */
+    async _poll () {
+        const received = await this.pollMessages();
+        if (!this._pollTimer) return; // Stopped while polling
+        this._pollDelay = received > 0 ?
+            this.pollInterval :
+            Math.min(this._pollDelay * 2, this.maxPollInterval);
+        this._schedulePoll();
+    }
+
     async send (message) {
         if (!this._connected) throw new Error('Not connected');
         try {
@@ -81,6 +114,7 @@ class SheetSignalingChannel extends EventTarget {
                 body: JSON.stringify({
                     signalName: this.signalName,
                     fromId: this._id,
+                    toId: message.to || '',
                     message: message
                 })
             });
@@ -90,11 +124,19 @@ class SheetSignalingChannel extends EventTarget {
         }
     }
 
+    /**
+     * Load the messages to this end and dispatch them.
+     * The messages to all which were already received are skipped,
+     * even if the server was deployed before it took the cursor.
+     * @returns {Promise<number>} - a promise which resolves with the number of the dispatched messages
+     */
     async pollMessages () {
-        if (!this._connected) return;
+        if (!this._connected) return 0;
+        let received = 0;
         try {
             const url = `${this._serverUrl}?signalName=${encodeURIComponent(this.signalName)}` +
-                `&recipientId=${encodeURIComponent(this._id)}`;
+                `&recipientId=${encodeURIComponent(this._id)}` +
+                `&since=${this._cursor}`;
             const response = await fetch(url, {
                 method: 'GET',
                 cache: 'no-cache'
@@ -105,6 +147,18 @@ class SheetSignalingChannel extends EventTarget {
             const messages = await response.json();
             for (const msg of messages) {
                 const messageData = msg.message;
+                if (!messageData.to) {
+                    const timestamp = new Date(msg.timestamp).getTime();
+                    const key = `${msg.from} ${JSON.stringify(messageData)}`;
+                    if (timestamp < this._cursor) continue;
+                    if (timestamp === this._cursor && this._cursorMessages.has(key)) continue;
+                    if (timestamp > this._cursor) {
+                        this._cursor = timestamp;
+                        this._cursorMessages.clear();
+                    }
+                    this._cursorMessages.add(key);
+                }
+                received++;
                 this.dispatchEvent(new MessageEvent('message', {
                     data: messageData
                 }));
@@ -113,6 +167,7 @@ class SheetSignalingChannel extends EventTarget {
         } catch (err) {
             log.warn('Error polling messages:', err);
         }
+        return received;
     }
 
     /**
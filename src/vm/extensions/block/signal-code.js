@@ -0,0 +1,99 @@
+/**
+ * Encode/decode a session description into a compact text code
+ * which can be copied by hand or carried by a QR code.
+ *
+ * The first letter of the code tells the format:
+ * 'z' is the deflated JSON, 'j' is the plain JSON when CompressionStream is not available.
+ * The rest is base64url of the JSON {t: type, s: sdp, f: from}.
+ */
+
+const bytesToBase64Url = function (bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary)
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/[=]+$/, '');
+};
+
+const base64UrlToBytes = function (text) {
+    const binary = atob(text
+        .replace(/-/g, '+')
+        .replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
+
+const transformBytes = function (bytes, transformStream) {
+    const stream = new Blob([bytes]).stream()
+        .pipeThrough(transformStream);
+    return new Response(stream).arrayBuffer()
+        .then(buffer => new Uint8Array(buffer));
+};
+
+const canCompress = function () {
+    return typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+};
+
+/**
+ * Encode the session description into a code.
+ * The SDP should include the ICE candidates because no other message is exchanged.
+ * @param {object} description - offer or answer as {type, sdp, from}
+ * @returns {Promise<string>} - a promise which resolves with the code
+ */
+const encodeSignalCode = async function (description) {
+    const data = {t: description.type, s: description.sdp};
+    if (description.from) {
+        data.f = description.from;
+    }
+    const json = JSON.stringify(data);
+    const bytes = new TextEncoder().encode(json);
+    if (canCompress()) {
+        const compressed = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+        return `z${bytesToBase64Url(compressed)}`;
+    }
+    return `j${bytesToBase64Url(bytes)}`;
+};
+
+/**
+ * Decode the code into a session description.
+ * @param {string} code - code made by encodeSignalCode()
+ * @returns {Promise<object>} - a promise which resolves with {type, sdp, from}
+ */
+const decodeSignalCode = async function (code) {
+    const text = String(code).replace(/\s/g, '');
+    const format = text.charAt(0);
+    let bytes;
+    try {
+        bytes = base64UrlToBytes(text.substring(1));
+        if (format === 'z') {
+            if (!canCompress()) {
+                throw new Error('Compressed code is not supported in this browser');
+            }
+            bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+        } else if (format !== 'j') {
+            throw new Error(`Unknown code format: ${format}`);
+        }
+        const data = JSON.parse(new TextDecoder().decode(bytes));
+        if ((data.t !== 'offer' && data.t !== 'answer') || typeof data.s !== 'string') {
+            throw new Error('Not a session description');
+        }
+        const description = {type: data.t, sdp: data.s};
+        if (typeof data.f === 'string') {
+            description.from = data.f;
+        }
+        return description;
+    } catch (err) {
+        throw new Error(`Invalid code: ${err.message}`);
+    }
+};
+
+export {
+    encodeSignalCode,
+    decodeSignalCode
+};
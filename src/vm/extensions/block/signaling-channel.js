@@ -0,0 +1,157 @@
+/**
+ * Base class of the signaling channels used by SharingPeer.
+ *
+ * A signaling channel relays the offer, the answer and the ICE candidates between
+ * the peers which use the same signal name. Received messages must be dispatched
+ * as a 'message' event of MessageEvent which data is the message.
+ *
+ * A message which has `to` is delivered only to the end of the ID and removed when it was received.
+ * A message without `to` is delivered to all the other ends and kept until it expires
+ * or the sender deletes it, so the ends which start listening later receive it too.
+ */
+class SignalingChannel extends EventTarget {
+    constructor () {
+        super();
+        this._connected = false;
+        this._id = Math.random().toString(36)
+            .substr(2, 9);
+
+        /**
+         * The signaling state of the channel.
+         * @type {string<'disconnected'|'connected'|'offering'|'answering'>}
+         */
+        this.signalingState = 'disconnected';
+
+        /**
+         * The name of the signaling session.
+         * @type {string}
+         */
+        this.signalName = null;
+
+        /**
+         * URL of the signaling server.
+         * It is null for the channels which do not use a server.
+         * @type {string}
+         */
+        this._serverUrl = null;
+    }
+
+    /**
+     * Whether the channel is connected.
+     * @type {boolean}
+     */
+    get connected () {
+        return this._connected;
+    }
+
+    /**
+     * The ID of this end of the channel.
+     * It must be set before connecting to be the recipient of the messages.
+     * @type {string}
+     */
+    get id () {
+        return this._id;
+    }
+
+    set id (id) {
+        this._id = id;
+    }
+
+    /**
+     * URL of the signaling server.
+     * The new URL is used from the next connection.
+     * @type {string}
+     */
+    get serverUrl () {
+        return this._serverUrl;
+    }
+
+    set serverUrl (url) {
+        this._serverUrl = url;
+    }
+
+    /**
+     * Whether the channel relays the messages through a server which can be changed.
+     * @type {boolean}
+     */
+    get usesServer () {
+        return true;
+    }
+
+    /**
+     * Make an error for a method which the subclass does not implement.
+     * @param {string} methodName - name of the method
+     * @param {...*} args - arguments of the call, which are shown in the message
+     * @returns {Error} - the error
+     */
+    _notImplementedError (methodName, ...args) {
+        const argList = args.map(arg => JSON.stringify(arg)).join(', ');
+        return new Error(`${this.constructor.name} does not implement ${methodName}(${argList})`);
+    }
+
+    /**
+     * Connect to the signaling session.
+     * It may return a promise which resolves when connected.
+     * @param {string} signalName - name of the signaling session
+     */
+    connect (signalName) {
+        throw this._notImplementedError('connect', signalName);
+    }
+
+    /**
+     * Disconnect from the signaling session.
+     */
+    disconnect () {
+        throw this._notImplementedError('disconnect');
+    }
+
+    /**
+     * Send a message to the other peers of the session.
+     * @param {object} message - the message to send
+     * @returns {Promise} - a promise which resolves when the message was sent
+     */
+    send (message) {
+        return Promise.reject(this._notImplementedError('send', message));
+    }
+
+    /**
+     * Send the first message, such as the join message to all, and start receiving messages.
+     * It may return a promise which resolves when the message was sent.
+     * @param {object} offer - the message to send
+     */
+    startOffering (offer) {
+        throw this._notImplementedError('startOffering', offer);
+    }
+
+    /**
+     * Start receiving messages without sending.
+     */
+    startAnswering () {
+        throw this._notImplementedError('startAnswering');
+    }
+
+    /**
+     * Whether another peer is offering in the session.
+     * @returns {Promise<boolean>} - a promise which resolves true if someone is offering
+     */
+    isOffering () {
+        return Promise.resolve(false);
+    }
+
+    /**
+     * Stop receiving messages.
+     */
+    stopNegotiation () {
+        throw this._notImplementedError('stopNegotiation');
+    }
+
+    /**
+     * Delete the messages sent from this end which were not received yet.
+     * @returns {Promise} - a promise which resolves when the messages were deleted
+     */
+    deleteOwnMessages () {
+        return Promise.resolve();
+    }
+}
+
+export default SignalingChannel;
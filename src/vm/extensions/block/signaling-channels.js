@@ -0,0 +1,51 @@
+import SheetSignalingChannel from './sheet-signaling-channel';
+import WebSocketSignalingChannel from './websocket-signaling-channel';
+import LocalSignalingChannel from './local-signaling-channel';
+import FileSignalingChannel from './file-signaling-channel';
+
+/**
+ * Registered signaling channel classes by their type.
+ * @type {Object.<string, Function>}
+ */
+const signalingChannelClasses = {};
+
+/**
+ * Register a signaling channel class to be selectable by its type.
+ * @param {string} type - type of the channel
+ * @param {Function} channelClass - class which implements SignalingChannel
+ */
+const registerSignalingChannel = function (type, channelClass) {
+    signalingChannelClasses[type] = channelClass;
+};
+
+/**
+ * Types of the registered signaling channels.
+ * @returns {Array<string>} - types in the order of registration
+ */
+const signalingChannelTypes = function () {
+    return Object.keys(signalingChannelClasses);
+};
+
+/**
+ * Create a signaling channel of the type.
+ * @param {string} type - type of the channel
+ * @returns {SignalingChannel} - a new channel
+ */
+const createSignalingChannel = function (type) {
+    const ChannelClass = signalingChannelClasses[type];
+    if (!ChannelClass) {
+        throw new Error(`Unknown signaling channel: ${type}`);
+    }
+    return new ChannelClass();
+};
+
+registerSignalingChannel('sheet', SheetSignalingChannel);
+registerSignalingChannel('websocket', WebSocketSignalingChannel);
+registerSignalingChannel('local', LocalSignalingChannel);
+registerSignalingChannel('file', FileSignalingChannel);
+
+export {
+    registerSignalingChannel,
+    signalingChannelTypes,
+    createSignalingChannel
+};
@@ -0,0 +1,311 @@
+/**
+ * Names of the graphic effects of a sprite.
+ * @type {Array<string>}
+ */
+const EFFECT_NAMES = ['color', 'fisheye', 'whirl', 'pixelate', 'mosaic', 'brightness', 'ghost'];
+
+/**
+ * Layer group of the sprites in the renderer.
+ * @type {string}
+ */
+const SPRITE_LAYER = 'sprite';
+
+/**
+ * Interpolate the angle in the shorter way.
+ * @param {number} from - start direction in degrees
+ * @param {number} to - end direction in degrees
+ * @param {number} t - ratio from 0 to 1
+ * @returns {number} - the direction
+ */
+const interpolateDirection = function (from, to, t) {
+    const diff = ((((to - from) % 360) + 540) % 360) - 180;
+    return from + (diff * t);
+};
+
+/**
+ * Mirrors of the sprites between the peers.
+ *
+ * The state of a mirrored sprite is sent at intervals when it was changed.
+ * The state from a peer is shown on a copy of the local sprite of the same name,
+ * and the motion is interpolated between the states.
+ * The copy is a target of the sprite which has no blocks and is not added to the runtime,
+ * so it is drawn on the stage but runs no scripts and is not a clone of the sprite.
+ */
+class SpriteMirror {
+    /**
+     * Make the mirrors on the peer.
+     * @param {Runtime} runtime - the Scratch 3.0 runtime
+     * @param {SharingPeer} peer - the peer which sends the states
+     */
+    constructor (runtime, peer) {
+        this.runtime = runtime;
+        this.peer = peer;
+
+        /**
+         * Minimum interval of sending the state of a sprite in milliseconds.
+         * @type {number}
+         */
+        this.sendInterval = 1000 / 15;
+
+        /**
+         * Interval of updating the copies in milliseconds.
+         * @type {number}
+         */
+        this.frameInterval = 1000 / 60;
+
+        /**
+         * Maximum duration of the interpolation to the new state in milliseconds.
+         * @type {number}
+         */
+        this.maxInterpolation = 250;
+
+        /**
+         * The state which was sent last by the names of the mirrored sprites.
+         * @type {Map<string, ?string>}
+         */
+        this.mirrored = new Map();
+
+        /**
+         * Names of the sprites which copies are shown.
+         * @type {Set<string>}
+         */
+        this.shown = new Set();
+
+        /**
+         * The copies by the ID of the peer and the name of the sprite.
+         * @type {Map<string, object>}
+         */
+        this.copies = new Map();
+
+        this._lastSentAt = 0;
+        this._intervalId = null;
+
+        this.peer.addEventListener('spriteState', event => this._onSpriteState(event.detail));
+        this.peer.addEventListener('peerJoined', () => {
+            // Send the states again for the new peer.
+            this.mirrored.forEach((last, name) => this.mirrored.set(name, null));
+        });
+        this.peer.addEventListener('peerLeft', event => this._removeCopies(copy => copy.peer === event.detail));
+    }
+
+    /**
+     * Start sending the state of the sprite.
+     * @param {string} name - name of the sprite
+     */
+    mirror (name) {
+        this.mirrored.set(name, null);
+        this._updateTimer();
+    }
+
+    /**
+     * Stop sending the state of the sprite.
+     * @param {string} name - name of the sprite
+     */
+    stopMirroring (name) {
+        this.mirrored.delete(name);
+        this._updateTimer();
+    }
+
+    /**
+     * Show the copies of the sprite which the peers mirror.
+     * @param {string} name - name of the sprite
+     */
+    showCopies (name) {
+        this.shown.add(name);
+        this._updateTimer();
+    }
+
+    /**
+     * Delete the copies of the sprite and stop showing them.
+     * @param {string} name - name of the sprite
+     */
+    hideCopies (name) {
+        this.shown.delete(name);
+        this._removeCopies(copy => copy.sprite === name);
+    }
+
+    /**
+     * Stop all the mirrors and delete the copies.
+     */
+    stopAll () {
+        this.mirrored.clear();
+        this.shown.clear();
+        this._removeCopies(() => true);
+    }
+
+    _updateTimer () {
+        const active = this.mirrored.size > 0 || this.shown.size > 0;
+        if (active && this._intervalId === null) {
+            this._intervalId = setInterval(() => this.step(), this.frameInterval);
+        } else if (!active && this._intervalId !== null) {
+            clearInterval(this._intervalId);
+            this._intervalId = null;
+        }
+    }
+
+    /**
+     * Send the changed states and move the copies.
+     */
+    step () {
+        const now = Date.now();
+        if (now - this._lastSentAt >= this.sendInterval) {
+            this._lastSentAt = now;
+            this._sendStates();
+        }
+        this.copies.forEach(copy => this._moveCopy(copy, now));
+    }
+
+    /**
+     * State of the sprite to be sent.
+     * @param {RenderedTarget} target - the sprite
+     * @returns {object} - the state
+     */
+    stateOf (target) {
+        const costume = target.getCostumes()[target.currentCostume];
+        return {
+            x: target.x,
+            y: target.y,
+            direction: target.direction,
+            size: target.size,
+            visible: target.visible,
+            costume: costume ? costume.name : '',
+            effects: EFFECT_NAMES.reduce((effects, name) => {
+                effects[name] = target.effects[name];
+                return effects;
+            }, {})
+        };
+    }
+
+    _sendStates () {
+        this.mirrored.forEach((last, name) => {
+            const target = this.runtime.getSpriteTargetByName(name);
+            if (!target) return;
+            const state = this.stateOf(target);
+            const json = JSON.stringify(state);
+            if (json === last) return;
+            this.mirrored.set(name, json);
+            this.peer.sendSpriteState(name, state);
+        });
+    }
+
+    _onSpriteState (detail) {
+        if (!this.shown.has(detail.sprite)) return;
+        const key = `${detail.from}/${detail.sprite}`;
+        const now = Date.now();
+        let copy = this.copies.get(key);
+        if (copy) {
+            copy.from = this._poseAt(copy, now);
+            copy.to = detail.state;
+            copy.duration = Math.min(now - copy.startedAt, this.maxInterpolation);
+            copy.startedAt = now;
+        } else {
+            const target = this._makeCopy(detail.sprite);
+            if (!target) return;
+            copy = {
+                peer: detail.from,
+                sprite: detail.sprite,
+                target: target,
+                from: detail.state,
+                to: detail.state,
+                startedAt: now,
+                duration: 0
+            };
+            this.copies.set(key, copy);
+        }
+        this._applyLooks(copy.target, detail.state);
+        this._moveCopy(copy, now);
+    }
+
+    /**
+     * Make a target of the sprite to show the copy.
+     * It shares the costumes and the sounds with the sprite, but it has an empty container of blocks
+     * and is not in the targets of the runtime, so the hats such as "when I start as a clone" never start on it.
+     * @param {string} name - name of the sprite
+     * @returns {?RenderedTarget} - the target, or null if the sprite is not found
+     */
+    _makeCopy (name) {
+        const original = this.runtime.getSpriteTargetByName(name);
+        if (!original) return null;
+        const target = new original.constructor(original.sprite, this.runtime);
+        target.blocks = new original.blocks.constructor(this.runtime, true);
+        target.isOriginal = false;
+        target.x = original.x;
+        target.y = original.y;
+        target.direction = original.direction;
+        target.visible = original.visible;
+        target.size = original.size;
+        target.currentCostume = original.currentCostume;
+        target.rotationStyle = original.rotationStyle;
+        target.effects = Object.assign({}, original.effects);
+        target.initDrawable(SPRITE_LAYER);
+        target.updateAllDrawableProperties();
+        const renderer = this.runtime.renderer;
+        if (renderer && typeof target.drawableID === 'number') {
+            // Behind the sprite as goBehindOther() does, which can not be used without the execution order.
+            const layer = renderer.setDrawableOrder(original.drawableID, 0, SPRITE_LAYER, true);
+            renderer.setDrawableOrder(target.drawableID, layer, SPRITE_LAYER);
+        }
+        return target;
+    }
+
+    /**
+     * Remove the drawable of the copy from the stage.
+     * @param {RenderedTarget} target - the target of the copy
+     */
+    _disposeCopy (target) {
+        const renderer = this.runtime.renderer;
+        if (!renderer || typeof target.drawableID !== 'number') return;
+        renderer.destroyDrawable(target.drawableID, SPRITE_LAYER);
+        target.drawableID = null;
+        this.runtime.requestRedraw();
+    }
+
+    /**
+     * Position, direction and size of the copy at the time, between the last two states.
+     * @param {object} copy - the copy
+     * @param {number} now - the time
+     * @returns {object} - the pose
+     */
+    _poseAt (copy, now) {
+        const t = copy.duration > 0 ? Math.min(1, (now - copy.startedAt) / copy.duration) : 1;
+        const lerp = (from, to) => from + ((to - from) * t);
+        return {
+            x: lerp(copy.from.x, copy.to.x),
+            y: lerp(copy.from.y, copy.to.y),
+            direction: interpolateDirection(copy.from.direction, copy.to.direction, t),
+            size: lerp(copy.from.size, copy.to.size)
+        };
+    }
+
+    _moveCopy (copy, now) {
+        const pose = this._poseAt(copy, now);
+        const target = copy.target;
+        target.setXY(pose.x, pose.y);
+        target.setDirection(pose.direction);
+        target.setSize(pose.size);
+    }
+
+    _applyLooks (target, state) {
+        const costumeIndex = target.getCostumeIndexByName(state.costume);
+        if (costumeIndex >= 0) {
+            target.setCostume(costumeIndex);
+        }
+        target.setVisible(state.visible);
+        EFFECT_NAMES.forEach(name => {
+            if (typeof state.effects[name] === 'number') {
+                target.setEffect(name, state.effects[name]);
+            }
+        });
+    }
+
+    _removeCopies (condition) {
+        this.copies.forEach((copy, key) => {
+            if (!condition(copy)) return;
+            this.copies.delete(key);
+            this._disposeCopy(copy.target);
+        });
+        this._updateTimer();
+    }
+}
+
+export default SpriteMirror;
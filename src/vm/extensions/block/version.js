@@ -0,0 +1,31 @@
+/**
+ * Versions of the shared data.
+ *
+ * A version is the time of the hybrid logical clock when the data was changed and the ID of the peer
+ * which changed it, and the peer ID decides the order of the changes which were made at the same time.
+ */
+
+/**
+ * Version of the data which is not changed by anyone.
+ * @type {{time: number, peer: string}}
+ */
+const INITIAL_VERSION = {time: 0, peer: ''};
+
+/**
+ * Compare the versions.
+ * @param {?{time: number, peer: string}} a - a version
+ * @param {?{time: number, peer: string}} b - another version
+ * @returns {number} - positive if a is newer, negative if b is newer, or 0
+ */
+const compareVersions = function (a, b) {
+    const versionA = a || INITIAL_VERSION;
+    const versionB = b || INITIAL_VERSION;
+    if (versionA.time !== versionB.time) return versionA.time - versionB.time;
+    if (versionA.peer === versionB.peer) return 0;
+    return versionA.peer > versionB.peer ? 1 : -1;
+};
+
+export {
+    INITIAL_VERSION,
+    compareVersions
+};
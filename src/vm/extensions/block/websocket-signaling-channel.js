@@ -0,0 +1,191 @@
+import log from '../../util/log';
+import SignalingChannel from './signaling-channel';
+
+/**
+ * Signaling channel using the WebSocket relay server in relay/main.mjs.
+ * Messages are pushed from the server instead of polling.
+ */
+class WebSocketSignalingChannel extends SignalingChannel {
+    constructor () {
+        super();
+
+        /**
+         * The socket connected to the relay server.
+         * @type {WebSocket}
+         */
+        this._socket = null;
+
+        /**
+         * The connection which is being opened, which the other callers of connect() wait for.
+         * @type {?Promise}
+         */
+        this._connecting = null;
+
+        /**
+         * Resolvers of the requests waiting for the response.
+         * @type {Map<string, function>}
+         */
+        this._pendingRequests = new Map();
+        this._requestCount = 0;
+
+        /**
+         * The duration of waiting for a response from the server.
+         * @type {number} - The duration in milliseconds.
+         * @default 5000
+         */
+        this.requestTimeoutDuration = 5000;
+
+        // Replace with the URL of your relay server
+        this._serverUrl = 'ws://localhost:8080';
+    }
+
+    connect (signalName) {
+        if (this._connected) return Promise.resolve();
+        if (this._connecting) return this._connecting;
+        const connecting = new Promise((resolve, reject) => {
+            const socket = new WebSocket(this._serverUrl);
+            socket.onopen = () => {
+                this._socket = socket;
+                this.signalName = signalName;
+                this.signalingState = 'connected';
+                this._connected = true;
+                this.dispatchEvent(new Event('connected'));
+                resolve();
+            };
+            socket.onerror = () => {
+                if (!this._connected) {
+                    reject(new Error(`Failed to connect to ${this._serverUrl}`));
+                }
+            };
+            socket.onclose = () => {
+                if (this._socket !== socket) return;
+                this._socket = null;
+                this.disconnect();
+            };
+            socket.onmessage = event => this.handleServerMessage(event.data);
+        });
+        this._connecting = connecting;
+        const settled = () => {
+            if (this._connecting === connecting) {
+                this._connecting = null;
+            }
+        };
+        connecting.then(settled, settled);
+        return connecting;
+    }
+
+    disconnect () {
+        if (!this._connected) return;
+        this.signalingState = 'disconnected';
+        this._connected = false;
+        if (this._socket) {
+            const socket = this._socket;
+            this._socket = null;
+            socket.close();
+        }
+        this._pendingRequests.forEach(resolve => resolve(null));
+        this._pendingRequests.clear();
+        this.dispatchEvent(new Event('disconnected'));
+    }
+
+    /**
+     * Send a request to the relay server.
+     * @param {string} action - action of the request
+     * @param {object} [params] - additional parameters
+     */
+    _sendRequest (action, params) {
+        if (!this._socket) throw new Error('Not connected');
+        this._socket.send(JSON.stringify(Object.assign({
+            action: action,
+            signalName: this.signalName,
+            fromId: this._id
+        }, params)));
+    }
+
+    /**
+     * Handle data received from the relay server.
+     * @param {string} data - JSON string from the server
+     */
+    handleServerMessage (data) {
+        let response;
+        try {
+            response = JSON.parse(data);
+        } catch (err) {
+            log.warn('Invalid data from relay server:', err);
+            return;
+        }
+        if (response.action === 'message') {
+            this.dispatchEvent(new MessageEvent('message', {
+                data: response.message
+            }));
+            log.debug('Message received:', response.message);
+            return;
+        }
+        const resolve = this._pendingRequests.get(response.requestId);
+        if (resolve) {
+            this._pendingRequests.delete(response.requestId);
+            resolve(response);
+        }
+    }
+
+    send (message) {
+        if (!this._connected) return Promise.reject(new Error('Not connected'));
+        try {
+            this._sendRequest('post', {
+                toId: message.to || '',
+                message: message
+            });
+            log.debug('Message sent:', message);
+        } catch (err) {
+            log.warn('Error sending message:', err);
+        }
+        return Promise.resolve();
+    }
+
+    /**
+     * Start offering a signaling session.
+     * @param {object} offer - The offer to send.
+     * @returns {Promise} - A promise that resolves when the offer is sent.
+     */
+    async startOffering (offer) {
+        if (this.signalingState !== 'connected') return;
+        this._sendRequest('listen');
+        await this.send(offer);
+        log.log(`Offering signal ${this.signalName} from ${this._id}`);
+    }
+
+    startAnswering () {
+        if (this.signalingState !== 'connected') return;
+        this._sendRequest('listen');
+    }
+
+    stopNegotiation () {
+        if (!this._connected) return;
+        this._sendRequest('unlisten');
+    }
+
+    deleteOwnMessages () {
+        if (!this._connected) return Promise.resolve();
+        this._sendRequest('delete');
+        log.debug('Own messages deleted');
+        return Promise.resolve();
+    }
+
+    async isOffering () {
+        if (!this._connected) return false;
+        const requestId = `${this._id}-${this._requestCount++}`;
+        const response = await new Promise(resolve => {
+            this._pendingRequests.set(requestId, resolve);
+            setTimeout(() => {
+                if (this._pendingRequests.delete(requestId)) {
+                    log.warn('Timeout checking if offering');
+                    resolve(null);
+                }
+            }, this.requestTimeoutDuration);
+            this._sendRequest('isOffering', {requestId: requestId});
+        });
+        return response ? !!response.isOffering : false;
+    }
+}
+
+export default WebSocketSignalingChannel;
@@ -1,4 +1,7 @@
 require.extensions[".png"] = function () {
     return null;
   };
-  
\ No newline at end of file
+  
+// Node defines the fetch API on the global object at the first access, and until then
+// the fetch polyfill in scratch-storage overwrites it, so it is loaded before the tests.
+["fetch", "Headers", "Request", "Response"].forEach(name => globalThis[name]);
@@ -0,0 +1,65 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { addCostumeFromData, addSVGCostume } from "../../src/vm/extensions/block/asset-util.js";
+import { loadProject, makeSprite } from "./scratch-project.js";
+
+const SVG = "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"10\" height=\"10\"></svg>";
+
+/**
+ * Renderer which makes the skins of any image.
+ * @returns {object} - the renderer
+ */
+const makeRenderer = () => {
+    let lastId = 0;
+    const methods = {
+        createSVGSkin: () => ++lastId,
+        getSkinSize: () => [10, 10],
+        getSkinRotationCenter: () => [5, 5],
+        getCurrentSkinSize: () => [10, 10],
+        getFencedPositionOfDrawable: (id, position) => position
+    };
+    return new Proxy(methods, {
+        get: (target, name) => (name in target ? target[name] : () => {})
+    });
+};
+
+describe("asset-util", function () {
+    this.timeout(10000);
+
+    let vm;
+    let cat;
+
+    beforeEach(() => loadProject([makeSprite("Cat")])
+        .then(loaded => {
+            vm = loaded;
+            vm.runtime.renderer = makeRenderer();
+            cat = vm.runtime.getSpriteTargetByName("Cat");
+        }));
+
+    afterEach(() => {
+        vm.runtime.dispose();
+    });
+
+    it("should add the received costume with a new name instead of replacing the costume of the same name", () => {
+        const original = cat.getCostumes()[0];
+        return addCostumeFromData(vm.runtime, cat, {
+            name: "costume1",
+            dataFormat: "svg",
+            bytes: new TextEncoder().encode(SVG)
+        })
+            .then(costume => {
+                expect(costume.name).to.not.equal("costume1");
+                expect(cat.getCostumes().map(item => item.name)).to.deep.equal(["costume1", "costume2", costume.name]);
+                expect(cat.getCostumes()[0]).to.equal(original);
+                expect(cat.currentCostume).to.equal(2);
+            });
+    });
+
+    it("should replace the code costume of the same name", () => {
+        addSVGCostume(vm.runtime, cat, "P2P code", SVG);
+        const costume = addSVGCostume(vm.runtime, cat, "P2P code", SVG);
+        expect(cat.getCostumes().map(item => item.name)).to.deep.equal(["costume1", "costume2", "P2P code"]);
+        expect(cat.getCostumes()[2]).to.equal(costume);
+        expect(cat.currentCostume).to.equal(2);
+    });
+});
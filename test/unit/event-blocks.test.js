@@ -0,0 +1,171 @@
+import { describe, it, beforeEach } from "mocha";
+import { expect } from "chai";
+import { blockClass } from "../../src/vm/extensions/block/index.js";
+
+describe("event blocks", () => {
+    let started;
+    let handlers;
+    let runtime;
+    let block;
+
+    beforeEach(() => {
+        started = [];
+        handlers = {};
+        runtime = {
+            formatMessage: function (msg) {
+                return msg.default;
+            },
+            on: (name, handler) => {
+                handlers[name] = (handlers[name] || []).concat(handler);
+            },
+            getSpriteTargetByName: name => (name === "Cat" ? {id: "cat1"} : null),
+            isActiveThread: () => false,
+            startHats: opcode => {
+                const thread = {opcode: opcode};
+                started.push(thread);
+                return [thread];
+            }
+        };
+        block = new blockClass(runtime);
+    });
+
+    it("should keep the event of each thread started by the hats", () => {
+        block.peer.sendEvent("jump", 1);
+        block.peer.sendEvent("shoot", {x: 3});
+        const [jumpThread, , shootThread] = started;
+        expect(block.lastEventType({}, {thread: jumpThread})).to.equal("jump");
+        expect(block.lastEventData({}, {thread: jumpThread})).to.equal(1);
+        expect(block.eventDataField({FIELD: "x"}, {thread: shootThread})).to.equal(3);
+        expect(block.lastEventSender({}, {thread: shootThread})).to.equal(block.peer.peerId);
+        expect(block.lastEventType({}, {thread: {}})).to.equal("shoot");
+    });
+
+    it("should take the waiting events in order for the thread", () => {
+        block.peer.sendEvent("a", "1");
+        block.peer.sendEvent("b", "2");
+        const thread = {};
+        expect(block.eventsWaiting()).to.equal(2);
+        expect(block.nextEvent({}, {thread: thread})).to.equal("a");
+        expect(block.lastEventData({}, {thread: thread})).to.equal("1");
+        expect(block.nextEvent({}, {thread: thread})).to.equal("b");
+        expect(block.nextEvent({}, {thread: thread})).to.equal("");
+        expect(block.eventsWaiting()).to.equal(0);
+    });
+
+    it("should report empty string when no peer replied", () => {
+        return block.askPeer({QUESTION: "anyone", DATA: ""})
+            .then(reply => {
+                expect(reply).to.equal("");
+            });
+    });
+
+    it("should keep the asset of each thread started by the hat", () => {
+        const receive = asset => block.peer.dispatchEvent(new CustomEvent("assetReceived", {detail: asset}));
+        receive({kind: "costume", name: "drawing", bytes: new Uint8Array(1), from: "peerB"});
+        receive({kind: "sound", name: "meow", bytes: new Uint8Array(1), from: "peerC"});
+        expect(started.map(thread => thread.opcode)).to.deep.equal([
+            "xcxP2P_whenAssetReceived",
+            "xcxP2P_whenAssetReceived"
+        ]);
+        expect(block.receivedAssetName({}, {thread: started[0]})).to.equal("drawing");
+        expect(block.receivedAssetName({}, {thread: {}})).to.equal("meow");
+    });
+
+    it("should add the received sprite only when accepted", () => {
+        const added = [];
+        runtime.vm = {
+            addSprite: bytes => {
+                added.push(bytes);
+                return Promise.resolve();
+            }
+        };
+        const receive = sprite => block.peer.dispatchEvent(new CustomEvent("spriteReceived", {detail: sprite}));
+        const cat = {sprite: "Cat", bytes: new Uint8Array([1]), from: "peerB"};
+        const dog = {sprite: "Dog", bytes: new Uint8Array([2]), from: "peerC"};
+        receive(cat);
+        receive(dog);
+        const [catThread, dogThread] = started;
+        expect(block.receivedSpriteName({}, {thread: catThread})).to.equal("Cat");
+        expect(block.acceptSprite({ACTION: "reject"}, {thread: dogThread})).to.equal("Rejected sprite Dog");
+        expect(block.acceptSprite({ACTION: "accept"}, {thread: dogThread})).to.equal("No sprite received");
+        return block.acceptSprite({ACTION: "accept"}, {thread: catThread})
+            .then(result => {
+                expect(result).to.equal("Added sprite Cat");
+                expect(added).to.deep.equal([cat.bytes]);
+                expect(block.acceptSprite({ACTION: "accept"}, {thread: catThread})).to.equal("No sprite received");
+            });
+    });
+
+    it("should export the sprite to send it", () => {
+        runtime.vm = {
+            exportSprite: () => Promise.resolve(new Uint8Array(1))
+        };
+        expect(block.sendSprite({SPRITE: "Dog"})).to.equal("No sprite: Dog");
+        return block.sendSprite({SPRITE: "Cat"})
+            .then(result => {
+                expect(result).to.equal("No peer to send sprite Cat");
+            });
+    });
+
+    it("should report that the channel in this browser or in a folder has no server", () => {
+        return block.setSignalingChannel({CHANNEL: "local"})
+            .then(() => block.setSignalingServer({URL: "ws://example.com"}))
+            .then(result => {
+                expect(result).to.equal("local has no server");
+                return block.setSignalingChannel({CHANNEL: "file"});
+            })
+            .then(() => block.setSignalingServer({URL: "ws://example.com"}))
+            .then(result => {
+                expect(result).to.equal("file has no server");
+                expect(block.peer.signalingServerUrls).to.deep.equal({});
+                return block.setSignalingChannel({CHANNEL: "websocket"});
+            })
+            .then(() => block.setSignalingServer({URL: "ws://example.com"}))
+            .then(result => {
+                expect(result).to.equal("Signaling server: ws://example.com");
+            });
+    });
+
+    it("should let the host accept or reject the message from a player", () => {
+        const value = {type: "SET_VALUE", content: {key: "score", value: "10"}};
+        const event = {type: "EVENT", content: {type: "buzz", data: "loud"}};
+        const waitingValue = block.filterRelayed(value, "peerB");
+        const waitingEvent = block.filterRelayed(event, "peerC");
+        const [valueThread, eventThread] = started;
+        expect(valueThread.opcode).to.equal("xcxP2P_whenPlayerSends");
+        expect(block.playerMessage({PART: "name"}, {thread: valueThread})).to.equal("score");
+        expect(block.playerMessage({PART: "data"}, {thread: valueThread})).to.equal("10");
+        expect(block.playerMessage({PART: "player"}, {thread: eventThread})).to.equal("peerC");
+        expect(block.playerMessage({PART: "data"}, {thread: eventThread})).to.equal("loud");
+        expect(block.playerMessage({PART: "name"}, {thread: {}})).to.equal("");
+        expect(block.acceptPlayerMessage({ACTION: "reject"}, {thread: valueThread})).to.equal("Rejected score from peerB");
+        expect(block.acceptPlayerMessage({ACTION: "accept"}, {thread: valueThread})).to.equal("No message from player");
+        expect(block.acceptPlayerMessage({ACTION: "accept"}, {thread: eventThread})).to.equal("Accepted buzz from peerC");
+        return Promise.all([waitingValue, waitingEvent])
+            .then(([acceptedValue, acceptedEvent]) => {
+                expect(acceptedValue).to.equal(null);
+                expect(acceptedEvent).to.equal(event);
+            });
+    });
+
+    it("should accept the message from a player when no script decided it", () => {
+        const value = {type: "SET_VALUE", content: {key: "score", value: "10"}};
+        block.relayDecisionTimeout = 10;
+        return block.filterRelayed(value, "peerB")
+            .then(accepted => {
+                expect(accepted).to.equal(value);
+                block.runtime.startHats = () => [];
+                expect(block.filterRelayed(value, "peerB")).to.equal(value);
+            });
+    });
+
+    it("should unbind the shared variables when the project stopped or loaded", () => {
+        ["PROJECT_STOP_ALL", "PROJECT_LOADED"].forEach(name => {
+            block.sharedVariables.shareVariable({value: 1}, "score");
+            expect(block.sharedVariables.bindings.size).to.equal(1);
+            handlers[name].forEach(handler => handler());
+            expect(block.sharedVariables.bindings.size).to.equal(0);
+            expect(block.sharedVariables._intervalId).to.equal(null);
+        });
+    });
+});
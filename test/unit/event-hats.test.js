@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { blockClass } from "../../src/vm/extensions/block/index.js";
+import { waitFor } from "./fake-webrtc.js";
+import { loadProject, makeExtensionVM, makeSprite } from "./scratch-project.js";
+
+/**
+ * Script which counts the runs in the variable.
+ * @param {string} id - prefix of the block IDs
+ * @param {object} hat - opcode, inputs and fields of the hat
+ * @param {string} variable - name of the variable, whose ID is the name followed by 'Id'
+ * @returns {object} - the blocks of the script
+ */
+const countingScript = (id, hat, variable) => ({
+    [`${id}Hat`]: Object.assign({next: `${id}Count`, parent: null, inputs: {}, fields: {},
+        shadow: false, topLevel: true, x: 0, y: 0}, hat),
+    [`${id}Count`]: {opcode: "data_changevariableby", next: null, parent: `${id}Hat`,
+        inputs: {VALUE: [1, [4, "1"]]}, fields: {VARIABLE: [variable, `${variable}Id`]},
+        shadow: false, topLevel: false}
+});
+
+const CAT_BLOCKS = Object.assign(
+    countingScript("any", {opcode: "xcxP2P_whenEventReceived"}, "events"),
+    countingScript("typed", {opcode: "xcxP2P_whenEventTypeReceived", inputs: {TYPE: [1, "typeMenu"]}}, "jumps"),
+    {
+        typeMenu: {opcode: "xcxP2P_menu_eventTypeMenu", next: null, parent: "typedHat", inputs: {},
+            fields: {eventTypeMenu: ["jump", null]}, shadow: true, topLevel: false},
+        askHat: {opcode: "xcxP2P_whenPeerAsks", next: "reply", parent: null,
+            inputs: {QUESTION: [1, [10, "move"]]}, fields: {}, shadow: false, topLevel: true, x: 0, y: 400},
+        reply: {opcode: "xcxP2P_replyToPeer", next: null, parent: "askHat",
+            inputs: {VALUE: [1, [10, "ok"]]}, fields: {}, shadow: false, topLevel: false}
+    }
+);
+
+describe("event hats on the runtime", function () {
+    this.timeout(10000);
+
+    let vm;
+    let block;
+
+    const valueOf = name => vm.runtime.getSpriteTargetByName("Cat").lookupVariableById(`${name}Id`).value;
+
+    beforeEach(() => {
+        ({vm, block} = makeExtensionVM(blockClass));
+        return loadProject([makeSprite("Cat", CAT_BLOCKS, {eventsId: ["events", 0], jumpsId: ["jumps", 0]})], vm)
+            .then(() => vm.start());
+    });
+
+    afterEach(() => {
+        vm.quit();
+        vm.runtime.dispose();
+    });
+
+    it("should start the hat of the received type only", () => {
+        block.peer.sendEvent("jump", 1);
+        return waitFor(() => valueOf("events") === 1)
+            .then(() => {
+                expect(valueOf("jumps")).to.equal(1);
+                block.peer.sendEvent("shoot", 2);
+                return waitFor(() => valueOf("events") === 2);
+            })
+            .then(() => {
+                expect(valueOf("jumps")).to.equal(1);
+                expect(block.getEventTypeMenu().map(item => item.value)).to.deep.equal(["jump", "shoot"]);
+            });
+    });
+
+    it("should start the hats for each of the events in a frame", () => {
+        ["jump", "shoot", "jump", "jump"].forEach((type, index) => block.peer.sendEvent(type, index));
+        return waitFor(() => valueOf("events") === 4)
+            .then(() => waitFor(() => valueOf("jumps") === 3));
+    });
+
+    it("should filter the messages from the players only while the project has the hat", () => {
+        const message = {type: "SET_VALUE", content: {key: "score", value: "10"}};
+        const cat = vm.runtime.getSpriteTargetByName("Cat");
+        block.relayDecisionTimeout = 5000;
+        expect(block.peer.relayFilter).to.equal(null);
+        cat.blocks.createBlock({
+            id: "playerHat",
+            opcode: "xcxP2P_whenPlayerSends",
+            next: null,
+            parent: null,
+            inputs: {},
+            fields: {RELAY_TYPE: {name: "RELAY_TYPE", value: "values"}},
+            shadow: false,
+            topLevel: true
+        });
+        expect(block.peer.relayFilter).to.be.a("function");
+        const startedAt = Date.now();
+        return Promise.resolve(block.peer.relayFilter(message, "peerB"))
+            .then(accepted => {
+                // The script ended without deciding it, so it did not wait for the timeout.
+                expect(accepted).to.equal(message);
+                expect(Date.now() - startedAt).to.be.below(1000);
+                cat.blocks.deleteBlock("playerHat");
+                expect(block.peer.relayFilter).to.equal(null);
+            });
+    });
+
+    it("should reply to the question by the script of the hat", () => {
+        const replies = [];
+        block.peer.reply = (request, data) => {
+            replies.push({request: request, data: data});
+            return 1;
+        };
+        block.onRequestReceived({type: "jump", data: "", request: "p:1", from: "p"});
+        block.onRequestReceived({type: "move", data: "", request: "p:2", from: "p"});
+        return waitFor(() => replies.length === 1)
+            .then(() => {
+                expect(replies[0].request.request).to.equal("p:2");
+                expect(replies[0].data).to.equal("ok");
+            });
+    });
+});
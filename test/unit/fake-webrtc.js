@@ -0,0 +1,358 @@
+// Fake WebRTC objects and an in-memory signaling channel to test SharingPeer without a browser.
+import SignalingChannel from "../../src/vm/extensions/block/signaling-channel.js";
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const fakePeerConnections = new Map();
+let fakeCount = 0;
+
+class FakeRTCSessionDescription {
+    constructor (init) {
+        this.type = init.type;
+        this.sdp = init.sdp;
+    }
+}
+
+class FakeRTCIceCandidate {
+    constructor (init) {
+        Object.assign(this, init);
+    }
+}
+
+class FakeRTCDataChannel {
+    constructor (label, options) {
+        this.label = label;
+        this.id = options.id;
+        this.negotiated = !!options.negotiated;
+        this.readyState = "connecting";
+        this.remote = null;
+        this.bufferedAmount = 0;
+        this.bufferedAmountLowThreshold = 0;
+        this.onopen = null;
+        this.onclose = null;
+        this.onmessage = null;
+        this.onbufferedamountlow = null;
+    }
+
+    send (data) {
+        if (this.readyState !== "open") {
+            throw new Error("InvalidStateError: data channel is not open");
+        }
+        const remote = this.remote;
+        const size = typeof data === "string" ? new TextEncoder().encode(data).length : data.byteLength;
+        this.bufferedAmount += size;
+        setTimeout(() => {
+            const wasHigh = this.bufferedAmount > this.bufferedAmountLowThreshold;
+            this.bufferedAmount -= size;
+            if (remote.readyState === "open" && remote.onmessage) {
+                remote.onmessage({data});
+            }
+            if (wasHigh && this.bufferedAmount <= this.bufferedAmountLowThreshold && this.onbufferedamountlow) {
+                this.onbufferedamountlow();
+            }
+        }, 0);
+    }
+
+    _open () {
+        if (this.readyState === "open") return;
+        this.readyState = "open";
+        if (this.onopen) this.onopen();
+    }
+
+    close () {
+        if (this.readyState === "closed") return;
+        this.readyState = "closed";
+        if (this.onclose) this.onclose();
+        if (this.remote) {
+            const remote = this.remote;
+            setTimeout(() => remote.close(), 0);
+        }
+    }
+}
+
+class FakeRTCPeerConnection extends EventTarget {
+    constructor (configuration) {
+        super();
+        this.configuration = configuration;
+        this.token = `fake${++fakeCount}`;
+        fakePeerConnections.set(this.token, this);
+        this.signalingState = "stable";
+        this.connectionState = "new";
+        this.iceGatheringState = "new";
+        this.localDescription = null;
+        this.remoteDescription = null;
+        this.dataChannels = [];
+        this.addedCandidates = [];
+        this.onicecandidate = null;
+        this.onconnectionstatechange = null;
+        this._offerCount = 0;
+        this.blockIceRestart = false;
+    }
+
+    createDataChannel (label, options) {
+        const dataChannel = new FakeRTCDataChannel(label, options || {});
+        this.dataChannels.push(dataChannel);
+        return dataChannel;
+    }
+
+    createOffer (options) {
+        if (options && options.iceRestart && this.blockIceRestart) {
+            return Promise.reject(new Error("ICE restart is blocked"));
+        }
+        this._offerCount++;
+        return tick().then(() => ({type: "offer", sdp: `${this.token}:offer:${this._offerCount}`}));
+    }
+
+    createAnswer () {
+        return tick().then(() => {
+            if (this.signalingState !== "have-remote-offer") {
+                throw new Error(`InvalidStateError: createAnswer in ${this.signalingState}`);
+            }
+            return {type: "answer", sdp: `${this.token}:answer`};
+        });
+    }
+
+    setLocalDescription (description) {
+        return tick().then(() => {
+            if (description.type === "rollback") {
+                if (this.signalingState !== "have-local-offer") {
+                    throw new Error(`InvalidStateError: rollback in ${this.signalingState}`);
+                }
+                this.localDescription = null;
+                this.signalingState = "stable";
+                return;
+            }
+            if (description.type === "offer") {
+                if (this.signalingState !== "stable") {
+                    throw new Error(`InvalidStateError: local offer in ${this.signalingState}`);
+                }
+                this.localDescription = new FakeRTCSessionDescription(description);
+                this.signalingState = "have-local-offer";
+            } else {
+                if (this.signalingState !== "have-remote-offer") {
+                    throw new Error(`InvalidStateError: local answer in ${this.signalingState}`);
+                }
+                this.localDescription = new FakeRTCSessionDescription(description);
+                this.signalingState = "stable";
+            }
+            this._gatherCandidates();
+        });
+    }
+
+    setRemoteDescription (description) {
+        return tick().then(() => {
+            if (description.type === "offer") {
+                if (this.signalingState !== "stable") {
+                    throw new Error(`InvalidStateError: remote offer in ${this.signalingState}`);
+                }
+                this.remoteDescription = new FakeRTCSessionDescription(description);
+                this.signalingState = "have-remote-offer";
+                return;
+            }
+            if (this.signalingState !== "have-local-offer") {
+                throw new Error(`InvalidStateError: remote answer in ${this.signalingState}`);
+            }
+            this.remoteDescription = new FakeRTCSessionDescription(description);
+            this.signalingState = "stable";
+            this._connect();
+        });
+    }
+
+    restartIce () {
+        this.restartedIce = true;
+    }
+
+    addIceCandidate (candidate) {
+        return tick().then(() => {
+            const remoteToken = this.remoteDescription.sdp.split(":")[0];
+            if (candidate.candidate !== `candidate:${remoteToken}`) {
+                throw new Error("OperationError: unknown candidate");
+            }
+            this.addedCandidates.push(candidate);
+        });
+    }
+
+    _gatherCandidates () {
+        this.iceGatheringState = "gathering";
+        setTimeout(() => {
+            if (this.connectionState === "closed") return;
+            if (this.onicecandidate) {
+                this.onicecandidate({candidate: {candidate: `candidate:${this.token}`, sdpMid: "0"}});
+                this.onicecandidate({candidate: null});
+            }
+            this.iceGatheringState = "complete";
+            this.dispatchEvent(new Event("icegatheringstatechange"));
+        }, 0);
+    }
+
+    _setConnectionState (state) {
+        this.connectionState = state;
+        if (this.onconnectionstatechange) this.onconnectionstatechange();
+    }
+
+    _connect () {
+        const remote = fakePeerConnections.get(this.remoteDescription.sdp.split(":")[0]);
+        if (!remote || !remote.remoteDescription ||
+            remote.remoteDescription.sdp.split(":")[0] !== this.token) {
+            return;
+        }
+        this.dataChannels.forEach(dataChannel => {
+            const remoteChannel = remote.dataChannels.find(channel => channel.id === dataChannel.id);
+            if (remoteChannel) {
+                dataChannel.remote = remoteChannel;
+                remoteChannel.remote = dataChannel;
+            }
+        });
+        setTimeout(() => {
+            [this, remote].forEach(pc => {
+                pc._setConnectionState("connected");
+                pc.dataChannels.forEach(dataChannel => {
+                    if (dataChannel.remote) dataChannel._open();
+                });
+            });
+        }, 0);
+    }
+
+    close () {
+        if (this.connectionState === "closed") return;
+        this.connectionState = "closed";
+        this.signalingState = "closed";
+        this.dataChannels.forEach(dataChannel => dataChannel.close());
+        fakePeerConnections.delete(this.token);
+    }
+}
+
+/**
+ * Install the fakes as the globals.
+ */
+const installFakeWebRTC = function () {
+    global.RTCPeerConnection = FakeRTCPeerConnection;
+    global.RTCSessionDescription = FakeRTCSessionDescription;
+    global.RTCIceCandidate = FakeRTCIceCandidate;
+};
+
+/**
+ * Stored messages by signal name shared by all memory channels.
+ * @type {Map<string, Array<object>>}
+ */
+const memoryRooms = new Map();
+
+/**
+ * Signaling channel in memory which behaves like the sheet.
+ * Messages to a peer are removed when received and messages to all are kept.
+ */
+class MemorySignalingChannel extends SignalingChannel {
+    constructor () {
+        super();
+        this._listening = false;
+        MemorySignalingChannel.channels.add(this);
+    }
+
+    _messages () {
+        if (!memoryRooms.has(this.signalName)) {
+            memoryRooms.set(this.signalName, []);
+        }
+        return memoryRooms.get(this.signalName);
+    }
+
+    connect (signalName) {
+        if (this._connected) return;
+        this.signalName = signalName;
+        this.signalingState = "connected";
+        this._connected = true;
+    }
+
+    disconnect () {
+        this.signalingState = "disconnected";
+        this._connected = false;
+        this._listening = false;
+    }
+
+    send (message) {
+        if (!this._connected) return Promise.reject(new Error("Not connected"));
+        this._messages().push({
+            fromId: this._id,
+            toId: message.to || "",
+            message: JSON.parse(JSON.stringify(message))
+        });
+        MemorySignalingChannel.deliverAll();
+        return Promise.resolve();
+    }
+
+    _deliver () {
+        if (!this._connected || !this._listening) return;
+        const messages = this._messages();
+        const received = messages.filter(row => this._isForMe(row));
+        memoryRooms.set(this.signalName, messages.filter(row => row.toId !== this._id));
+        received.forEach(row => this.dispatchEvent(new MessageEvent("message", {data: row.message})));
+    }
+
+    _isForMe (row) {
+        return row.fromId !== this._id && (!row.toId || row.toId === this._id);
+    }
+
+    startOffering (offer) {
+        this._listening = true;
+        return this.send(offer);
+    }
+
+    startAnswering () {
+        this._listening = true;
+        MemorySignalingChannel.deliverAll();
+    }
+
+    stopNegotiation () {
+        this._listening = false;
+    }
+
+    deleteOwnMessages () {
+        if (this._connected) {
+            memoryRooms.set(this.signalName, this._messages().filter(row => row.fromId !== this._id));
+        }
+        return Promise.resolve();
+    }
+
+    isOffering () {
+        return Promise.resolve(this._connected && this._messages()
+            .some(row => this._isForMe(row) && row.message.type === "offer"));
+    }
+
+    static deliverAll () {
+        setTimeout(() => MemorySignalingChannel.channels.forEach(channel => channel._deliver()), 0);
+    }
+
+    static reset () {
+        memoryRooms.clear();
+        MemorySignalingChannel.channels.clear();
+    }
+}
+
+MemorySignalingChannel.channels = new Set();
+
+/**
+ * Wait until the condition becomes true.
+ * @param {function} condition - function to check
+ * @param {number} [timeout] - timeout in milliseconds
+ * @returns {Promise} - resolves when the condition is true
+ */
+const waitFor = function (condition, timeout = 2000) {
+    const start = Date.now();
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            if (condition()) {
+                resolve();
+            } else if (Date.now() - start > timeout) {
+                reject(new Error("waitFor timeout"));
+            } else {
+                setTimeout(check, 5);
+            }
+        };
+        check();
+    });
+};
+
+export {
+    installFakeWebRTC,
+    MemorySignalingChannel,
+    waitFor
+};
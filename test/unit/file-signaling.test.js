@@ -0,0 +1,305 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import FileSignalingChannel from "../../src/vm/extensions/block/file-signaling-channel.js";
+
+/**
+ * Directory handle of the File System Access API which keeps the files in memory.
+ */
+class FakeDirectoryHandle {
+    constructor (name) {
+        this.kind = "directory";
+        this.name = name;
+        this.entries = new Map();
+    }
+
+    getDirectoryHandle (name, options = {}) {
+        if (!this.entries.has(name)) {
+            if (!options.create) return Promise.reject(new Error(`NotFoundError: ${name}`));
+            this.entries.set(name, new FakeDirectoryHandle(name));
+        }
+        return Promise.resolve(this.entries.get(name));
+    }
+
+    getFileHandle (name, options = {}) {
+        if (!this.entries.has(name)) {
+            if (!options.create) return Promise.reject(new Error(`NotFoundError: ${name}`));
+            this.entries.set(name, {kind: "file", name, content: ""});
+        }
+        const entry = this.entries.get(name);
+        return Promise.resolve({
+            kind: "file",
+            name,
+            createWritable: () => {
+                let written = "";
+                return Promise.resolve({
+                    write: data => {
+                        written += data;
+                        return Promise.resolve();
+                    },
+                    close: () => {
+                        entry.content = written;
+                        return Promise.resolve();
+                    }
+                });
+            },
+            getFile: () => Promise.resolve({
+                text: () => Promise.resolve(entry.content)
+            })
+        });
+    }
+
+    removeEntry (name) {
+        if (!this.entries.delete(name)) return Promise.reject(new Error(`NotFoundError: ${name}`));
+        return Promise.resolve();
+    }
+
+    values () {
+        const list = Array.from(this.entries.values());
+        let index = 0;
+        return {
+            [Symbol.asyncIterator] () {
+                return this;
+            },
+            next: () => Promise.resolve(index < list.length ?
+                {value: list[index++], done: false} :
+                {value: null, done: true})
+        };
+    }
+
+    /**
+     * Write a file as if another peer wrote it.
+     * @param {string} name - file name
+     * @param {object} data - content to be saved as JSON
+     */
+    putFile (name, data) {
+        this.entries.set(name, {kind: "file", name, content: JSON.stringify(data)});
+    }
+
+    fileNames () {
+        return Array.from(this.entries.keys()).sort();
+    }
+}
+
+describe("FileSignalingChannel", () => {
+    let realSetInterval;
+    let realClearInterval;
+    let timers;
+    let root;
+    let channels;
+
+    const openChannel = (id, signalName = "room") => {
+        const channel = new FileSignalingChannel();
+        channel.id = id;
+        channel._dirHandle = root;
+        channel.received = [];
+        channel.addEventListener("message", event => channel.received.push(event.data));
+        channels.push(channel);
+        return channel.connect(signalName).then(() => channel);
+    };
+
+    /**
+     * Run the polling which was started by the channel as if its interval elapsed.
+     * @param {FileSignalingChannel} channel - channel to poll
+     * @returns {Promise} - resolves when the poll finished
+     */
+    const tickPolling = channel => {
+        const timer = timers.find(each => each.id === channel._pollInterval);
+        expect(timer, "polling timer").to.exist;
+        timer.callback();
+        // The poll stores the files in the middle of the callback.
+        return new Promise(resolve => setTimeout(resolve, 0))
+            .then(() => waitPolling(channel));
+    };
+
+    const waitPolling = channel => {
+        if (!channel._polling) return Promise.resolve();
+        return new Promise(resolve => setTimeout(resolve, 0)).then(() => waitPolling(channel));
+    };
+
+    beforeEach(() => {
+        timers = [];
+        let lastTimer = 0;
+        realSetInterval = global.setInterval;
+        realClearInterval = global.clearInterval;
+        global.setInterval = (callback, delay) => {
+            const timer = {id: ++lastTimer, callback, delay, cleared: false};
+            timers.push(timer);
+            return timer.id;
+        };
+        global.clearInterval = id => {
+            const timer = timers.find(each => each.id === id);
+            if (timer) timer.cleared = true;
+        };
+        root = new FakeDirectoryHandle("shared");
+        channels = [];
+    });
+
+    afterEach(() => {
+        channels.forEach(channel => channel.disconnect());
+        global.setInterval = realSetInterval;
+        global.clearInterval = realClearInterval;
+        delete global.window;
+    });
+
+    it("should ask the directory only at the first connection", () => {
+        let asked = 0;
+        global.window = {
+            showDirectoryPicker: options => {
+                asked++;
+                expect(options.mode).to.equal("readwrite");
+                return Promise.resolve(root);
+            }
+        };
+        const channel = new FileSignalingChannel();
+        channels.push(channel);
+        return channel.connect("room")
+            .then(() => {
+                expect(asked).to.equal(1);
+                expect(channel.connected).to.equal(true);
+                expect(root.fileNames()).to.deep.equal(["room"]);
+                channel.disconnect();
+                return channel.connect("room");
+            })
+            .then(() => {
+                expect(asked).to.equal(1);
+            });
+    });
+
+    it("should poll every second while negotiating and deliver the messages from the other peer", () => {
+        let alice;
+        let bob;
+        return Promise.all([openChannel("alice"), openChannel("bob")])
+            .then(opened => {
+                [alice, bob] = opened;
+                bob.startAnswering();
+                expect(timers.map(timer => timer.delay)).to.deep.equal([1000]);
+                bob.startAnswering();
+                expect(timers.length).to.equal(1);
+                return alice.startOffering({type: "offer", sdp: "from alice"});
+            })
+            .then(() => {
+                expect(bob.received).to.deep.equal([]);
+                return tickPolling(bob);
+            })
+            .then(() => {
+                expect(bob.received).to.deep.equal([{type: "offer", sdp: "from alice"}]);
+                return bob.send({type: "answer", to: "alice", sdp: "from bob"});
+            })
+            .then(() => tickPolling(alice))
+            .then(() => {
+                expect(alice.received).to.deep.equal([{type: "answer", to: "alice", sdp: "from bob"}]);
+                expect(bob.received.length).to.equal(1);
+                // The answer was taken but the offer to all is left for the other peers.
+                const files = root.entries.get("room").fileNames();
+                expect(files).to.deep.equal(["webrtc-signal-alice-000000-offer.json"]);
+                bob.stopNegotiation();
+                expect(timers[0].cleared).to.equal(true);
+                expect(bob._pollInterval).to.equal(null);
+            });
+    });
+
+    it("should deliver the messages in the order of the time stamps", () => {
+        let bob;
+        return openChannel("bob")
+            .then(opened => {
+                bob = opened;
+                const room = root.entries.get("room");
+                const now = Date.now();
+                room.putFile("webrtc-signal-carol-000001-candidate.json",
+                    {from: "carol", to: "bob", type: "candidate", data: {type: "candidate", n: 2}, timestamp: now});
+                room.putFile("webrtc-signal-carol-000000-offer.json",
+                    {from: "carol", to: "bob", type: "offer", data: {type: "offer", n: 1}, timestamp: now - 10});
+                room.putFile("webrtc-signal-carol-000002-answer.json",
+                    {from: "carol", to: "dave", type: "answer", data: {type: "answer", n: 3}, timestamp: now});
+                bob.startAnswering();
+                return tickPolling(bob);
+            })
+            .then(() => {
+                expect(bob.received.map(message => message.n)).to.deep.equal([1, 2]);
+                expect(root.entries.get("room").fileNames())
+                    .to.deep.equal(["webrtc-signal-carol-000002-answer.json"]);
+            });
+    });
+
+    it("should remove the stale files at connection and while polling", () => {
+        const room = new FakeDirectoryHandle("room");
+        root.entries.set("room", room);
+        const old = Date.now() - (11 * 60 * 1000);
+        room.putFile("webrtc-signal-crashed-000000-offer.json",
+            {from: "crashed", to: "", type: "offer", data: {type: "offer"}, timestamp: old});
+        room.putFile("webrtc-signal-carol-000000-join.json",
+            {from: "carol", to: "", type: "join", data: {type: "join"}, timestamp: Date.now()});
+        room.putFile("notes.txt", {});
+        let bob;
+        return openChannel("bob")
+            .then(opened => {
+                bob = opened;
+                expect(room.fileNames()).to.deep.equal(["notes.txt", "webrtc-signal-carol-000000-join.json"]);
+                bob.messageLifetime = -1;
+                bob.startAnswering();
+                return tickPolling(bob);
+            })
+            .then(() => {
+                expect(bob.received).to.deep.equal([]);
+                expect(room.fileNames()).to.deep.equal(["notes.txt"]);
+            });
+    });
+
+    it("should tell whether another peer is offering and delete only its own files", () => {
+        let alice;
+        let bob;
+        return Promise.all([openChannel("alice"), openChannel("bob")])
+            .then(opened => {
+                [alice, bob] = opened;
+                return bob.isOffering();
+            })
+            .then(offering => {
+                expect(offering).to.equal(false);
+                return Promise.all([
+                    alice.send({type: "offer", to: "bob", sdp: "offer"}),
+                    bob.send({type: "join"})
+                ]);
+            })
+            .then(() => bob.isOffering())
+            .then(offering => {
+                expect(offering).to.equal(true);
+                return alice.deleteOwnMessages();
+            })
+            .then(() => bob.isOffering())
+            .then(offering => {
+                expect(offering).to.equal(false);
+                expect(root.entries.get("room").fileNames())
+                    .to.deep.equal(["webrtc-signal-bob-000000-join.json"]);
+            });
+    });
+
+    it("should stop polling and refuse to send after disconnecting", () => {
+        let bob;
+        let disconnected = false;
+        return openChannel("bob")
+            .then(opened => {
+                bob = opened;
+                bob.addEventListener("disconnected", () => {
+                    disconnected = true;
+                });
+                bob.startAnswering();
+                bob.disconnect();
+                expect(disconnected).to.equal(true);
+                expect(bob.connected).to.equal(false);
+                expect(timers[0].cleared).to.equal(true);
+                expect(bob._signalDirHandle).to.equal(null);
+                return bob.isOffering();
+            })
+            .then(offering => {
+                expect(offering).to.equal(false);
+                return bob.send({type: "join"});
+            })
+            .then(() => {
+                throw new Error("sent while disconnected");
+            }, err => {
+                expect(err.message).to.equal("Not connected");
+                bob.startAnswering();
+                expect(timers.length).to.equal(1);
+            });
+    });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import { toScratchValue, parseJSONValue, getPath, setPath } from "../../src/vm/extensions/block/json-value.js";
+
+describe("json-value", () => {
+    it("should report objects as JSON text and keep the other types", () => {
+        expect(toScratchValue({a: [1, 2]})).to.equal("{\"a\":[1,2]}");
+        expect(toScratchValue(3)).to.equal(3);
+        expect(toScratchValue(false)).to.equal(false);
+        expect(toScratchValue(null)).to.equal("");
+    });
+
+    it("should read JSON text and keep the other text", () => {
+        expect(parseJSONValue("[1, true]")).to.deep.equal([1, true]);
+        expect(parseJSONValue("12")).to.equal(12);
+        expect(parseJSONValue("hello")).to.equal("hello");
+        expect(parseJSONValue(7)).to.equal(7);
+    });
+
+    it("should get the part at the path", () => {
+        const level = {player: {items: [{name: "key"}, {name: "map"}]}};
+        expect(getPath(level, "player.items[1].name")).to.equal("map");
+        expect(getPath(level, "player.items.0.name")).to.equal("key");
+        expect(getPath(JSON.stringify(level), "player.items[0].name")).to.equal("key");
+        expect(getPath(level, "player.score")).to.equal(null);
+        expect(getPath("a,b", "x")).to.equal(null);
+        expect(getPath(level, "")).to.deep.equal(level);
+    });
+
+    it("should set the part at the path without changing the original", () => {
+        const level = {player: {items: ["key"]}};
+        const changed = setPath(level, "player.items[1]", "map");
+        expect(changed).to.deep.equal({player: {items: ["key", "map"]}});
+        expect(level).to.deep.equal({player: {items: ["key"]}});
+        expect(setPath("", "pos[0].x", 3)).to.deep.equal({pos: [{x: 3}]});
+        expect(setPath("{\"a\":1}", "b", true)).to.deep.equal({a: 1, b: true});
+        expect(setPath(level, "", 5)).to.equal(5);
+    });
+});
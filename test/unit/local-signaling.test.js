@@ -0,0 +1,222 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import LocalSignalingChannel from "../../src/vm/extensions/block/local-signaling-channel.js";
+import { waitFor } from "./fake-webrtc.js";
+
+/**
+ * In-memory localStorage shared by the channels as if they were tabs of a browser.
+ */
+class FakeStorage {
+    constructor () {
+        this.items = new Map();
+    }
+
+    getItem (key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem (key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem (key) {
+        this.items.delete(key);
+    }
+}
+
+const openBroadcastChannels = new Set();
+
+/**
+ * BroadcastChannel which posts to the other open channels of the same name but not to itself.
+ */
+class FakeBroadcastChannel extends EventTarget {
+    constructor (name) {
+        super();
+        this.name = name;
+        openBroadcastChannels.add(this);
+    }
+
+    postMessage (data) {
+        openBroadcastChannels.forEach(other => {
+            if (other === this || other.name !== this.name) return;
+            setTimeout(() => {
+                if (!openBroadcastChannels.has(other)) return;
+                other.dispatchEvent(new MessageEvent("message", {data}));
+            }, 0);
+        });
+    }
+
+    close () {
+        openBroadcastChannels.delete(this);
+    }
+}
+
+describe("LocalSignalingChannel", () => {
+    let originalBroadcastChannel;
+    let channels;
+
+    const openChannel = (id, signalName = "room") => {
+        const channel = new LocalSignalingChannel();
+        channel.id = id;
+        channel.received = [];
+        channel.addEventListener("message", event => channel.received.push(event.data));
+        channel.connect(signalName);
+        channels.push(channel);
+        return channel;
+    };
+
+    beforeEach(() => {
+        originalBroadcastChannel = global.BroadcastChannel;
+        global.BroadcastChannel = FakeBroadcastChannel;
+        global.localStorage = new FakeStorage();
+        channels = [];
+    });
+
+    afterEach(() => {
+        channels.forEach(channel => channel.disconnect());
+        global.BroadcastChannel = originalBroadcastChannel;
+        delete global.localStorage;
+        delete global.window;
+    });
+
+    it("should exchange an offer and an answer between two instances", () => {
+        const alice = openChannel("alice");
+        const bob = openChannel("bob");
+        bob.startAnswering();
+        return alice.startOffering({type: "offer", sdp: "from alice"})
+            .then(() => waitFor(() => bob.received.length === 1))
+            .then(() => {
+                expect(bob.received[0]).to.deep.equal({type: "offer", sdp: "from alice"});
+                return bob.send({type: "answer", to: "alice", sdp: "from bob"});
+            })
+            .then(() => waitFor(() => alice.received.length === 1))
+            .then(() => {
+                expect(alice.received[0]).to.deep.equal({type: "answer", to: "alice", sdp: "from bob"});
+                expect(bob.received.length).to.equal(1);
+                // The answer was taken out of the storage but the offer to all is left.
+                const stored = JSON.parse(localStorage.getItem("xcxP2P-signal-room"));
+                expect(stored.map(row => row.message.type)).to.deep.equal(["offer"]);
+            });
+    });
+
+    it("should deliver a message only to the recipient", () => {
+        const alice = openChannel("alice");
+        const bob = openChannel("bob");
+        const carol = openChannel("carol");
+        bob.startAnswering();
+        carol.startAnswering();
+        alice.startAnswering();
+        return alice.send({type: "answer", to: "bob", sdp: "for bob"})
+            .then(() => waitFor(() => bob.received.length === 1))
+            .then(() => {
+                expect(carol.received).to.deep.equal([]);
+                expect(alice.received).to.deep.equal([]);
+            });
+    });
+
+    it("should read the messages stored before listening", () => {
+        const alice = openChannel("alice");
+        const bob = openChannel("bob");
+        return alice.startOffering({type: "join", from: "alice"})
+            .then(() => bob.isOffering())
+            .then(offering => {
+                expect(offering).to.equal(false);
+                expect(bob.received).to.deep.equal([]);
+                bob.startAnswering();
+                expect(bob.received).to.deep.equal([{type: "join", from: "alice"}]);
+            });
+    });
+
+    it("should separate the rooms by the signal name", () => {
+        const alice = openChannel("alice", "room1");
+        const bob = openChannel("bob", "room2");
+        bob.startAnswering();
+        return alice.startOffering({type: "offer", sdp: "room1"})
+            .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+            .then(() => {
+                expect(bob.received).to.deep.equal([]);
+                return bob.isOffering();
+            })
+            .then(offering => {
+                expect(offering).to.equal(false);
+            });
+    });
+
+    it("should tell whether another instance is offering", () => {
+        const alice = openChannel("alice");
+        const bob = openChannel("bob");
+        return bob.isOffering()
+            .then(offering => {
+                expect(offering).to.equal(false);
+                return alice.send({type: "offer", to: "bob", sdp: "offer"});
+            })
+            .then(() => bob.isOffering())
+            .then(offering => {
+                expect(offering).to.equal(true);
+                return alice.deleteOwnMessages();
+            })
+            .then(() => bob.isOffering())
+            .then(offering => {
+                expect(offering).to.equal(false);
+                expect(localStorage.getItem("xcxP2P-signal-room")).to.equal(null);
+            });
+    });
+
+    it("should drop the expired messages", () => {
+        const alice = openChannel("alice");
+        const bob = openChannel("bob");
+        return alice.send({type: "join", from: "alice"})
+            .then(() => {
+                bob.messageLifetime = -1;
+                bob.startAnswering();
+                expect(bob.received).to.deep.equal([]);
+            });
+    });
+
+    it("should stop receiving after stopping the negotiation or disconnecting", () => {
+        const alice = openChannel("alice");
+        const bob = openChannel("bob");
+        let disconnected = false;
+        bob.addEventListener("disconnected", () => {
+            disconnected = true;
+        });
+        bob.startAnswering();
+        bob.stopNegotiation();
+        return alice.send({type: "answer", to: "bob", sdp: "late"})
+            .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+            .then(() => {
+                expect(bob.received).to.deep.equal([]);
+                bob.disconnect();
+                expect(disconnected).to.equal(true);
+                expect(bob.connected).to.equal(false);
+                expect(openBroadcastChannels.size).to.equal(1);
+                return bob.send({type: "answer", to: "alice"})
+                    .then(() => {
+                        throw new Error("sent while disconnected");
+                    }, err => {
+                        expect(err.message).to.equal("Not connected");
+                    });
+            });
+    });
+
+    it("should fall back to the storage event without BroadcastChannel", () => {
+        delete global.BroadcastChannel;
+        const storageEvents = new EventTarget();
+        global.window = storageEvents;
+        const alice = openChannel("alice");
+        const bob = openChannel("bob");
+        bob.startAnswering();
+        return alice.send({type: "answer", to: "bob", sdp: "by storage"})
+            .then(() => {
+                // The browser notifies the other tabs of the changed key.
+                const other = new Event("storage");
+                other.key = "xcxP2P-signal-other";
+                storageEvents.dispatchEvent(other);
+                expect(bob.received).to.deep.equal([]);
+                const changed = new Event("storage");
+                changed.key = "xcxP2P-signal-room";
+                storageEvents.dispatchEvent(changed);
+                expect(bob.received).to.deep.equal([{type: "answer", to: "bob", sdp: "by storage"}]);
+            });
+    });
+});
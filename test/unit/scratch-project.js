@@ -0,0 +1,102 @@
+// Projects on the real VM of Scratch to test the extension without the editor.
+import VirtualMachine from "scratch-vm";
+import formatMessage from "format-message";
+import * as storage from "scratch-storage";
+
+// The tests are loaded as ES modules or through Babel, which see the CommonJS exports differently.
+const { ScratchStorage } = storage.default || storage;
+
+/**
+ * Costume made of the default vector asset of the storage, which is found without the network.
+ * @param {string} name - name of the costume
+ * @returns {object} - the costume in the project JSON
+ */
+const makeCostume = name => ({
+    name: name,
+    assetId: "8e768a5a5a01891b05c01c9ca15eb6aa",
+    md5ext: "8e768a5a5a01891b05c01c9ca15eb6aa.svg",
+    dataFormat: "svg",
+    rotationCenterX: 0,
+    rotationCenterY: 0
+});
+
+/**
+ * Sprite in the project JSON.
+ * @param {string} name - name of the sprite
+ * @param {object} [blocks] - blocks of the scripts by their IDs
+ * @param {object} [variables] - variables as [name, value] by their IDs
+ * @returns {object} - the sprite
+ */
+const makeSprite = (name, blocks = {}, variables = {}) => ({
+    isStage: false,
+    name: name,
+    variables: variables,
+    lists: {},
+    broadcasts: {},
+    blocks: blocks,
+    comments: {},
+    currentCostume: 0,
+    costumes: [makeCostume("costume1"), makeCostume("costume2")],
+    sounds: [],
+    volume: 100,
+    layerOrder: 1,
+    visible: true,
+    x: 0,
+    y: 0,
+    size: 100,
+    direction: 90,
+    draggable: false,
+    rotationStyle: "all around"
+});
+
+/**
+ * Make a VM which has registered the extension, so that a project can use its blocks.
+ * @param {function} ExtensionClass - class of the extension
+ * @returns {{vm: VirtualMachine, block: object}} - the VM and the extension
+ */
+const makeExtensionVM = ExtensionClass => {
+    const vm = new VirtualMachine();
+    // The editor gives the runtime the formatter of its locale.
+    vm.runtime.formatMessage = formatMessage;
+    const block = new ExtensionClass(vm.runtime, vm);
+    const serviceName = vm.extensionManager._registerInternalExtension(block);
+    // As loadExtensionIdSync() does for a built-in extension, so that the project does not load it from a URL.
+    vm.extensionManager._loadedExtensions.set(block.getInfo().id, serviceName);
+    return {vm, block};
+};
+
+/**
+ * Make a VM which has loaded a project of the sprites.
+ * @param {Array<object>} sprites - sprites made by makeSprite()
+ * @param {VirtualMachine} [vm] - the VM to load the project, otherwise a new one
+ * @returns {Promise<VirtualMachine>} - the VM
+ */
+const loadProject = (sprites, vm = new VirtualMachine()) => {
+    vm.attachStorage(new ScratchStorage());
+    return vm.loadProject({
+        targets: [{
+            isStage: true,
+            name: "Stage",
+            variables: {},
+            lists: {},
+            broadcasts: {},
+            blocks: {},
+            comments: {},
+            currentCostume: 0,
+            costumes: [makeCostume("backdrop1")],
+            sounds: [],
+            volume: 100,
+            layerOrder: 0
+        }].concat(sprites),
+        monitors: [],
+        extensions: [],
+        meta: {semver: "3.0.0"}
+    })
+        .then(() => vm);
+};
+
+export {
+    makeSprite,
+    makeExtensionVM,
+    loadProject
+};
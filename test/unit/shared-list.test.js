@@ -0,0 +1,81 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import SharedList from "../../src/vm/extensions/block/shared-list.js";
+
+describe("SharedList", () => {
+    const version = (time, peer) => ({time: time, peer: peer});
+
+    const exchange = (listA, listB, opsA, opsB) => {
+        opsB.forEach(op => listA.apply(op));
+        opsA.forEach(op => listB.apply(op));
+    };
+
+    it("should insert, replace and delete items", () => {
+        const list = new SharedList();
+        list.insertAt(0, "a", version(1, "p"));
+        list.insertAt(1, "c", version(2, "p"));
+        list.insertAt(1, "b", version(3, "p"));
+        expect(list.items()).to.deep.equal(["a", "b", "c"]);
+        list.replaceAt(0, "A", version(4, "p"));
+        list.deleteAt(2);
+        expect(list.items()).to.deep.equal(["A", "b"]);
+        expect(list.length()).to.equal(2);
+    });
+
+    it("should merge the insertions at the same position in the same order", () => {
+        const listA = new SharedList();
+        const listB = new SharedList();
+        const first = listA.insertAt(0, "start", version(1, "a"));
+        listB.apply(first);
+        const opA = listA.insertAt(1, "from A", version(2, "a"));
+        const opB = listB.insertAt(1, "from B", version(2, "b"));
+        exchange(listA, listB, [opA], [opB]);
+        expect(listA.items()).to.deep.equal(["start", "from B", "from A"]);
+        expect(listB.items()).to.deep.equal(listA.items());
+    });
+
+    it("should keep the items inserted after the deleted item", () => {
+        const listA = new SharedList();
+        const listB = new SharedList();
+        listB.apply(listA.insertAt(0, "x", version(1, "a")));
+        const deleting = listA.deleteAt(0);
+        const inserting = listB.insertAt(1, "y", version(2, "b"));
+        exchange(listA, listB, [deleting], [inserting]);
+        expect(listA.items()).to.deep.equal(["y"]);
+        expect(listB.items()).to.deep.equal(["y"]);
+    });
+
+    it("should take the newer replacement", () => {
+        const listA = new SharedList();
+        const listB = new SharedList();
+        listB.apply(listA.insertAt(0, "x", version(1, "a")));
+        const opA = listA.replaceAt(0, "A", version(3, "a"));
+        const opB = listB.replaceAt(0, "B", version(2, "b"));
+        exchange(listA, listB, [opA], [opB]);
+        expect(listA.items()).to.deep.equal(["A"]);
+        expect(listB.items()).to.deep.equal(["A"]);
+    });
+
+    it("should wait for the item which the operation refers to", () => {
+        const source = new SharedList();
+        const first = source.insertAt(0, "a", version(1, "a"));
+        const second = source.insertAt(1, "b", version(2, "a"));
+        const deleting = source.deleteAt(0);
+        const list = new SharedList();
+        expect(list.apply(second)).to.equal(false);
+        expect(list.apply(deleting)).to.equal(false);
+        expect(list.apply(first)).to.equal(true);
+        expect(list.items()).to.deep.equal(["b"]);
+    });
+
+    it("should make the same list from the operations", () => {
+        const source = new SharedList();
+        source.insertAt(0, "a", version(1, "a"));
+        source.insertAt(1, "b", version(2, "a"));
+        source.replaceAt(1, "B", version(3, "a"));
+        source.deleteAt(0);
+        const copy = new SharedList();
+        source.toOps().forEach(op => copy.apply(op));
+        expect(copy.items()).to.deep.equal(["B"]);
+    });
+});
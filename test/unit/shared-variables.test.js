@@ -0,0 +1,131 @@
+import { describe, it, before, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import SharingPeer from "../../src/vm/extensions/block/sharing-peer.js";
+import SharedVariables from "../../src/vm/extensions/block/shared-variables.js";
+import { registerSignalingChannel } from "../../src/vm/extensions/block/signaling-channels.js";
+import { installFakeWebRTC, MemorySignalingChannel, waitFor } from "./fake-webrtc.js";
+
+describe("SharedVariables", () => {
+    let peerA;
+    let peerB;
+    let sharedA;
+    let sharedB;
+
+    before(() => {
+        installFakeWebRTC();
+        registerSignalingChannel("memory", MemorySignalingChannel);
+    });
+
+    beforeEach(() => {
+        MemorySignalingChannel.reset();
+        peerA = new SharingPeer();
+        peerB = new SharingPeer();
+        [peerA, peerB].forEach(peer => peer.setSignalingChannel("memory"));
+        sharedA = new SharedVariables(peerA, 5);
+        sharedB = new SharedVariables(peerB, 5);
+        return Promise.all([peerA.startSignaling("room"), peerB.startSignaling("room")])
+            .then(() => waitFor(() => peerA.peerIds().length === 1 && peerB.peerIds().length === 1));
+    });
+
+    afterEach(() => {
+        [sharedA, sharedB].forEach(shared => shared.stopAll());
+        [peerA, peerB].forEach(peer => peer.disconnectPeer());
+        return Promise.all([peerA, peerB].map(peer => peer.stopNegotiation()));
+    });
+
+    it("should send the change of the variable and write the change from the peer", () => {
+        const scoreA = {value: 0};
+        const scoreB = {value: 0};
+        sharedA.shareVariable(scoreA, "score");
+        return waitFor(() => peerB.valueOf("score") === 0)
+            .then(() => {
+                sharedB.shareVariable(scoreB, "score");
+                scoreA.value = 5;
+                return waitFor(() => scoreB.value === 5);
+            })
+            .then(() => {
+                peerB.changeValue("score", 2);
+                return waitFor(() => scoreA.value === 7);
+            })
+            .then(() => {
+                expect(scoreB.value).to.equal(7);
+            });
+    });
+
+    it("should take the shared empty string as a value", () => {
+        peerA.setValue("name", "");
+        const name = {value: "bob"};
+        return waitFor(() => Object.prototype.hasOwnProperty.call(peerB.dataChannelValues, "name"))
+            .then(() => {
+                sharedB.shareVariable(name, "name");
+                expect(name.value).to.equal("");
+                expect(peerB.valueOf("name")).to.equal("");
+            });
+    });
+
+    it("should take the shared value when it was bound", () => {
+        peerA.setValue("level", "3");
+        const level = {value: "1"};
+        return waitFor(() => peerB.valueOf("level") === "3")
+            .then(() => {
+                sharedB.shareVariable(level, "level");
+                expect(level.value).to.equal("3");
+            });
+    });
+
+    it("should send the changes of the list as the list operations", () => {
+        const listA = {value: ["a", "b", "c"]};
+        const listB = {value: []};
+        sharedA.shareList(listA, "words");
+        sharedB.shareList(listB, "words");
+        return waitFor(() => listB.value.length === 3)
+            .then(() => {
+                listA.value = ["a", "x", "c", "d"];
+                return waitFor(() => listB.value.join() === "a,x,c,d");
+            })
+            .then(() => {
+                listB.value = ["c", "d"];
+                return waitFor(() => listA.value.join() === "c,d");
+            })
+            .then(() => {
+                expect(peerA.listItems("words")).to.deep.equal(["c", "d"]);
+                expect(listB._monitorUpToDate).to.equal(false);
+            });
+    });
+
+    it("should not write the value after stopped sharing", () => {
+        const score = {value: 0};
+        sharedB.shareVariable(score, "score");
+        sharedB.stopSharing("score");
+        // Set after the value from B arrived, so that it is newer on both peers.
+        return waitFor(() => peerA.valueOf("score") === 0)
+            .then(() => {
+                peerA.setValue("score", 9);
+                return waitFor(() => peerB.valueOf("score") === 9);
+            })
+            .then(() => {
+                expect(score.value).to.equal(0);
+            });
+    });
+
+    it("should unbind all the variables and stop checking them", () => {
+        const score = {value: 0};
+        const items = {value: ["a"]};
+        sharedB.shareVariable(score, "score");
+        sharedB.shareList(items, "items");
+        expect(sharedB._intervalId).to.not.equal(null);
+        sharedB.stopAll();
+        expect(sharedB.bindings.size).to.equal(0);
+        expect(sharedB._intervalId).to.equal(null);
+        score.value = 5;
+        return waitFor(() => peerA.valueOf("score") === 0)
+            .then(() => {
+                peerA.setValue("score", 9);
+                return waitFor(() => peerB.valueOf("score") === 9);
+            })
+            .then(() => {
+                expect(score.value).to.equal(5);
+                expect(peerB.valueOf("score")).to.equal(9);
+            });
+    });
+});
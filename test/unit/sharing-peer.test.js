@@ -0,0 +1,942 @@
+import { describe, it, before, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import SharingPeer from "../../src/vm/extensions/block/sharing-peer.js";
+import { registerSignalingChannel } from "../../src/vm/extensions/block/signaling-channels.js";
+import { installFakeWebRTC, MemorySignalingChannel, waitFor } from "./fake-webrtc.js";
+
+describe("SharingPeer", () => {
+    let peerA;
+    let peerB;
+    let peerC;
+
+    before(() => {
+        installFakeWebRTC();
+        registerSignalingChannel("memory", MemorySignalingChannel);
+    });
+
+    beforeEach(() => {
+        MemorySignalingChannel.reset();
+        peerA = new SharingPeer();
+        peerB = new SharingPeer();
+        peerC = new SharingPeer();
+        [peerA, peerB, peerC].forEach(peer => peer.setSignalingChannel("memory"));
+    });
+
+    afterEach(() => {
+        const peers = [peerA, peerB, peerC];
+        peers.forEach(peer => peer.disconnectPeer());
+        return Promise.all(peers.map(peer => peer.stopNegotiation()));
+    });
+
+    const remoteOf = (peer, other) => peer.remotePeers.get(other.peerId);
+
+    const expectSharing = () => {
+        peerA.setValue("score", "10");
+        return waitFor(() => peerB.valueOf("score") === "10");
+    };
+
+    const joinBoth = () => Promise.all([
+        peerA.startSignaling("room"),
+        peerB.startSignaling("room")
+    ])
+        .then(() => waitFor(() => peerA.peerIds().length === 1 && peerB.peerIds().length === 1));
+
+    it("should connect the peer which joins later", () => {
+        const joining = peerA.startSignaling("room");
+        return waitFor(() => peerA.signalingState === "joining")
+            .then(() => peerB.startSignaling("room"))
+            .then(() => joining)
+            .then(() => {
+                expect(peerA.isConnected()).to.equal(true);
+                expect(peerB.isConnected()).to.equal(true);
+                return expectSharing();
+            });
+    });
+
+    it("should converge on one connection when both peers join at the same time", () => {
+        return joinBoth()
+            .then(() => {
+                const connectionA = remoteOf(peerA, peerB).peerConnection;
+                const connectionB = remoteOf(peerB, peerA).peerConnection;
+                expect(connectionA.remoteDescription.sdp.split(":")[0]).to.equal(connectionB.token);
+                expect(connectionB.remoteDescription.sdp.split(":")[0]).to.equal(connectionA.token);
+                return expectSharing();
+            });
+    });
+
+    it("should roll back the offer of the polite peer only", () => {
+        return joinBoth()
+            .then(() => {
+                const polite = remoteOf(peerA, peerB).isPolite() ? peerA : peerB;
+                const impolite = polite === peerA ? peerB : peerA;
+                expect(remoteOf(polite, impolite).peerConnection.localDescription.type).to.equal("answer");
+                expect(remoteOf(impolite, polite).peerConnection.localDescription.type).to.equal("offer");
+            });
+    });
+
+    it("should decide the polite peer consistently", () => {
+        return joinBoth()
+            .then(() => {
+                expect(remoteOf(peerA, peerB).isPolite()).to.not.equal(remoteOf(peerB, peerA).isPolite());
+            });
+    });
+
+    it("should keep the types of the values and the event data", () => {
+        return joinBoth()
+            .then(() => {
+                peerA.setValue("level", {name: "cave", enemies: [3, 5]});
+                peerA.setValue("ready", true);
+                peerA.sendEvent("move", {x: 10, y: -5});
+                return waitFor(() => peerB.valueOf("ready") === true && peerB.lastEventType() === "move");
+            })
+            .then(() => {
+                expect(peerB.valueOf("level")).to.deep.equal({name: "cave", enemies: [3, 5]});
+                expect(peerB.lastEventData()).to.deep.equal({x: 10, y: -5});
+            });
+    });
+
+    it("should tell the changes of the values with the previous value and the peer", () => {
+        const changes = [];
+        peerB.addEventListener("valueChanged", event => changes.push(event.detail));
+        return joinBoth()
+            .then(() => {
+                peerB.setValue("score", 1);
+                peerB.setValue("score", 1);
+                return waitFor(() => peerA.valueOf("score") === 1);
+            })
+            .then(() => {
+                peerA.setValue("score", 5);
+                return waitFor(() => peerB.valueOf("score") === 5);
+            })
+            .then(() => {
+                peerB.changeValue("score", 2);
+                expect(changes).to.deep.equal([
+                    {key: "score", value: 1, previous: "", from: peerB.peerId},
+                    {key: "score", value: 5, previous: 1, from: peerA.peerId},
+                    {key: "score", value: 7, previous: 5, from: peerB.peerId}
+                ]);
+            });
+    });
+
+    it("should keep the events in the queue until they are taken", () => {
+        peerB.maxEventQueueLength = 3;
+        return joinBoth()
+            .then(() => {
+                ["a", "b", "c", "d"].forEach(type => peerA.sendEvent(type, type.toUpperCase()));
+                return waitFor(() => peerB.lastEventType() === "d");
+            })
+            .then(() => {
+                expect(peerB.eventQueue.map(event => event.type)).to.deep.equal(["b", "c", "d"]);
+                expect(peerB.nextEvent()).to.deep.equal({type: "b", data: "B", from: peerA.peerId});
+                expect(peerB.eventQueue.length).to.equal(2);
+                expect(peerA.nextEvent().type).to.equal("a");
+                peerB.nextEvent();
+                peerB.nextEvent();
+                expect(peerB.nextEvent()).to.equal(null);
+            });
+    });
+
+    describe("initial sync", () => {
+        it("should send the values which were set before connected", () => {
+            peerA.setValue("score", "10");
+            peerB.setValue("level", "2");
+            return joinBoth()
+                .then(() => waitFor(() => peerB.valueOf("score") === "10" && peerA.valueOf("level") === "2"));
+        });
+
+        it("should take the newer value of the same key on both peers", () => {
+            peerA.setValue("level", "1");
+            peerB.setValue("level", "2");
+            peerB.valueVersions.level.time = peerA.valueVersions.level.time + 1;
+            return joinBoth()
+                .then(() => waitFor(() => peerA.valueOf("level") === "2"))
+                .then(() => {
+                    expect(peerB.valueOf("level")).to.equal("2");
+                    expect(peerA.valueVersions.level).to.deep.equal(peerB.valueVersions.level);
+                });
+        });
+
+        it("should send the values of the room to the client which joins later", () => {
+            return peerA.hostRoom("room")
+                .then(() => peerB.startSignaling("room"))
+                .then(() => {
+                    peerB.setValue("score", "5");
+                    peerC.setValue("name", "C");
+                    return waitFor(() => peerA.valueOf("score") === "5");
+                })
+                .then(() => peerC.startSignaling("room"))
+                .then(() => waitFor(() => peerC.valueOf("score") === "5" && peerB.valueOf("name") === "C"));
+        });
+    });
+
+    describe("conflict resolution", () => {
+        it("should converge on the same value when both peers set it at the same time", () => {
+            return joinBoth()
+                .then(() => {
+                    peerA.setValue("level", "1");
+                    peerB.setValue("level", "2");
+                    const winner = peerA.valueVersions.level.time === peerB.valueVersions.level.time ?
+                        (peerA.peerId > peerB.peerId ? "1" : "2") :
+                        (peerA.valueVersions.level.time > peerB.valueVersions.level.time ? "1" : "2");
+                    return waitFor(() => peerA.valueOf("level") === winner && peerB.valueOf("level") === winner);
+                })
+                .then(() => {
+                    expect(peerA.valueVersions.level).to.deep.equal(peerB.valueVersions.level);
+                });
+        });
+
+        it("should take the value which was set after the received one even if the clock is behind", () => {
+            return joinBoth()
+                .then(() => {
+                    peerA._clock = Date.now() + 60000;
+                    peerA.setValue("turn", "A");
+                    return waitFor(() => peerB.valueOf("turn") === "A");
+                })
+                .then(() => {
+                    peerB.setValue("turn", "B");
+                    return waitFor(() => peerA.valueOf("turn") === "B");
+                })
+                .then(() => {
+                    expect(peerB.valueOf("turn")).to.equal("B");
+                });
+        });
+
+        it("should add up the changes of the counter by both peers", () => {
+            return joinBoth()
+                .then(() => {
+                    peerA.changeValue("score", 1);
+                    peerB.changeValue("score", 2);
+                    peerB.changeValue("score", -1);
+                    return waitFor(() => peerA.valueOf("score") === 2 && peerB.valueOf("score") === 2);
+                })
+                .then(() => {
+                    peerA.setValue("score", "10");
+                    return waitFor(() => peerB.valueOf("score") === "10");
+                })
+                .then(() => {
+                    peerA.changeValue("score", 5);
+                    peerB.changeValue("score", 5);
+                    return waitFor(() => peerA.valueOf("score") === 20 && peerB.valueOf("score") === 20);
+                });
+        });
+
+        it("should merge the counters which were changed before connected", () => {
+            peerA.changeValue("score", 3);
+            peerB.changeValue("score", 4);
+            return joinBoth()
+                .then(() => waitFor(() => peerA.valueOf("score") === 7 && peerB.valueOf("score") === 7));
+        });
+    });
+
+    describe("shared list", () => {
+        it("should merge the items added by both peers", () => {
+            return joinBoth()
+                .then(() => {
+                    peerA.addToList("words", "apple");
+                    peerB.addToList("words", "banana");
+                    return waitFor(() => peerA.listItems("words").length === 2 &&
+                        peerB.listItems("words").length === 2);
+                })
+                .then(() => {
+                    expect(peerA.listItems("words")).to.deep.equal(peerB.listItems("words"));
+                    peerB.replaceOfList("words", 0, "cherry");
+                    peerA.deleteOfList("words", 1);
+                    return waitFor(() => peerA.listItems("words").length === 1 &&
+                        peerB.listItems("words").length === 1 &&
+                        peerA.listItems("words")[0] === peerB.listItems("words")[0]);
+                });
+        });
+
+        it("should send the list which was edited before connected", () => {
+            peerA.addToList("log", "hello");
+            peerB.addToList("log", "hi");
+            return joinBoth()
+                .then(() => waitFor(() => peerA.listItems("log").length === 2 &&
+                    peerB.listItems("log").length === 2))
+                .then(() => {
+                    expect(peerA.listItems("log")).to.deep.equal(peerB.listItems("log"));
+                });
+        });
+
+        it("should relay the list through the host", () => {
+            return peerA.hostRoom("room")
+                .then(() => Promise.all([peerB.startSignaling("room"), peerC.startSignaling("room")]))
+                .then(() => waitFor(() => peerA.peerIds().length === 2))
+                .then(() => {
+                    peerB.addToList("chat", "hello");
+                    return waitFor(() => peerC.listItems("chat")[0] === "hello");
+                });
+        });
+    });
+
+    describe("mesh", () => {
+        const joinAll = () => Promise.all([peerA, peerB, peerC].map(peer => peer.startSignaling("room")))
+            .then(() => waitFor(() => [peerA, peerB, peerC].every(peer => peer.peerIds().length === 2)));
+
+        it("should connect all the peers in the room", () => {
+            return joinAll()
+                .then(() => {
+                    expect(peerA.peerIds()).to.have.members([peerB.peerId, peerC.peerId]);
+                    expect(peerB.peerIds()).to.have.members([peerA.peerId, peerC.peerId]);
+                    expect(peerC.peerIds()).to.have.members([peerA.peerId, peerB.peerId]);
+                });
+        });
+
+        it("should send values and events to all the peers", () => {
+            const received = [];
+            [peerB, peerC].forEach(peer => {
+                peer.addEventListener("sharedEvent", event => received.push(event.detail.type));
+            });
+            return joinAll()
+                .then(() => {
+                    peerA.setValue("score", "10");
+                    peerA.sendEvent("start", "");
+                    return waitFor(() => peerB.valueOf("score") === "10" &&
+                        peerC.valueOf("score") === "10" && received.length === 2);
+                })
+                .then(() => {
+                    expect(received).to.deep.equal(["start", "start"]);
+                });
+        });
+
+        it("should announce the names of the peers", () => {
+            const joined = [];
+            peerA.addEventListener("peerJoined", event => joined.push(event.detail));
+            peerB.peerName = "Bob";
+            peerC.peerName = "Carol";
+            return joinAll()
+                .then(() => waitFor(() => peerA.roster.size === 2))
+                .then(() => {
+                    expect(joined).to.have.members([peerB.peerId, peerC.peerId]);
+                    expect(peerA.nameOf(peerB.peerId)).to.equal("Bob");
+                    expect(peerA.nameOf(peerC.peerId)).to.equal("Carol");
+                    peerB.setPeerName("Bobby");
+                    return waitFor(() => peerC.nameOf(peerB.peerId) === "Bobby");
+                })
+                .then(() => {
+                    expect(joined).to.have.lengthOf(2);
+                });
+        });
+
+        it("should keep the other peers connected when a peer left", () => {
+            const left = [];
+            peerA.addEventListener("peerLeft", event => left.push(event.detail));
+            return joinAll()
+                .then(() => {
+                    peerC.disconnectPeer();
+                    return waitFor(() => peerA.peerIds().length === 1 && peerB.peerIds().length === 1);
+                })
+                .then(() => {
+                    expect(left).to.deep.equal([peerC.peerId]);
+                    expect(peerA.isReconnecting()).to.equal(false);
+                    return expectSharing();
+                });
+        });
+    });
+
+    describe("host", () => {
+        const hostAndJoin = () => peerA.hostRoom("room")
+            .then(() => Promise.all([peerB.startSignaling("room"), peerC.startSignaling("room")]))
+            .then(() => waitFor(() => peerA.peerIds().length === 2));
+
+        it("should connect the clients only to the host", () => {
+            return hostAndJoin()
+                .then(() => {
+                    expect(peerA.peerIds()).to.have.members([peerB.peerId, peerC.peerId]);
+                    expect(peerB.peerIds()).to.deep.equal([peerA.peerId]);
+                    expect(peerC.peerIds()).to.deep.equal([peerA.peerId]);
+                    expect(peerB.hostId).to.equal(peerA.peerId);
+                });
+        });
+
+        it("should keep the first host while it is connected", () => {
+            const claim = type => ({data: {type: type, from: "intruder", host: true, joinedAt: 1, sdp: "x"}});
+            return hostAndJoin()
+                .then(() => {
+                    peerB.handleSignalingMessage(claim("join"));
+                    peerB.handleSignalingMessage(claim("offer"));
+                    expect(peerB.hostId).to.equal(peerA.peerId);
+                    expect(peerB.peerIds()).to.deep.equal([peerA.peerId]);
+                    peerA.disconnectPeer();
+                    return waitFor(() => peerB.peerIds().length === 0);
+                })
+                .then(() => {
+                    peerB.handleSignalingMessage(claim("join"));
+                    expect(peerB.hostId).to.equal("intruder");
+                });
+        });
+
+        it("should stop signaling of the clients once they are connected to the host", () => {
+            return hostAndJoin()
+                .then(() => waitFor(() => !peerB.signalingChannel._listening && !peerC.signalingChannel._listening))
+                .then(() => {
+                    expect(peerA.signalingChannel._listening).to.equal(true);
+                    expect(peerB.signalingState).to.equal("joined");
+                    return peerB.startSignaling("room");
+                })
+                .then(() => {
+                    expect(peerB.signalingChannel._listening).to.equal(false);
+                    // The host still connects the client which joins later.
+                    const peerD = new SharingPeer();
+                    peerD.setSignalingChannel("memory");
+                    return peerD.startSignaling("room")
+                        .then(() => waitFor(() => peerA.peerIds().length === 3))
+                        .then(() => {
+                            expect(peerD.peerIds()).to.deep.equal([peerA.peerId]);
+                            expect(peerB.peerIds()).to.deep.equal([peerA.peerId]);
+                            peerD.disconnectPeer();
+                        });
+                });
+        });
+
+        it("should close the connections between the clients when the host joined", () => {
+            return Promise.all([peerB.startSignaling("room"), peerC.startSignaling("room")])
+                .then(() => peerA.hostRoom("room"))
+                .then(() => waitFor(() => peerA.peerIds().length === 2 &&
+                    peerB.peerIds().length === 1 && peerC.peerIds().length === 1))
+                .then(() => {
+                    expect(peerB.peerIds()).to.deep.equal([peerA.peerId]);
+                    expect(peerC.peerIds()).to.deep.equal([peerA.peerId]);
+                });
+        });
+
+        it("should relay values and events between the clients", () => {
+            const received = [];
+            peerC.addEventListener("sharedEvent", event => received.push(event.detail.type));
+            return hostAndJoin()
+                .then(() => {
+                    peerB.setValue("answer", "3");
+                    peerB.sendEvent("buzz", "");
+                    return waitFor(() => peerC.valueOf("answer") === "3" && received.length === 1);
+                })
+                .then(() => {
+                    expect(peerA.valueOf("answer")).to.equal("3");
+                    expect(received).to.deep.equal(["buzz"]);
+                });
+        });
+
+        it("should tell the clients about each other", () => {
+            const left = [];
+            peerB.addEventListener("peerLeft", event => left.push(event.detail));
+            peerC.peerName = "Carol";
+            return hostAndJoin()
+                .then(() => waitFor(() => peerB.roster.size === 2 && peerC.roster.size === 2))
+                .then(() => {
+                    expect(peerB.rosterIds()).to.have.members([peerA.peerId, peerC.peerId]);
+                    expect(peerB.nameOf(peerC.peerId)).to.equal("Carol");
+                    peerC.disconnectPeer();
+                    return waitFor(() => peerB.roster.size === 1);
+                })
+                .then(() => {
+                    expect(left).to.deep.equal([peerC.peerId]);
+                });
+        });
+
+        it("should tell the sender of the relayed event", () => {
+            return hostAndJoin()
+                .then(() => {
+                    peerB.sendEvent("buzz", "");
+                    return waitFor(() => peerC.lastEventType() === "buzz");
+                })
+                .then(() => {
+                    expect(peerC.lastEventSender()).to.equal(peerB.peerId);
+                    expect(peerA.lastEventSender()).to.equal(peerB.peerId);
+                });
+        });
+
+        it("should relay the states of the sprites with the sender", () => {
+            const received = [];
+            peerC.addEventListener("spriteState", event => received.push(event.detail));
+            return hostAndJoin()
+                .then(() => {
+                    peerB.sendSpriteState("Cat", {x: 10, y: 20});
+                    return waitFor(() => received.length === 1);
+                })
+                .then(() => {
+                    expect(received[0]).to.deep.equal({sprite: "Cat", state: {x: 10, y: 20}, from: peerB.peerId});
+                });
+        });
+
+        it("should relay the assets with the sender", () => {
+            const received = [];
+            peerC.addEventListener("assetReceived", event => received.push(event.detail));
+            const bytes = Uint8Array.from({length: 40000}, (v, i) => i % 251);
+            return hostAndJoin()
+                .then(() => {
+                    peerB.sendAsset({kind: "sound", name: "meow", dataFormat: "wav"}, bytes);
+                    return waitFor(() => received.length === 1);
+                })
+                .then(() => {
+                    expect(received[0].name).to.equal("meow");
+                    expect(received[0].from).to.equal(peerB.peerId);
+                    expect(received[0].bytes).to.deep.equal(bytes);
+                });
+        });
+
+        it("should drop the messages rejected by the filter", () => {
+            peerA.relayFilter = message => (message.content.key === "cheat" ? null : message);
+            return hostAndJoin()
+                .then(() => {
+                    peerB.setValue("cheat", "1");
+                    peerB.setValue("answer", "2");
+                    return waitFor(() => peerC.valueOf("answer") === "2");
+                })
+                .then(() => {
+                    expect(peerA.valueOf("cheat")).to.equal("");
+                    expect(peerC.valueOf("cheat")).to.equal("");
+                    expect(peerA.valueOf("answer")).to.equal("2");
+                });
+        });
+
+        it("should keep the order of the messages which wait for the filter", () => {
+            const changed = [];
+            peerC.addEventListener("valueChanged", event => changed.push(event.detail.key));
+            peerA.relayFilter = message => new Promise(resolve => {
+                const delay = message.content.key === "first" ? 20 : 0;
+                setTimeout(() => resolve(message.content.key === "cheat" ? null : message), delay);
+            });
+            return hostAndJoin()
+                .then(() => {
+                    peerB.setValue("first", "1");
+                    peerB.setValue("cheat", "2");
+                    peerB.setValue("second", "3");
+                    return waitFor(() => peerC.valueOf("second") === "3");
+                })
+                .then(() => {
+                    expect(changed).to.deep.equal(["first", "second"]);
+                    expect(peerA.valueOf("cheat")).to.equal("");
+                    expect(peerA._relayQueues.size).to.equal(0);
+                });
+        });
+
+        it("should drop the messages over the limit while the others wait for the filter", () => {
+            const filtered = [];
+            peerA.maxRelayWaiting = 2;
+            peerA.relayFilter = message => new Promise(resolve => {
+                filtered.push(message.content.key);
+                setTimeout(() => resolve(message), 20);
+            });
+            return hostAndJoin()
+                .then(() => {
+                    ["first", "second", "third"].forEach(key => peerB.setValue(key, "1"));
+                    return waitFor(() => peerC.valueOf("second") === "1");
+                })
+                .then(() => {
+                    expect(filtered).to.deep.equal(["first", "second"]);
+                    expect(peerC.valueOf("third")).to.equal("");
+                    expect(peerA._relayWaiting.size).to.equal(0);
+                });
+        });
+
+        it("should pass the message when the filter failed", () => {
+            peerA.relayFilter = message => {
+                if (message.content.key === "thrown") throw new Error("broken filter");
+                return Promise.reject(new Error("broken filter"));
+            };
+            return hostAndJoin()
+                .then(() => {
+                    peerB.setValue("thrown", "1");
+                    peerB.setValue("rejected", "2");
+                    return waitFor(() => peerC.valueOf("rejected") === "2");
+                })
+                .then(() => {
+                    expect(peerC.valueOf("thrown")).to.equal("1");
+                    expect(peerA._relayQueues.size).to.equal(0);
+                });
+        });
+
+        it("should not relay values when it was turned off", () => {
+            peerA.relayValues = false;
+            return hostAndJoin()
+                .then(() => {
+                    peerB.setValue("answer", "1");
+                    peerB.sendEvent("done", "");
+                    return waitFor(() => peerA.valueOf("answer") === "1" && peerC.lastEventType() === "done");
+                })
+                .then(() => {
+                    expect(peerC.valueOf("answer")).to.equal("");
+                });
+        });
+    });
+
+    describe("unreliable channel", () => {
+        const countSent = channel => {
+            const sent = [];
+            const send = channel.send.bind(channel);
+            channel.send = data => {
+                sent.push(JSON.parse(data));
+                send(data);
+            };
+            return sent;
+        };
+
+        it("should send only the latest value in an interval and settle it reliably", () => {
+            peerA.unreliableValues = true;
+            let unreliable;
+            let reliable;
+            return joinBoth()
+                .then(() => {
+                    const remotePeer = remoteOf(peerA, peerB);
+                    unreliable = countSent(remotePeer.unreliableChannel);
+                    reliable = countSent(remotePeer.dataChannel);
+                    [1, 2, 3, 4, 5].forEach(x => peerA.setValue("x", x));
+                    return waitFor(() => peerB.valueOf("x") === 5);
+                })
+                .then(() => {
+                    expect(unreliable.map(message => message.content.value)).to.deep.equal([5]);
+                    expect(reliable).to.deep.equal([]);
+                    return waitFor(() => reliable.length === 1);
+                })
+                .then(() => {
+                    expect(reliable[0].content.value).to.equal(5);
+                    expect(peerB.valueOf("x")).to.equal(5);
+                });
+        });
+
+        it("should send the latest event of each type unreliably", () => {
+            peerA.unreliableEvents = true;
+            const received = [];
+            peerB.addEventListener("sharedEvent", event => received.push(event.detail.data));
+            return joinBoth()
+                .then(() => {
+                    peerA.sendEvent("move", 1);
+                    peerA.sendEvent("jump", "");
+                    peerA.sendEvent("move", 2);
+                    return waitFor(() => received.length === 2);
+                })
+                .then(() => {
+                    expect(received).to.deep.equal(["", 2]);
+                    expect(peerA.eventQueue.length).to.equal(3);
+                });
+        });
+
+        it("should relay on the unreliable channel through the host", () => {
+            let relayed;
+            return peerA.hostRoom("room")
+                .then(() => Promise.all([peerB.startSignaling("room"), peerC.startSignaling("room")]))
+                .then(() => waitFor(() => peerA.peerIds().length === 2))
+                .then(() => {
+                    relayed = countSent(remoteOf(peerA, peerC).unreliableChannel);
+                    peerB.unreliableValues = true;
+                    peerB.setValue("x", 1);
+                    return waitFor(() => peerC.valueOf("x") === 1);
+                })
+                .then(() => {
+                    expect(relayed.length).to.equal(1);
+                    expect(relayed[0].from).to.equal(peerB.peerId);
+                });
+        });
+    });
+
+    describe("large messages", () => {
+        it("should send a long message as the frames of its UTF-8 bytes and join them", () => {
+            const text = "あいうえお".repeat(10000);
+            let frames = 0;
+            return joinBoth()
+                .then(() => {
+                    const dataChannel = remoteOf(peerA, peerB).dataChannel;
+                    const send = dataChannel.send.bind(dataChannel);
+                    dataChannel.send = data => {
+                        if (typeof data === "string") {
+                            expect(new TextEncoder().encode(data).length).to.be.at.most(16 * 1024);
+                        } else {
+                            frames++;
+                            expect(data.byteLength).to.be.at.most((16 * 1024) + 4);
+                        }
+                        send(data);
+                    };
+                    peerA.setValue("level", {text: text});
+                    return waitFor(() => peerB.valueOf("level") !== "");
+                })
+                .then(() => {
+                    // 150000 bytes of the text in UTF-8, not 50000 characters
+                    expect(frames).to.equal(10);
+                    expect(peerB.valueOf("level").text).to.equal(text);
+                    expect(remoteOf(peerB, peerA)._receivingBinaries.size).to.equal(0);
+                });
+        });
+
+        it("should send a message which is short in characters but long in bytes on the reliable channel", () => {
+            const text = "あ".repeat(8000);
+            const received = [];
+            let unreliable = 0;
+            let frames = 0;
+            peerA.unreliableEvents = true;
+            peerB.addEventListener("sharedEvent", event => received.push(event.detail.data));
+            return joinBoth()
+                .then(() => {
+                    const remotePeer = remoteOf(peerA, peerB);
+                    const sendUnreliable = remotePeer.unreliableChannel.send.bind(remotePeer.unreliableChannel);
+                    remotePeer.unreliableChannel.send = data => {
+                        unreliable++;
+                        sendUnreliable(data);
+                    };
+                    const send = remotePeer.dataChannel.send.bind(remotePeer.dataChannel);
+                    remotePeer.dataChannel.send = data => {
+                        if (typeof data !== "string") frames++;
+                        send(data);
+                    };
+                    peerA.sendEvent("say", text);
+                    return waitFor(() => received.length === 1);
+                })
+                .then(() => {
+                    expect(received[0]).to.equal(text);
+                    expect(unreliable).to.equal(0);
+                    expect(frames).to.equal(2);
+                });
+        });
+
+        it("should wait while the buffer of the data channel is full", () => {
+            const received = [];
+            peerB.addEventListener("sharedEvent", event => received.push(event.detail.data));
+            return joinBoth()
+                .then(() => {
+                    remoteOf(peerA, peerB).maxBufferedAmount = 200;
+                    for (let i = 0; i < 20; i++) {
+                        peerA.sendEvent("tick", i);
+                    }
+                    expect(peerA.sendQueueSize()).to.be.above(0);
+                    expect(remoteOf(peerA, peerB).dataChannel.bufferedAmount).to.be.at.most(300);
+                    return waitFor(() => received.length === 20);
+                })
+                .then(() => {
+                    expect(received).to.deep.equal(Array.from({length: 20}, (v, i) => i));
+                    expect(peerA.sendQueueSize()).to.equal(0);
+                });
+        });
+    });
+
+    describe("assets", () => {
+        it("should send the asset as binary frames after the message", () => {
+            const received = [];
+            peerB.addEventListener("assetReceived", event => received.push(event.detail));
+            const bytes = Uint8Array.from({length: 50000}, (v, i) => i % 256);
+            let frames = 0;
+            return joinBoth()
+                .then(() => {
+                    const dataChannel = remoteOf(peerA, peerB).dataChannel;
+                    const send = dataChannel.send.bind(dataChannel);
+                    dataChannel.send = data => {
+                        if (typeof data === "string") {
+                            expect(data.length).to.be.below(1024);
+                        } else {
+                            frames++;
+                            expect(data.byteLength).to.be.at.most((16 * 1024) + 4);
+                        }
+                        send(data);
+                    };
+                    const sent = peerA.sendAsset({
+                        kind: "costume",
+                        name: "drawing",
+                        dataFormat: "png",
+                        bitmapResolution: 2
+                    }, bytes);
+                    expect(sent).to.equal(1);
+                    return waitFor(() => received.length === 1);
+                })
+                .then(() => {
+                    expect(frames).to.equal(4);
+                    expect(received[0].kind).to.equal("costume");
+                    expect(received[0].name).to.equal("drawing");
+                    expect(received[0].bitmapResolution).to.equal(2);
+                    expect(received[0].from).to.equal(peerA.peerId);
+                    expect(received[0].bytes).to.deep.equal(bytes);
+                    expect(remoteOf(peerB, peerA)._receivingBinaries.size).to.equal(0);
+                });
+        });
+
+        it("should send the sprite file with the progress on both sides", () => {
+            const sending = [];
+            const receiving = [];
+            const received = [];
+            peerA.addEventListener("spriteProgress", event => sending.push(event.detail));
+            peerB.addEventListener("spriteProgress", event => receiving.push(event.detail));
+            peerB.addEventListener("spriteReceived", event => received.push(event.detail));
+            const bytes = Uint8Array.from({length: 40000}, (v, i) => i % 7);
+            return joinBoth()
+                .then(() => {
+                    expect(peerA.sendSprite("Cat", bytes)).to.equal(1);
+                    return waitFor(() => received.length === 1);
+                })
+                .then(() => {
+                    expect(received[0].sprite).to.equal("Cat");
+                    expect(received[0].from).to.equal(peerA.peerId);
+                    expect(received[0].bytes).to.deep.equal(bytes);
+                    expect(sending.map(progress => progress.loaded)).to.deep.equal([16384, 32768, 40000]);
+                    expect(sending[0].peer).to.equal(peerB.peerId);
+                    expect(sending[0].direction).to.equal("sending");
+                    expect(receiving.map(progress => progress.loaded)).to.deep.equal([16384, 32768, 40000]);
+                    expect(receiving[2]).to.deep.equal({
+                        sprite: "Cat",
+                        peer: peerA.peerId,
+                        direction: "receiving",
+                        loaded: 40000,
+                        total: 40000
+                    });
+                    expect(remoteOf(peerA, peerB)._sendingBinaries.size).to.equal(0);
+                });
+        });
+
+        it("should drop the data which is larger than declared or than the limit", () => {
+            const received = [];
+            peerB.addEventListener("assetReceived", event => received.push(event.detail.name));
+            const bytes = new Uint8Array(50000);
+            return joinBoth()
+                .then(() => {
+                    const dataChannel = remoteOf(peerA, peerB).dataChannel;
+                    const send = dataChannel.send.bind(dataChannel);
+                    dataChannel.send = data => {
+                        const message = typeof data === "string" ? JSON.parse(data) : null;
+                        if (message && message.binary && message.content.name === "liar") {
+                            message.binary.size = 10;
+                            data = JSON.stringify(message);
+                        }
+                        send(data);
+                    };
+                    remoteOf(peerB, peerA).maxBinarySize = 60000;
+                    peerA.sendAsset({kind: "costume", name: "liar", dataFormat: "png"}, bytes);
+                    peerA.sendAsset({kind: "costume", name: "huge", dataFormat: "png"}, new Uint8Array(70000));
+                    peerA.sendAsset({kind: "costume", name: "honest", dataFormat: "png"}, bytes);
+                    return waitFor(() => received.length === 1);
+                })
+                .then(() => {
+                    expect(received).to.deep.equal(["honest"]);
+                    expect(remoteOf(peerB, peerA)._receivingBinaries.size).to.equal(0);
+                });
+        });
+
+        it("should send empty data", () => {
+            const received = [];
+            peerB.addEventListener("assetReceived", event => received.push(event.detail));
+            return joinBoth()
+                .then(() => {
+                    peerA.sendAsset({kind: "sound", name: "silence", dataFormat: "wav"}, new Uint8Array(0));
+                    return waitFor(() => received.length === 1);
+                })
+                .then(() => {
+                    expect(received[0].bytes.length).to.equal(0);
+                });
+        });
+    });
+
+    describe("ask", () => {
+        const answerWith = (peer, answer) => {
+            peer.addEventListener("requestReceived", event => {
+                peer.reply(event.detail, answer(event.detail));
+            });
+        };
+
+        it("should resolve with the reply of the peer", () => {
+            answerWith(peerB, request => request.data * 2);
+            const received = [];
+            peerB.addEventListener("sharedEvent", event => received.push(event.detail));
+            return joinBoth()
+                .then(() => Promise.all([peerA.ask("double", 3, 1000), peerA.ask("double", 5, 1000)]))
+                .then(replies => {
+                    expect(replies).to.deep.equal([6, 10]);
+                    expect(received).to.deep.equal([]);
+                    expect(peerA._pendingRequests.size).to.equal(0);
+                });
+        });
+
+        it("should reject when no peer replied in time", () => {
+            return joinBoth()
+                .then(() => peerA.ask("anyone", "", 50))
+                .then(() => {
+                    throw new Error("should not be replied");
+                }, err => {
+                    expect(err.message).to.equal("No reply in time: anyone");
+                    expect(peerA._pendingRequests.size).to.equal(0);
+                });
+        });
+
+        it("should pass the question and the reply between the clients through the host", () => {
+            answerWith(peerC, request => `${request.from} asked ${request.type}`);
+            return peerA.hostRoom("room")
+                .then(() => Promise.all([peerB.startSignaling("room"), peerC.startSignaling("room")]))
+                .then(() => waitFor(() => peerA.peerIds().length === 2))
+                .then(() => peerB.ask("who", "", 1000))
+                .then(reply => {
+                    expect(reply).to.equal(`${peerB.peerId} asked who`);
+                });
+        });
+    });
+
+    describe("reconnection", () => {
+        const waitForReconnected = peer => new Promise(resolve => {
+            peer.addEventListener("reconnected", resolve, {once: true});
+        });
+
+        const failBoth = () => {
+            remoteOf(peerA, peerB).peerConnection._setConnectionState("failed");
+            remoteOf(peerB, peerA).peerConnection._setConnectionState("failed");
+        };
+
+        beforeEach(() => {
+            [peerA, peerB].forEach(peer => {
+                peer.reconnectDelay = 10;
+                peer.iceRestartTimeoutDuration = 200;
+            });
+        });
+
+        it("should restart ICE on the same connection when it failed", () => {
+            let remotePeer;
+            return joinBoth()
+                .then(() => {
+                    remotePeer = remoteOf(peerA, peerB);
+                    const reconnected = Promise.all([waitForReconnected(peerA), waitForReconnected(peerB)]);
+                    failBoth();
+                    expect(peerA.isReconnecting(peerB.peerId)).to.equal(true);
+                    return reconnected;
+                })
+                .then(() => {
+                    expect(remoteOf(peerA, peerB)).to.equal(remotePeer);
+                    expect(remotePeer.peerConnection.restartedIce).to.equal(true);
+                    expect(peerA.isConnected()).to.equal(true);
+                    expect(peerB.isConnected()).to.equal(true);
+                    return expectSharing();
+                });
+        });
+
+        it("should make a new connection when ICE restart failed", () => {
+            let remotePeer;
+            return joinBoth()
+                .then(() => {
+                    remotePeer = remoteOf(peerA, peerB);
+                    remotePeer.peerConnection.blockIceRestart = true;
+                    remoteOf(peerB, peerA).peerConnection.blockIceRestart = true;
+                    const reconnected = Promise.all([waitForReconnected(peerA), waitForReconnected(peerB)]);
+                    failBoth();
+                    return reconnected;
+                })
+                .then(() => {
+                    expect(remoteOf(peerA, peerB)).to.not.equal(remotePeer);
+                    expect(peerA.isConnected()).to.equal(true);
+                    expect(peerB.isConnected()).to.equal(true);
+                    return expectSharing();
+                });
+        });
+
+        it("should send the values again after reconnected", () => {
+            return joinBoth()
+                .then(() => {
+                    peerA.dataChannelValues.level = "3";
+                    const reconnected = waitForReconnected(peerB);
+                    failBoth();
+                    return reconnected;
+                })
+                .then(() => waitFor(() => peerB.valueOf("level") === "3"));
+        });
+
+        it("should not reconnect when the peer disconnected intentionally", () => {
+            return joinBoth()
+                .then(() => {
+                    peerA.disconnectPeer();
+                    return waitFor(() => peerB.remotePeers.size === 0);
+                })
+                .then(() => {
+                    expect(peerB.isReconnecting()).to.equal(false);
+                });
+        });
+    });
+});
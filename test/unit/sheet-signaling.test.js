@@ -0,0 +1,161 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import SheetSignalingChannel from "../../src/vm/extensions/block/sheet-signaling-channel.js";
+
+describe("SheetSignalingChannel polling", () => {
+    let realSetTimeout;
+    let realClearTimeout;
+    let realFetch;
+    let timers;
+    let requests;
+    let responses;
+    let channel;
+
+    /**
+     * Run the poll which is scheduled as if its time elapsed.
+     * @returns {Promise} - resolves when the next poll was scheduled
+     */
+    const elapse = () => {
+        const timer = timers.find(each => !each.cleared && !each.fired);
+        expect(timer, "scheduled poll").to.exist;
+        timer.fired = true;
+        return timer.callback();
+    };
+
+    const pendingDelays = () => timers.filter(each => !each.cleared && !each.fired)
+        .map(each => each.delay);
+
+    beforeEach(() => {
+        timers = [];
+        requests = [];
+        responses = [];
+        let lastTimer = 0;
+        realSetTimeout = global.setTimeout;
+        realClearTimeout = global.clearTimeout;
+        realFetch = global.fetch;
+        global.setTimeout = (callback, delay) => {
+            const timer = {id: ++lastTimer, callback, delay, cleared: false, fired: false};
+            timers.push(timer);
+            return timer.id;
+        };
+        global.clearTimeout = id => {
+            const timer = timers.find(each => each.id === id);
+            if (timer) timer.cleared = true;
+        };
+        global.fetch = url => {
+            requests.push(url);
+            const rows = responses.shift() || [];
+            return Promise.resolve({
+                ok: true,
+                json: () => Promise.resolve(rows)
+            });
+        };
+        channel = new SheetSignalingChannel();
+        channel.id = "bob";
+        channel.serverUrl = "https://example.com/exec";
+        channel.received = [];
+        channel.addEventListener("message", event => channel.received.push(event.data));
+        channel.connect("room");
+    });
+
+    afterEach(() => {
+        channel.disconnect();
+        global.setTimeout = realSetTimeout;
+        global.clearTimeout = realClearTimeout;
+        global.fetch = realFetch;
+    });
+
+    it("should double the interval while no message comes and shorten it when one comes", () => {
+        channel.startAnswering();
+        expect(pendingDelays()).to.deep.equal([1000]);
+        return elapse()
+            .then(() => {
+                expect(pendingDelays()).to.deep.equal([2000]);
+                return elapse();
+            })
+            .then(() => elapse())
+            .then(() => elapse())
+            .then(() => {
+                expect(pendingDelays()).to.deep.equal([8000]);
+                return elapse();
+            })
+            .then(() => {
+                expect(pendingDelays()).to.deep.equal([8000]);
+                responses.push([{from: "alice", message: {type: "join", from: "alice"}, timestamp: 1000}]);
+                return elapse();
+            })
+            .then(() => {
+                expect(channel.received).to.deep.equal([{type: "join", from: "alice"}]);
+                expect(pendingDelays()).to.deep.equal([1000]);
+            });
+    });
+
+    it("should send the cursor and skip the messages to all which were received", () => {
+        channel.startAnswering();
+        responses.push([
+            {from: "alice", message: {type: "join", from: "alice"}, timestamp: "1970-01-01T00:00:01.000Z"},
+            {from: "alice", message: {type: "offer", from: "alice", to: "bob"}, timestamp: "1970-01-01T00:00:03.000Z"}
+        ]);
+        // A server which was deployed before the cursor returns the message to all again.
+        responses.push([
+            {from: "alice", message: {type: "join", from: "alice"}, timestamp: "1970-01-01T00:00:01.000Z"},
+            {from: "carol", message: {type: "join", from: "carol"}, timestamp: "1970-01-01T00:00:02.000Z"}
+        ]);
+        return elapse()
+            .then(() => {
+                expect(requests[0]).to.equal("https://example.com/exec?signalName=room&recipientId=bob&since=0");
+                expect(channel.received.map(message => message.type)).to.deep.equal(["join", "offer"]);
+                return elapse();
+            })
+            .then(() => {
+                // The time of the message to this end does not move the cursor.
+                expect(requests[1]).to.equal("https://example.com/exec?signalName=room&recipientId=bob&since=1000");
+                expect(channel.received.map(message => message.from)).to.deep.equal(["alice", "alice", "carol"]);
+                return elapse();
+            })
+            .then(() => {
+                expect(requests[2]).to.match(/&since=2000$/);
+                channel.disconnect();
+                channel.connect("room");
+                channel.startAnswering();
+                return elapse();
+            })
+            .then(() => {
+                expect(requests[3]).to.match(/&since=0$/);
+            });
+    });
+
+    it("should receive a message to all which was written later with the time stamp of the cursor", () => {
+        channel.startAnswering();
+        responses.push([
+            {from: "alice", message: {type: "join", from: "alice"}, timestamp: "1970-01-01T00:00:01.000Z"}
+        ]);
+        responses.push([
+            {from: "alice", message: {type: "join", from: "alice"}, timestamp: "1970-01-01T00:00:01.000Z"},
+            {from: "carol", message: {type: "join", from: "carol"}, timestamp: "1970-01-01T00:00:01.000Z"}
+        ]);
+        return elapse()
+            .then(() => elapse())
+            .then(() => {
+                expect(requests[1]).to.match(/&since=1000$/);
+                expect(channel.received.map(message => message.from)).to.deep.equal(["alice", "carol"]);
+            });
+    });
+
+    it("should not schedule the next poll after stopping", () => {
+        let resolveFetch;
+        global.fetch = url => {
+            requests.push(url);
+            return new Promise(resolve => {
+                resolveFetch = resolve;
+            });
+        };
+        channel.startAnswering();
+        const polling = elapse();
+        channel.stopNegotiation();
+        resolveFetch({ok: true, json: () => Promise.resolve([])});
+        return polling.then(() => {
+            expect(pendingDelays()).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,37 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import { encodeSignalCode, decodeSignalCode } from "../../src/vm/extensions/block/signal-code.js";
+
+describe("signal code", () => {
+    const offer = {
+        type: "offer",
+        sdp: "v=0\r\no=- 1 2 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n" +
+            "m=application 9 UDP/DTLS/SCTP webrtc-datachannel\r\n" +
+            "a=candidate:1 1 udp 2113937151 192.168.1.10 54321 typ host\r\n"
+    };
+
+    it("should decode the encoded description", () => {
+        return encodeSignalCode(offer)
+            .then(code => decodeSignalCode(code))
+            .then(decoded => {
+                expect(decoded).to.deep.equal(offer);
+            });
+    });
+
+    it("should ignore white spaces in the code", () => {
+        return encodeSignalCode(offer)
+            .then(code => decodeSignalCode(` ${code.slice(0, 10)}\n${code.slice(10)} `))
+            .then(decoded => {
+                expect(decoded).to.deep.equal(offer);
+            });
+    });
+
+    it("should reject an invalid code", () => {
+        return decodeSignalCode("xyz")
+            .then(() => {
+                throw new Error("resolved");
+            }, error => {
+                expect(error.message).to.match(/^Invalid code/);
+            });
+    });
+});
@@ -0,0 +1,191 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import SpriteMirror from "../../src/vm/extensions/block/sprite-mirror.js";
+import { loadProject, makeSprite } from "./scratch-project.js";
+
+const CAT_BLOCKS = {
+    cloneHat: {opcode: "control_start_as_clone", next: "setStarted", parent: null,
+        inputs: {}, fields: {}, shadow: false, topLevel: true, x: 0, y: 0},
+    setStarted: {opcode: "data_setvariableto", next: null, parent: "cloneHat",
+        inputs: {VALUE: [1, [10, "clone"]]}, fields: {VARIABLE: ["started", "startedId"]},
+        shadow: false, topLevel: false},
+    flagHat: {opcode: "event_whenflagclicked", next: "countRun", parent: null,
+        inputs: {}, fields: {}, shadow: false, topLevel: true, x: 0, y: 200},
+    countRun: {opcode: "data_changevariableby", next: null, parent: "flagHat",
+        inputs: {VALUE: [1, [4, "1"]]}, fields: {VARIABLE: ["runs", "runsId"]},
+        shadow: false, topLevel: false}
+};
+
+/**
+ * Renderer which records the drawables and accepts any other call.
+ * @returns {object} - the renderer
+ */
+const makeRenderer = () => {
+    const drawables = new Set();
+    let lastId = 0;
+    const methods = {
+        drawables: drawables,
+        createDrawable: () => {
+            drawables.add(++lastId);
+            return lastId;
+        },
+        destroyDrawable: id => drawables.delete(id),
+        setDrawableOrder: () => 1,
+        getFencedPositionOfDrawable: (id, position) => position,
+        getCurrentSkinSize: () => [100, 100]
+    };
+    return new Proxy(methods, {
+        get: (target, name) => (name in target ? target[name] : () => {})
+    });
+};
+
+const makePeer = () => {
+    const peer = new EventTarget();
+    peer.sent = [];
+    peer.sendSpriteState = (sprite, state) => {
+        peer.sent.push({sprite: sprite, state: JSON.parse(JSON.stringify(state))});
+        return 1;
+    };
+    peer.receive = (from, message) => {
+        peer.dispatchEvent(new CustomEvent("spriteState", {
+            detail: Object.assign({from: from}, message)
+        }));
+    };
+    return peer;
+};
+
+describe("SpriteMirror", function () {
+    this.timeout(10000);
+
+    let vm;
+    let runtime;
+    let peer;
+    let mirror;
+    let cat;
+
+    const variableOf = (target, name) => Object.values(target.variables)
+        .find(variable => variable.name === name).value;
+
+    beforeEach(() => loadProject([makeSprite("Cat", CAT_BLOCKS, {startedId: ["started", 0], runsId: ["runs", 0]})])
+        .then(loaded => {
+            vm = loaded;
+            runtime = vm.runtime;
+            peer = makePeer();
+            mirror = new SpriteMirror(runtime, peer);
+            mirror.sendInterval = 0;
+            cat = runtime.getSpriteTargetByName("Cat");
+        }));
+
+    afterEach(() => {
+        mirror.stopAll();
+        runtime.dispose();
+    });
+
+    it("should send the state of the sprite only when it changed", () => {
+        mirror.mirror("Cat");
+        mirror.step();
+        mirror.step();
+        expect(peer.sent.length).to.equal(1);
+        expect(peer.sent[0].sprite).to.equal("Cat");
+        expect(peer.sent[0].state.costume).to.equal("costume1");
+        cat.setXY(50, 0);
+        cat.setEffect("ghost", 30);
+        mirror.step();
+        expect(peer.sent.length).to.equal(2);
+        expect(peer.sent[1].state.x).to.equal(50);
+        expect(peer.sent[1].state.effects.ghost).to.equal(30);
+        peer.dispatchEvent(new CustomEvent("peerJoined", {detail: "other"}));
+        mirror.step();
+        expect(peer.sent.length).to.equal(3);
+    });
+
+    it("should limit the rate of sending", () => {
+        mirror.sendInterval = 60000;
+        mirror.mirror("Cat");
+        mirror.step();
+        cat.setXY(10, 0);
+        mirror.step();
+        expect(peer.sent.length).to.equal(1);
+    });
+
+    it("should show a copy from the peer and interpolate the motion", () => {
+        const state = {
+            x: 0,
+            y: 0,
+            direction: 170,
+            size: 100,
+            visible: true,
+            costume: "costume2",
+            effects: {ghost: 50}
+        };
+        peer.receive("peerB", {sprite: "Cat", state: state});
+        expect(mirror.copies.size).to.equal(0);
+        mirror.showCopies("Cat");
+        peer.receive("peerB", {sprite: "Cat", state: state});
+        const entry = mirror.copies.get("peerB/Cat");
+        const copy = entry.target;
+        expect(copy.sprite).to.equal(cat.sprite);
+        expect(copy.isOriginal).to.equal(false);
+        expect(copy.currentCostume).to.equal(1);
+        expect(copy.effects.ghost).to.equal(50);
+        expect(copy.direction).to.equal(170);
+        expect(cat.currentCostume).to.equal(0);
+        expect(cat.effects.ghost).to.equal(0);
+
+        entry.startedAt -= 100;
+        peer.receive("peerB", {
+            sprite: "Cat",
+            state: Object.assign({}, state, {x: 100, direction: -170})
+        });
+        expect(entry.duration).to.be.at.least(100);
+        entry.startedAt -= entry.duration / 2;
+        mirror.step();
+        expect(copy.x).to.be.closeTo(50, 5);
+        // Turns the shorter way across 180 degrees.
+        expect(copy.direction).to.be.closeTo(180, 5);
+        entry.startedAt -= entry.duration;
+        mirror.step();
+        expect(copy.x).to.equal(100);
+        expect(cat.x).to.equal(0);
+    });
+
+    it("should run no scripts on the copy and keep it out of the clones", () => {
+        mirror.showCopies("Cat");
+        const state = {x: 10, y: 0, direction: 90, size: 100, visible: true, costume: "costume1", effects: {}};
+        peer.receive("peerB", {sprite: "Cat", state: state});
+        const copy = mirror.copies.get("peerB/Cat").target;
+        expect(copy.blocks.getScripts()).to.deep.equal([]);
+        expect(cat.blocks.getScripts().length).to.equal(2);
+        // The work time of a step is taken from the frame rate which start() sets.
+        runtime.currentStepTime = 1000 / 30;
+        runtime.greenFlag();
+        for (let i = 0; i < 5; i++) {
+            runtime._step();
+        }
+        expect(variableOf(cat, "runs")).to.equal(1);
+        expect(variableOf(cat, "started")).to.equal(0);
+        expect(runtime.threads.length).to.equal(0);
+        expect(runtime.targets).to.not.include(copy);
+        expect(runtime.executableTargets).to.not.include(copy);
+        expect(cat.sprite.clones).to.deep.equal([cat]);
+        expect(runtime._cloneCounter).to.equal(0);
+    });
+
+    it("should draw the copy behind the sprite and remove it from the stage", () => {
+        const renderer = makeRenderer();
+        runtime.attachRenderer(renderer);
+        mirror.showCopies("Cat");
+        const state = {x: 0, y: 0, direction: 90, size: 100, visible: true, costume: "costume1", effects: {}};
+        peer.receive("peerB", {sprite: "Cat", state: state});
+        peer.receive("peerC", {sprite: "Cat", state: state});
+        const copyB = mirror.copies.get("peerB/Cat").target;
+        expect(renderer.drawables).to.include(copyB.drawableID);
+        expect(renderer.drawables.size).to.equal(2);
+        peer.dispatchEvent(new CustomEvent("peerLeft", {detail: "peerB"}));
+        expect(renderer.drawables.size).to.equal(1);
+        expect(mirror.copies.has("peerC/Cat")).to.equal(true);
+        mirror.hideCopies("Cat");
+        expect(renderer.drawables.size).to.equal(0);
+        expect(mirror.copies.size).to.equal(0);
+    });
+});
@@ -0,0 +1,71 @@
+import { describe, it, before, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import formatMessage from "format-message";
+import { blockClass } from "../../src/vm/extensions/block/index.js";
+import { registerSignalingChannel } from "../../src/vm/extensions/block/signaling-channels.js";
+import { installFakeWebRTC, MemorySignalingChannel, waitFor } from "./fake-webrtc.js";
+import { loadProject, makeSprite } from "./scratch-project.js";
+
+const CAT_BLOCKS = {
+    flagHat: {opcode: "event_whenflagclicked", next: "meow", parent: null,
+        inputs: {}, fields: {}, shadow: false, topLevel: true, x: 0, y: 0},
+    meow: {opcode: "looks_say", next: null, parent: "flagHat",
+        inputs: {MESSAGE: [1, [10, "meow"]]}, fields: {}, shadow: false, topLevel: false}
+};
+
+describe("trading sprites between the VMs", function () {
+    this.timeout(10000);
+
+    let vms;
+    let blocks;
+
+    before(() => {
+        installFakeWebRTC();
+        registerSignalingChannel("memory", MemorySignalingChannel);
+    });
+
+    beforeEach(() => {
+        MemorySignalingChannel.reset();
+        return Promise.all([loadProject([makeSprite("Cat", CAT_BLOCKS)]), loadProject([])])
+            .then(loaded => {
+                vms = loaded;
+                // The editor gives the runtime the formatter of its locale.
+                vms.forEach(vm => {
+                    vm.runtime.formatMessage = formatMessage;
+                });
+                // One loader hands the VM in, and the other editor sets it on the runtime.
+                vms[1].runtime.vm = vms[1];
+                blocks = [new blockClass(vms[0].runtime, vms[0]), new blockClass(vms[1].runtime)];
+                vms.forEach((vm, index) => vm.extensionManager._registerInternalExtension(blocks[index]));
+                blocks.forEach(block => block.peer.setSignalingChannel("memory"));
+                return Promise.all(blocks.map(block => block.peer.startSignaling("room")));
+            })
+            .then(() => waitFor(() => blocks.every(block => block.peer.peerIds().length === 1)));
+    });
+
+    afterEach(() => {
+        blocks.forEach(block => block.peer.disconnectPeer());
+        return Promise.all(blocks.map(block => block.peer.stopNegotiation()))
+            .then(() => vms.forEach(vm => vm.runtime.dispose()));
+    });
+
+    it("should add the sprite with its scripts to the project of the peer", () => {
+        return blocks[0].sendSprite({SPRITE: "Cat"})
+            .then(result => {
+                expect(result).to.equal("Sent sprite Cat");
+                return waitFor(() => blocks[1].lastSprite !== null);
+            })
+            .then(() => {
+                expect(blocks[1].receivedSpriteName({}, {})).to.equal("Cat");
+                return blocks[1].acceptSprite({ACTION: "accept"}, {});
+            })
+            .then(result => {
+                expect(result).to.equal("Added sprite Cat");
+                const cat = vms[1].runtime.getSpriteTargetByName("Cat");
+                expect(cat).to.not.equal(undefined);
+                const opcodes = Object.values(cat.blocks._blocks).map(block => block.opcode);
+                expect(opcodes).to.include.members(["event_whenflagclicked", "looks_say"]);
+                expect(cat.getCostumes().map(costume => costume.name)).to.deep.equal(["costume1", "costume2"]);
+            });
+    });
+});
@@ -0,0 +1,218 @@
+import { describe, it, before, after, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { spawn } from "child_process";
+import path from "path";
+import WebSocket from "ws";
+import WebSocketSignalingChannel from "../../src/vm/extensions/block/websocket-signaling-channel.js";
+import { waitFor } from "./fake-webrtc.js";
+
+/**
+ * Start the relay server on a free port.
+ * @returns {Promise<{process: ChildProcess, port: number}>} - the server process and its port
+ */
+const startRelay = function (port = 0) {
+    const relay = spawn(process.execPath, [path.resolve(process.cwd(), "relay/main.mjs"), String(port)], {
+        stdio: ["ignore", "pipe", "inherit"]
+    });
+    return new Promise((resolve, reject) => {
+        relay.stdout.on("data", data => {
+            const found = /listening on port (\d+)/.exec(data.toString());
+            if (found) resolve({process: relay, port: Number(found[1])});
+        });
+        relay.on("error", reject);
+    });
+};
+
+const stopRelay = function (relay) {
+    if (relay.process.exitCode !== null) return Promise.resolve();
+    return new Promise(resolve => {
+        relay.process.on("exit", () => resolve());
+        relay.process.kill();
+    });
+};
+
+describe("WebSocketSignalingChannel with the relay server", function () {
+    this.timeout(10000);
+
+    let relay;
+    let channels;
+
+    const openChannel = (id, signalName = "room") => {
+        const channel = new WebSocketSignalingChannel();
+        channel.id = id;
+        channel.serverUrl = `ws://localhost:${relay.port}`;
+        channel.received = [];
+        channel.addEventListener("message", event => channel.received.push(event.data));
+        channels.push(channel);
+        return channel.connect(signalName).then(() => channel);
+    };
+
+    before(() => {
+        global.WebSocket = WebSocket;
+        return startRelay().then(started => {
+            relay = started;
+        });
+    });
+
+    after(() => {
+        delete global.WebSocket;
+        return stopRelay(relay);
+    });
+
+    beforeEach(() => {
+        channels = [];
+    });
+
+    afterEach(() => {
+        channels.forEach(channel => {
+            channel.deleteOwnMessages();
+            channel.disconnect();
+        });
+    });
+
+    it("should deliver a message only to the recipient", () => {
+        let alice;
+        let bob;
+        let carol;
+        return Promise.all([openChannel("alice"), openChannel("bob"), openChannel("carol")])
+            .then(opened => {
+                [alice, bob, carol] = opened;
+                bob.startAnswering();
+                carol.startAnswering();
+                return alice.send({type: "answer", to: "bob", sdp: "for bob"});
+            })
+            .then(() => waitFor(() => bob.received.length === 1))
+            .then(() => {
+                expect(bob.received[0].sdp).to.equal("for bob");
+                expect(carol.received).to.deep.equal([]);
+                expect(alice.received).to.deep.equal([]);
+            });
+    });
+
+    it("should keep a message to all for the peers which listen later", () => {
+        let alice;
+        return openChannel("alice")
+            .then(opened => {
+                alice = opened;
+                return alice.startOffering({type: "join", from: "alice"});
+            })
+            .then(() => openChannel("bob"))
+            .then(bob => {
+                bob.startAnswering();
+                return waitFor(() => bob.received.length === 1).then(() => bob);
+            })
+            .then(bob => {
+                expect(bob.received[0]).to.deep.equal({type: "join", from: "alice"});
+                expect(alice.received).to.deep.equal([]);
+            });
+    });
+
+    it("should separate the rooms by the signal name", () => {
+        return Promise.all([openChannel("alice", "room1"), openChannel("bob", "room2")])
+            .then(([alice, bob]) => {
+                bob.startAnswering();
+                return alice.startOffering({type: "join", from: "alice"})
+                    .then(() => openChannel("carol", "room1"))
+                    .then(carol => {
+                        carol.startAnswering();
+                        return waitFor(() => carol.received.length === 1);
+                    })
+                    .then(() => {
+                        expect(bob.received).to.deep.equal([]);
+                    });
+            });
+    });
+
+    it("should stop delivering after leaving and forget the messages of the peer which left", () => {
+        let alice;
+        let bob;
+        return Promise.all([openChannel("alice"), openChannel("bob")])
+            .then(opened => {
+                [alice, bob] = opened;
+                bob.startAnswering();
+                return alice.startOffering({type: "join", from: "alice"});
+            })
+            .then(() => waitFor(() => bob.received.length === 1))
+            .then(() => {
+                bob.stopNegotiation();
+                // A request on the same socket comes back after the server handled the previous one.
+                return bob.isOffering();
+            })
+            .then(() => alice.deleteOwnMessages())
+            .then(() => alice.isOffering())
+            .then(() => alice.send({type: "offer", to: "bob", sdp: "late"}))
+            .then(() => openChannel("carol"))
+            .then(carol => {
+                carol.startAnswering();
+                return alice.send({type: "join", from: "alice", again: true})
+                    .then(() => waitFor(() => carol.received.length === 1))
+                    .then(() => {
+                        // The first join was deleted, so only the new one arrives.
+                        expect(carol.received[0].again).to.equal(true);
+                        expect(bob.received.length).to.equal(1);
+                    });
+            });
+    });
+
+    it("should tell whether another peer is offering", () => {
+        return Promise.all([openChannel("alice"), openChannel("bob")])
+            .then(([alice, bob]) => bob.isOffering()
+                .then(offering => {
+                    expect(offering).to.equal(false);
+                    return alice.send({type: "offer", to: "bob", sdp: "offer"});
+                })
+                // A request on the same socket comes back after the server stored the offer.
+                .then(() => alice.isOffering())
+                .then(() => bob.isOffering())
+                .then(offering => {
+                    expect(offering).to.equal(true);
+                }));
+    });
+
+    it("should open one socket for the calls of connect at the same time", () => {
+        const RealWebSocket = global.WebSocket;
+        let opened = 0;
+        global.WebSocket = function (url) {
+            opened++;
+            return new RealWebSocket(url);
+        };
+        const channel = new WebSocketSignalingChannel();
+        channel.serverUrl = `ws://localhost:${relay.port}`;
+        channels.push(channel);
+        const connecting = [channel.connect("room"), channel.connect("room")];
+        global.WebSocket = RealWebSocket;
+        expect(connecting[1]).to.equal(connecting[0]);
+        return Promise.all(connecting)
+            .then(() => {
+                expect(opened).to.equal(1);
+                expect(channel.connected).to.equal(true);
+            });
+    });
+
+    it("should disconnect when the server stopped and connect again to the new server", () => {
+        let alice;
+        let disconnected = false;
+        return openChannel("alice")
+            .then(opened => {
+                alice = opened;
+                alice.addEventListener("disconnected", () => {
+                    disconnected = true;
+                });
+                return stopRelay(relay);
+            })
+            .then(() => waitFor(() => disconnected))
+            .then(() => {
+                expect(alice.connected).to.equal(false);
+                return startRelay(relay.port);
+            })
+            .then(restarted => {
+                relay = restarted;
+                return Promise.all([alice.connect("room"), openChannel("bob")]);
+            })
+            .then(([, bob]) => {
+                bob.startAnswering();
+                return alice.send({type: "join", from: "alice"})
+                    .then(() => waitFor(() => bob.received.length === 1));
+            });
+    });
+});